@@ -3,504 +3,304 @@
  * Built with Phaser 3
  */
 
-// Cookie utility functions
-function setCookie(name, value, days) {
-    const date = new Date();
-    date.setTime(date.getTime() + (days * 24 * 60 * 60 * 1000));
-    const expires = "expires=" + date.toUTCString();
-    document.cookie = name + "=" + value + ";" + expires + ";path=/";
-}
-
-function getCookie(name) {
-    const nameEQ = name + "=";
-    const ca = document.cookie.split(';');
-    for (let i = 0; i < ca.length; i++) {
-        let c = ca[i];
-        while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-        if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
-    }
-    return null;
-}
-
-// GitHub contribution graph color palette
-const COLORS = {
-    BACKGROUND: 0xebedf0,    // Light gray (non-collidable)
-    GREEN_1: 0x9be9a8,       // Lightest green
-    GREEN_2: 0x40c463,       // Light green
-    GREEN_3: 0x30a14e,       // Medium green
-    GREEN_4: 0x216e39,       // Dark green
-    PLAYER: 0x161b22,        // Dark gray (player)
-    TEXT: '#ffffff'
-};
-
-// Grid configuration matching GitHub contribution graph
-const GRID = {
-    TILE_SIZE: 13,           // Size of each square tile
-    GAP: 2,                  // Gap between tiles
-    ROWS: 7,                 // Number of rows (days of the week)
-    TILE_FULL_SIZE: 15       // TILE_SIZE + GAP
-};
-
-// Game configuration
-const GAME_CONFIG = {
-    SCROLL_SPEED: 120,       // How fast the world scrolls left (pixels/second)
-    JUMP_VELOCITY: -400,     // Player jump strength
-    GRAVITY: 1000,           // Gravity strength
-    PLAYER_START_X: 150,     // Player's X position on screen
-    PLAYER_PUSH_FORCE: 80,   // How far player gets pushed back on collision
-    GAME_OVER_BOUNDARY: -GRID.TILE_SIZE,   // X position that triggers game over (completely off screen)
-    JUMP_CHARGE_MAX: 100,    // Maximum jump charge
-    JUMP_CHARGE_COST: 50,    // Charge cost per jump
-    JUMP_CHARGE_RATE: 25,    // Charge recovery per second when grounded
-    CHARGE_JUMP_THRESHOLD: 0.25, // Minimum time (seconds) to hold space for charge jump
-    CHARGE_JUMP_MAX_TIME: 1.5, // Maximum charge time in seconds
-    CHARGE_JUMP_MIN_VELOCITY: -400, // Minimum jump velocity
-    CHARGE_JUMP_MAX_VELOCITY: -700, // Maximum jump velocity when fully charged
-    CHARGE_JUMP_HORIZONTAL_VELOCITY: 150, // Horizontal velocity boost when fully charged
-    CHARGE_JUMP_SQUASH_HEIGHT: 0.1 // Squash to 10% of original height
-};
-
-class CommitRunnerScene extends Phaser.Scene {
+/**
+ * The game itself - renders one Simulation run and feeds it input
+ * Every run starts the scene afresh (scene.start / scene.restart) so nothing carries over between runs;
+ * what should outlive a run lives in the game registry (see BootScene)
+ */
+class GameScene extends Phaser.Scene {
     constructor() {
-        super({ key: 'CommitRunnerScene' });
+        super({ key: 'GameScene' });
     }
 
-    create() {
+    /**
+     * @param {Object} data - How to start the run
+     * @param {string} [data.seed] - Level seed (a new one is rolled if missing)
+     * @param {string} [data.preset] - Difficulty preset id (the one picked on the title screen if missing)
+     * @param {Object} [data.replay] - Recorded run to play back instead of taking live input
+     * @param {boolean} [data.demo] - Autopilot demo behind the title screen (with a replay, the benchmark playing it)
+     * @param {Object} [data.daily] - Daily Commit run: {date, isAttempt} (practice when not the scored attempt)
+     */
+    create(data) {
+        const replay = data.replay || null;
+        
         // Initialize game state
+        this.isDemo = Boolean(data.demo);
+        this.daily = data.daily || null;
         this.isGameOver = false;
-        this.score = 0;
-        this.highScore = 0; // Initialize high score
-        this.worldX = 0; // Track world position for column generation
-        this.jumpCharge = GAME_CONFIG.JUMP_CHARGE_MAX; // Start with full charge
-        this.jumpsUsed = 0; // Track consecutive jumps
-        this.colorWaveTime = 0; // Track time for color wave animation
-        
-        // Charge jump state
-        this.isChargingJump = false;
-        this.chargeJumpTime = 0;
-        this.jumpHoldStartTime = null; // Track when space was first pressed
-        this.lastGroundedTime = 0; // Track when player last touched ground
-        
-        // Jump buffering - track when jump was last pressed
-        this.jumpBufferTime = 0;
-        this.jumpBufferWindow = 100; // milliseconds to buffer jump input
-        
-        // Load high score from cookie
-        this.loadHighScore();
+        this.audio = this.registry.get('audio');
+        this.profile = this.registry.get('profile');
+        this.theme = this.registry.get(THEME_REGISTRY_KEY);
+        fitCameraToView(this);
+        this.cameras.main.setBackgroundColor(this.theme.background);
+        this.hudScale = this.profile.getSetting('largeHud') ? LARGE_HUD_SCALE : 1;
+        
+        // Seeded level generation, on the chosen contribution level (null = random generator only)
+        // The Daily Commit is always the random generator's level, the same for everyone
+        this.seed = replay ? replay.seed : (data.seed || generateSeed());
+        this.levelSource = this.daily ? null : this.registry.get('levelSource');
+        
+        // Replays play on the preset they were recorded on
+        this.preset = replay ? replay.preset : (data.preset || this.profile.getSetting('preset'));
+        
+        // Fixed timestep simulation - the scene only renders what the Simulation decides
+        this.sim = new Simulation({
+            seed: this.seed,
+            level: this.levelSource,
+            width: VIEW.width,
+            height: VIEW.height,
+            config: getPreset(this.preset).config
+        });
+        this.stepAccumulator = 0;
+        this.playbackSpeed = 1;
+        this.gameSpeed = this.isDemo ? 1 : this.profile.getSetting('gameSpeed') / 100; // Accessibility slow-down
+        
+        // Jump key events waiting for the next simulation step (live input)
+        this.pendingInput = [];
+        this.jumpInput = null; // Keyboard, pointer and gamepad jump button (live runs only)
+        this.replayPlayer = replay ? new ReplayPlayer(replay) : null; // Set while watching a replay
+        
+        // Autopilot - always on for the demo, otherwise until switched off (never on a Daily Commit attempt)
+        const useAutopilot = this.isDemo || (this.registry.get('autopilotEnabled') && !this.isDailyAttempt());
+        this.autopilot = useAutopilot && !replay ? new Autopilot() : null;
+        this.runUsedAutopilot = this.autopilot !== null; // Autopilot runs don't count for high scores or ghosts
+        
+        // Record live runs (replays are never re-recorded, the demo is thrown away)
+        this.recorder = this.replayPlayer || this.isDemo ? null : new RunRecorder(this.seed, this.levelSource, this.preset);
+        
+        // The player's own live runs count toward achievements (replays, the demo and autopilot runs don't)
+        this.achievementTracker = this.recorder && !this.runUsedAutopilot
+            ? new AchievementTracker(this.profile, this.sim)
+            : null;
+        this.achievementToasts = []; // Unlock announcements on screen, top to bottom
+        
+        // The run's tiles and player sprite, filling the view
+        this.lane = new Lane(this, this.sim, { theme: this.theme });
+        this.player = this.lane.player;
+        this.effects = new LaneEffects(this, this.lane);
+        
+        // Set up input (the title screen handles keys during the demo)
+        if (!this.isDemo) {
+            this.createInput();
+        }
         
-        // Container groups
-        this.tilesGroup = this.add.group();
-        this.obstaclesGroup = this.physics.add.staticGroup();
-        this.greenObstacles = []; // Track green obstacles separately for manual collision
+        this.createHud();
         
-        // Create the player sprite
-        this.createPlayer();
+        // Race against the best run on this seed, if there is one
+        this.ghost = null;
+        this.setupGhost();
+        this.updateModeText();
         
-        // Generate initial columns to fill the screen
-        this.generateInitialColumns();
+        // Re-skin when the theme changes mid-run (from the settings screen over the demo, or the browser's color scheme)
+        this.registry.events.on(`changedata-${THEME_REGISTRY_KEY}`, this.applyTheme, this);
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+    }
+
+    /**
+     * Set up the jump button, keys and pause triggers for a live run
+     */
+    createInput() {
+        this.fastForwardKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.F);
+        this.autopilotKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A);
+        
+        // Queue button events from every source; the simulation consumes one per step so replays line up exactly
+        this.jumpInput = new JumpInput(this, this.profile.getSetting('jumpKeys'), {
+            pressed: () => this.pendingInput.push('down'),
+            released: () => this.pendingInput.push('up'),
+            slidePressed: () => this.pendingInput.push('slideDown'),
+            slideReleased: () => this.pendingInput.push('slideUp')
+        });
         
-        // Set up input
-        this.cursors = this.input.keyboard.createCursorKeys();
-        this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+        // Pause on Esc / P, or when the window loses focus
+        this.input.keyboard.on('keydown-ESC', this.pauseGame, this);
+        this.input.keyboard.on('keydown-P', this.pauseGame, this);
+        this.game.events.on(Phaser.Core.Events.BLUR, this.pauseGame, this);
+        this.events.on(Phaser.Scenes.Events.RESUME, this.handleResume, this);
+    }
+
+    /**
+     * Create the score, charge, streak, power-up and mode displays
+     */
+    createHud() {
+        // HUD texts in the theme's colors, re-skinned by applyTheme
+        this.hudTexts = [];
         
         // Score display
-        this.scoreText = this.add.text(16, 16, 'Score: 0', {
-            fontSize: '20px',
-            fill: '#000000',
-            fontFamily: 'monospace',
-            backgroundColor: 'rgba(255, 255, 255, 0.8)',
+        this.scoreText = this.addHudText(16, 16, 'Score: 0', {
+            fontSize: 20,
             padding: { x: 8, y: 4 }
         });
-        this.scoreText.setDepth(100);
         
         // High score display (top-right corner)
-        this.highScoreText = this.add.text(
-            this.cameras.main.width - 16,
+        this.highScoreText = this.addHudText(
+            VIEW.width - 16,
             16,
-            `High Score: ${this.highScore}`,
+            `High Score: ${this.profile.getHighScore(this.preset)}`,
             {
-                fontSize: '20px',
-                fill: '#000000',
-                fontFamily: 'monospace',
-                backgroundColor: 'rgba(255, 255, 255, 0.8)',
+                fontSize: 20,
                 padding: { x: 8, y: 4 }
             }
         );
         this.highScoreText.setOrigin(1, 0); // Anchor to top-right
-        this.highScoreText.setDepth(100);
+        
+        // Ghost racer delta (right of the score, hidden without a ghost)
+        this.ghostDeltaText = this.addHudText(0, 16, '', {
+            fontSize: 20,
+            padding: { x: 8, y: 4 }
+        });
+        this.ghostDeltaText.setVisible(false);
         
         // Jump charge display (left side, below score)
-        const chargeBarWidth = 100;
-        const chargeBarHeight = 20;
+        const chargeBarWidth = Math.round(100 * this.hudScale);
+        const chargeBarHeight = Math.round(20 * this.hudScale);
         const chargeBarX = 16;
-        const chargeBarY = 50;
+        const chargeBarY = Math.round(50 * this.hudScale);
+        
+        // Store charge bar dimensions for updates
+        this.chargeBarX = chargeBarX;
+        this.chargeBarY = chargeBarY;
+        this.chargeBarWidth = chargeBarWidth;
+        this.chargeBarHeight = chargeBarHeight;
         
         // Background bar
         this.chargeBarBg = this.add.graphics();
-        this.chargeBarBg.fillStyle(0x666666, 1);
-        this.chargeBarBg.fillRect(chargeBarX, chargeBarY, chargeBarWidth, chargeBarHeight);
         this.chargeBarBg.setDepth(100);
+        this.drawChargeBarBackground();
         
         // Charge bar fill
         this.chargeBar = this.add.graphics();
         this.chargeBar.setDepth(101);
         
         // Charge text
-        this.chargeText = this.add.text(chargeBarX, chargeBarY + chargeBarHeight + 4, 'Jump Charge: 100%', {
-            fontSize: '14px',
-            fill: '#000000',
-            fontFamily: 'monospace',
-            backgroundColor: 'rgba(255, 255, 255, 0.8)',
+        this.chargeText = this.addHudText(chargeBarX, chargeBarY + chargeBarHeight + 4, 'Jump Charge: 100%', {
+            fontSize: 14,
             padding: { x: 4, y: 2 }
         });
-        this.chargeText.setDepth(100);
-        
-        // Store charge bar dimensions for updates
-        this.chargeBarX = chargeBarX;
-        this.chargeBarY = chargeBarY;
-        this.chargeBarWidth = chargeBarWidth;
-        this.chargeBarHeight = chargeBarHeight;
         
-        // Game over text (hidden initially)
-        this.gameOverText = this.add.text(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY - 40,
-            'GAME OVER',
-            {
-                fontSize: '48px',
-                fill: '#000000',
-                fontFamily: 'monospace',
-                fontStyle: 'bold',
-                backgroundColor: 'rgba(255, 255, 255, 0.9)',
-                padding: { x: 20, y: 10 }
-            }
-        );
-        this.gameOverText.setOrigin(0.5);
-        this.gameOverText.setVisible(false);
-        this.gameOverText.setDepth(100);
-        
-        this.restartText = this.add.text(
-            this.cameras.main.centerX,
-            this.cameras.main.centerY + 40,
-            'Press SPACE to restart',
-            {
-                fontSize: '20px',
-                fill: '#000000',
-                fontFamily: 'monospace',
-                backgroundColor: 'rgba(255, 255, 255, 0.9)',
-                padding: { x: 12, y: 6 }
-            }
-        );
-        this.restartText.setOrigin(0.5);
-        this.restartText.setVisible(false);
-        this.restartText.setDepth(100);
-        
-        // NO overlap/collider - we handle ALL collision manually in checkGrounded()
-        
-        // Track consecutive empty columns
-        this.consecutiveEmptyColumns = 0;
-        
-        // Track when we last generated a column
-        this.lastColumnX = 0;
-        
-        // Track total columns generated (for smooth start)
-        this.totalColumnsGenerated = 0;
+        // Commit streak multiplier (right of the charge bar, shown while a streak is going)
+        this.streakText = this.addHudText(chargeBarX + chargeBarWidth + 8, chargeBarY, '', {
+            fontSize: 14,
+            fill: toCssColor(COLORS.COMMIT),
+            fontStyle: 'bold',
+            padding: { x: 4, y: 2 }
+        });
+        this.streakText.setVisible(false);
         
-        // Track pattern generation (for same-height columns)
-        this.patternColumnsRemaining = 0;
-        this.patternHeight = 0;
+        // Active power-up icons (under the high score), by power-up id
+        this.powerUpIcons = new Map();
         
-        // Track previous column height for height difference rule
-        this.previousColumnHeight = 7;
-    }
-
-    /**
-     * Load high score from cookie
-     */
-    loadHighScore() {
-        const savedHighScore = getCookie('commitRunnerHighScore');
-        if (savedHighScore !== null) {
-            this.highScore = parseInt(savedHighScore, 10) || 0;
-        } else {
-            this.highScore = 0;
-        }
+        // Replay playback / autopilot indicator (top center)
+        this.modeText = this.addHudText(VIEW.centerX, 16, '', {
+            fontSize: 14,
+            padding: { x: 8, y: 4 }
+        });
+        this.modeText.setOrigin(0.5, 0);
+        this.modeText.setVisible(false);
     }
 
     /**
-     * Save high score to cookie (expires in ~1 year)
+     * Add a HUD text in the theme's colors
+     * @param {number} x
+     * @param {number} y
+     * @param {string} text
+     * @param {Object} style - Font size (px, grown with the large HUD option) and padding,
+     *     plus a fill for text that keeps its own color in every theme
+     * @returns {Phaser.GameObjects.Text}
      */
-    saveHighScore() {
-        setCookie('commitRunnerHighScore', this.highScore.toString(), 365);
+    addHudText(x, y, text, style) {
+        const hudText = this.add.text(x, y, text, Object.assign({
+            fill: this.theme.text,
+            fontFamily: 'monospace',
+            backgroundColor: this.theme.panel
+        }, style, {
+            fontSize: this.getHudFontSize(style.fontSize)
+        }));
+        hudText.keepsColor = 'fill' in style;
+        hudText.setDepth(100);
+        this.hudTexts.push(hudText);
+        return hudText;
     }
 
     /**
-     * Create the player sprite with physics
+     * @param {number} size - HUD font size at the normal HUD scale (px)
+     * @returns {string} Text style font size
      */
-    createPlayer() {
-        // Create a graphics object to draw the player square
-        const graphics = this.add.graphics();
-        graphics.fillStyle(COLORS.PLAYER, 1);
-        graphics.fillRect(0, 0, GRID.TILE_SIZE, GRID.TILE_SIZE);
-        graphics.generateTexture('player', GRID.TILE_SIZE, GRID.TILE_SIZE);
-        graphics.destroy();
-        
-        // Create player sprite at starting position
-        this.player = this.physics.add.sprite(
-            GAME_CONFIG.PLAYER_START_X,
-            this.cameras.main.centerY,
-            'player'
-        );
-        
-        // Configure player physics
-        this.player.setGravityY(GAME_CONFIG.GRAVITY);
-        this.player.setCollideWorldBounds(false); // We'll handle boundaries manually
-        this.player.setDepth(10);
-        this.player.body.setSize(GRID.TILE_SIZE, GRID.TILE_SIZE);
-        
-        // Track if player is on ground (for single jump)
-        this.player.isGrounded = false;
-        this.player.canDoubleJump = false; // Whether player can double jump (only before first landing)
-        
-        // Track rotation state
-        this.player.targetRotation = 0; // Target rotation to align with surface
-        this.player.isRotating = false; // Whether actively rotating to align
+    getHudFontSize(size) {
+        return `${Math.round(size * this.hudScale)}px`;
     }
-
+    
     /**
-     * Generate initial columns to fill the screen
+     * Draw the empty part of the jump charge bar
      */
-    generateInitialColumns() {
-        const screenWidth = this.cameras.main.width;
-        const numColumns = Math.ceil(screenWidth / GRID.TILE_FULL_SIZE) + 5;
-        
-        for (let i = 0; i < numColumns; i++) {
-            const x = i * GRID.TILE_FULL_SIZE;
-            this.generateColumn(x);
-            this.lastColumnX = x;
-        }
+    drawChargeBarBackground() {
+        this.chargeBarBg.clear();
+        this.chargeBarBg.fillStyle(this.theme.chargeBar, 1);
+        this.chargeBarBg.fillRect(this.chargeBarX, this.chargeBarY, this.chargeBarWidth, this.chargeBarHeight);
     }
 
     /**
-     * Generate a single column of tiles
-     * @param {number} x - X position for the column
+     * Re-skin the run in a new theme (BootScene has already repainted the player and background tile textures)
+     * @param {Phaser.Data.DataManager} registry
+     * @param {Object} theme - Entry in THEMES
      */
-    generateColumn(x) {
-        // Calculate difficulty based on score (increases every 200 points)
-        const difficultyLevel = Math.floor(this.score / 200);
-        
-        // Max height difference: starts at 2, increases by 1 every 200 points
-        const maxHeightDiff = 2 + difficultyLevel;
-        
-        // Pattern frequency: starts at 10-12, increases by 2 every 200 points
-        const patternMinFreq = 10 + (difficultyLevel * 2);
-        const patternMaxFreq = 12 + (difficultyLevel * 2);
-        
-        // Determine column height (0-7 blocks)
-        let height;
-        
-        // First 30 columns are full height for smooth start
-        if (this.totalColumnsGenerated < 30) {
-            height = 7;
-        } else {
-            // Check if we're in a pattern (same-height columns)
-            if (this.patternColumnsRemaining > 0) {
-                height = this.patternHeight;
-                this.patternColumnsRemaining--;
-            } else {
-                // Generate new height with constraints
-                let attempts = 0;
-                do {
-                    height = Phaser.Math.Between(0, 7);
-                    attempts++;
-                    
-                    // If too many attempts, just clamp the height
-                    if (attempts > 10) {
-                        height = Math.max(0, Math.min(7, 
-                            this.previousColumnHeight - maxHeightDiff,
-                            this.previousColumnHeight + maxHeightDiff
-                        ));
-                        break;
-                    }
-                } while (Math.abs(height - this.previousColumnHeight) > maxHeightDiff);
-                
-                // Enforce rule: no more than 2 consecutive empty columns
-                if (height === 0) {
-                    this.consecutiveEmptyColumns++;
-                    if (this.consecutiveEmptyColumns > 2) {
-                        // Force at least 1 block
-                        height = Phaser.Math.Between(1, Math.min(7, this.previousColumnHeight + maxHeightDiff));
-                        this.consecutiveEmptyColumns = 0;
-                    }
-                } else {
-                    this.consecutiveEmptyColumns = 0;
-                }
-                
-                // MANDATORY: Always create at least 2 columns of the same height
-                // This ensures no standalone single columns
-                this.patternHeight = height;
-                this.patternColumnsRemaining = 1; // At least 1 more column of same height
-                
-                // Randomly extend the pattern to 3+ columns
-                // Frequency increases with difficulty
-                const patternChance = Phaser.Math.Between(1, patternMaxFreq);
-                if (patternChance <= 3) {
-                    // Extend to 3 columns of same height
-                    this.patternColumnsRemaining = 2; // 2 more columns after this one
-                } else if (patternChance === patternMaxFreq) {
-                    // Extend to 4 columns of same height (rarer)
-                    this.patternColumnsRemaining = 3; // 3 more columns after this one
-                }
+    applyTheme(registry, theme) {
+        this.theme = theme;
+        this.cameras.main.setBackgroundColor(theme.background);
+        this.hudTexts.forEach(hudText => {
+            hudText.setBackgroundColor(theme.panel);
+            if (!hudText.keepsColor) {
+                hudText.setColor(theme.text);
             }
-        }
-        
-        // Store this height for next column's height difference check
-        this.previousColumnHeight = height;
-        
-        // Increment counter
-        this.totalColumnsGenerated++;
-        
-        // Calculate starting Y position (bottom of screen, working upward)
-        const screenHeight = this.cameras.main.height;
-        const bottomY = screenHeight - GRID.TILE_SIZE;
-        
-        // Create all 7 rows
-        for (let row = 0; row < GRID.ROWS; row++) {
-            const y = bottomY - (row * GRID.TILE_FULL_SIZE);
-            // Only the first 'height' rows are obstacles (from bottom up)
-            const isObstacle = row < height;
-            
-            this.createTile(x, y, isObstacle);
-        }
+        });
+        this.drawChargeBarBackground();
+        this.lane.applyTheme(theme);
+        this.updateGhost();
     }
 
     /**
-     * Create a single tile (either background or obstacle)
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {boolean} isObstacle - Whether this is a solid obstacle
+     * Drop everything that outlives the scene's own objects
      */
-    createTile(x, y, isObstacle) {
-        if (isObstacle === true) {
-            // GREEN OBSTACLE TILE - has physics
-            // Create a WHITE texture so tinting works properly
-            if (!this.textures.exists('greenTile')) {
-                const graphics = this.add.graphics();
-                graphics.fillStyle(0xffffff, 1); // WHITE
-                graphics.fillRect(0, 0, GRID.TILE_SIZE, GRID.TILE_SIZE);
-                graphics.generateTexture('greenTile', GRID.TILE_SIZE, GRID.TILE_SIZE);
-                graphics.destroy();
-            }
-            
-            // Create the obstacle as a sprite with proper physics body
-            const tile = this.obstaclesGroup.create(x, y, 'greenTile');
-            tile.setOrigin(0, 0);
-            tile.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE);
-            tile.body.setSize(GRID.TILE_SIZE, GRID.TILE_SIZE);
-            tile.body.immovable = true; // Make it solid
-            tile.body.moves = false; // Ensure it doesn't move
-            tile.refreshBody();
-            
-            // Store reference for color updates and mark as obstacle
-            tile.tileX = x;
-            tile.tileY = y;
-            tile.isObstacle = true;
-            tile.tileType = 'GREEN_OBSTACLE';
-            
-            // Set initial tint color
-            const color = this.getOscillatingGreenColor(x, y);
-            tile.setTint(color);
-            
-            // Add to our separate tracking array
-            this.greenObstacles.push(tile);
-        } else {
-            // GRAY BACKGROUND TILE - NO physics whatsoever
-            // Generate texture for gray background tile if not already created
-            if (!this.textures.exists('grayTile')) {
-                const graphics = this.add.graphics();
-                graphics.fillStyle(COLORS.BACKGROUND, 1);
-                graphics.fillRect(0, 0, GRID.TILE_SIZE, GRID.TILE_SIZE);
-                graphics.generateTexture('grayTile', GRID.TILE_SIZE, GRID.TILE_SIZE);
-                graphics.destroy();
-            }
-            
-            // Create as a REGULAR sprite - NOT a physics sprite
-            const tile = this.add.sprite(x, y, 'grayTile');
-            tile.setOrigin(0, 0);
-            tile.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE);
-            tile.setDepth(0);
-            tile.isObstacle = false;
-            tile.tileType = 'GRAY_BACKGROUND';
-            
-            // Add ONLY to tilesGroup (NOT obstaclesGroup!)
-            this.tilesGroup.add(tile);
-            
-            // CRITICAL: Ensure it has NO physics body
-            if (tile.body) {
-                console.error('CRITICAL ERROR: Gray tile created with physics body!', {
-                    x, y, tile, body: tile.body
-                });
-                // Force remove physics
-                if (this.physics.world) {
-                    this.physics.world.disableBody(tile.body);
-                }
-            }
-            
-            // CRITICAL: Ensure it's not in obstaclesGroup
-            if (this.obstaclesGroup.contains(tile)) {
-                console.error('CRITICAL ERROR: Gray tile in obstaclesGroup!', { x, y, tile });
-                this.obstaclesGroup.remove(tile, true, false);
-            }
+    shutdown() {
+        this.registry.events.off(`changedata-${THEME_REGISTRY_KEY}`, this.applyTheme, this);
+        this.game.events.off(Phaser.Core.Events.BLUR, this.pauseGame, this);
+        this.events.off(Phaser.Scenes.Events.RESUME, this.handleResume, this);
+        if (this.jumpInput) {
+            this.jumpInput.destroy();
         }
+        this.input.keyboard.removeAllKeys(true); // Keys (and their listeners) would otherwise carry over to the next run
+        this.audio.stopCharge();
+        this.audio.stopMusic();
     }
 
     /**
-     * Get a random green color from the palette
-     * @returns {number} Hex color value
+     * Start a live run (or replay) from outside the game flow, closing whatever menu is showing
+     * Used by the level and replay panels below the canvas
+     * @param {Object} data - Run data, as for create()
      */
-    getRandomGreenColor() {
-        const greens = [COLORS.GREEN_1, COLORS.GREEN_2, COLORS.GREEN_3, COLORS.GREEN_4];
-        return Phaser.Utils.Array.GetRandom(greens);
+    playRun(data) {
+        const scenes = this.game.scene;
+        ['TitleScene', 'PauseScene', 'GameOverScene', 'VersusScene'].forEach(key => scenes.stop(key));
+        scenes.start('GameScene', data);
     }
 
     /**
-     * Get an oscillating green color based on position and time
-     * @param {number} x - X position of the tile
-     * @param {number} y - Y position of the tile
-     * @returns {number} Hex color value
+     * Use a contribution level for the next runs (or null for the random generator)
+     * @param {ContributionLevel|null} level
      */
-    getOscillatingGreenColor(x, y) {
-        const greens = [COLORS.GREEN_1, COLORS.GREEN_2, COLORS.GREEN_3, COLORS.GREEN_4];
-        
-        // Create a sine wave that oscillates based on position and time
-        // Combine both X and Y for varied colors within columns
-        const spatialFrequencyX = 0.02; // Horizontal wave frequency
-        const spatialFrequencyY = 0.05; // Vertical wave frequency (variation within column)
-        const timeFrequency = 2; // How fast the wave moves over time
-        
-        // Calculate sine wave value (-1 to 1) using both x and y
-        const wave = Math.sin(
-            x * spatialFrequencyX + 
-            y * spatialFrequencyY + 
-            this.colorWaveTime * timeFrequency
-        );
-        
-        // Map sine wave (-1 to 1) to color index (0 to 3)
-        const colorIndex = Math.floor(((wave + 1) / 2) * (greens.length - 1) + 0.5);
-        const clampedIndex = Math.max(0, Math.min(greens.length - 1, colorIndex));
-        
-        return greens[clampedIndex];
+    setLevelSource(level) {
+        this.registry.set('levelSource', level);
+        this.playRun({ seed: this.isDemo || !this.seed ? generateSeed() : this.seed });
     }
 
     /**
-     * Update the colors of all obstacle tiles based on the sine wave
+     * Watch a recorded run on its own seed and level
+     * @param {Object} replay - Replay from RunRecorder or parseReplay()
      */
-    updateObstacleColors() {
-        this.obstaclesGroup.getChildren().forEach(obstacle => {
-            if (obstacle.tileX !== undefined && obstacle.tileY !== undefined) {
-                const color = this.getOscillatingGreenColor(obstacle.tileX, obstacle.tileY);
-                obstacle.setTint(color);
-            }
-        });
+    startReplay(replay) {
+        this.registry.set('levelSource', replay.level
+            ? new ContributionLevel(replay.level.columns, replay.level.name)
+            : null);
+        this.playRun({ replay });
     }
 
     /**
@@ -510,20 +310,10 @@ class CommitRunnerScene extends Phaser.Scene {
         // Clear and redraw the charge bar
         this.chargeBar.clear();
         
-        const chargePercent = this.jumpCharge / GAME_CONFIG.JUMP_CHARGE_MAX;
+        const chargePercent = this.sim.jump.jumpCharge / this.sim.config.JUMP_CHARGE_MAX;
         const fillWidth = this.chargeBarWidth * chargePercent;
         
-        // Color based on charge level
-        let color;
-        if (chargePercent >= 1.0) {
-            color = 0x30a14e; // Full charge - dark green
-        } else if (chargePercent >= 0.5) {
-            color = 0x40c463; // 50%+ - light green
-        } else {
-            color = 0xff6b6b; // Below 50% - red
-        }
-        
-        this.chargeBar.fillStyle(color, 1);
+        this.chargeBar.fillStyle(getChargeBarColor(chargePercent), 1);
         this.chargeBar.fillRect(this.chargeBarX, this.chargeBarY, fillWidth, this.chargeBarHeight);
         
         // Update text
@@ -531,57 +321,52 @@ class CommitRunnerScene extends Phaser.Scene {
     }
 
     /**
-     * Determine if collision should be processed (only for vertical collisions)
-     * @param {Phaser.GameObjects.Sprite} player
-     * @param {Phaser.GameObjects.GameObject} obstacle
+     * Show the streak multiplier while a streak is going
      */
-    shouldCollide(player, obstacle) {
-        // Never collide with gray tiles
-        if (obstacle.isObstacle === false) {
-            console.warn('Attempting to collide with gray tile - blocked!', obstacle);
-            return false;
-        }
-        
-        // Check if obstacle is even in the obstaclesGroup (it should be)
-        if (!obstacle.body) {
-            console.warn('Obstacle has no physics body!', obstacle);
-            return false;
+    updateStreak() {
+        const streak = this.sim.streak;
+        this.streakText.setVisible(streak > 0);
+        if (streak > 0) {
+            this.streakText.setText(`Streak x${getStreakMultiplier(streak)}`);
         }
-        
-        // Only allow collision if player is falling onto the obstacle (from above)
-        const playerBottom = player.y + (GRID.TILE_SIZE / 2);
-        const obstacleTop = obstacle.y;
-        
-        // Allow collision only when landing on top
-        return player.body.velocity.y >= 0 && playerBottom <= obstacleTop + 5;
     }
 
     /**
-     * Handle collision between player and obstacle
-     * @param {Phaser.GameObjects.Sprite} player
-     * @param {Phaser.GameObjects.GameObject} obstacle
+     * Show an icon with the seconds left for each active power-up, newest on the left
+     * A power-up shows its full name for its first moments, so a pickup announces itself
      */
-    handleCollision(player, obstacle) {
-        if (this.isGameOver) return;
-        
-        // Only push player left if hitting from the side (not landing on top)
-        // Check if player is hitting the side by comparing positions
-        const playerBottom = player.y + (GRID.TILE_SIZE / 2);
-        const playerRight = player.x + (GRID.TILE_SIZE / 2);
-        const obstacleTop = obstacle.y;
-        const obstacleLeft = obstacle.x;
+    updatePowerUpIcons() {
+        const active = this.sim.activePowerUps;
+        this.powerUpIcons.forEach((icon, id) => {
+            if (!active.some(powerUp => powerUp.id === id)) {
+                icon.destroy();
+                this.powerUpIcons.delete(id);
+            }
+        });
         
-        // If player's bottom is above the obstacle's top (landing on top), don't push
-        // Only push if player is hitting the side
-        if (playerBottom > obstacleTop + 3 && playerRight > obstacleLeft) { 
-            // Push player to the left when hitting from the side
-            player.x -= 2;
-            
-            // Check if player has been pushed off the left boundary
-            if (player.x < GAME_CONFIG.GAME_OVER_BOUNDARY) {
-                this.triggerGameOver();
+        let right = VIEW.width - 16;
+        active.forEach(({ id, timeLeft }) => {
+            const powerUp = POWER_UPS[id];
+            let icon = this.powerUpIcons.get(id);
+            if (!icon) {
+                icon = this.add.text(0, this.chargeBarY, '', {
+                    fontSize: this.getHudFontSize(14),
+                    fill: '#ffffff',
+                    fontFamily: 'monospace',
+                    fontStyle: 'bold',
+                    backgroundColor: toCssColor(powerUp.color),
+                    padding: { x: 4, y: 2 }
+                });
+                icon.setOrigin(1, 0);
+                icon.setDepth(100);
+                this.powerUpIcons.set(id, icon);
             }
-        }
+            
+            const label = powerUp.duration - timeLeft < POWER_UP_NAME_SECONDS ? powerUp.name : powerUp.icon;
+            icon.setText(`${label} ${Math.ceil(timeLeft)}s`);
+            icon.x = right;
+            right -= icon.width + 6;
+        });
     }
 
     /**
@@ -590,501 +375,355 @@ class CommitRunnerScene extends Phaser.Scene {
     triggerGameOver() {
         this.isGameOver = true;
         
-        // Check and update high score
-        const finalScore = Math.floor(this.score);
-        if (finalScore > this.highScore) {
-            this.highScore = finalScore;
-            this.saveHighScore();
-            this.highScoreText.setText(`High Score: ${this.highScore}`);
+        // The demo just rolls on to another level
+        if (this.isDemo) {
+            this.time.delayedCall(AUTOPILOT_RESTART_DELAY, () => this.scene.restart({ demo: true, preset: this.preset }));
+            return;
         }
         
-        // Stop player physics
-        this.player.setVelocity(0, 0);
-        this.player.setAcceleration(0, 0);
+        const finalScore = Math.floor(this.sim.score);
+        const profile = this.profile;
+        let note = null;
+        
+        if (this.replayPlayer) {
+            // A replay must reproduce the recorded score exactly
+            const recordedScore = this.replayPlayer.replay.score;
+            note = finalScore === recordedScore
+                ? 'REPLAY VERIFIED'
+                : `REPLAY DIVERGED (recorded ${recordedScore})`;
+        } else {
+            this.registry.set('lastReplay', this.recorder.finish(finalScore, this.sim.simStep));
+            
+            if (this.runUsedAutopilot) {
+                // Autopilot runs can still be watched back, but never count as the player's own
+                note = 'AUTOPILOT RUN - NOT SCORED';
+            } else if (this.daily && !this.daily.isAttempt) {
+                // Daily Commit practice is unlimited, so only the day's one attempt counts
+                note = 'PRACTICE - NOT SCORED';
+            } else {
+                saveBestRun(this.registry.get('lastReplay'));
+                
+                if (this.isDailyAttempt()) {
+                    profile.finishDailyAttempt(this.daily.date, finalScore, this.sim.getDistance());
+                }
+                
+                // Add the run to the lifetime stats and leaderboard
+                const result = profile.recordRun({
+                    score: finalScore,
+                    seed: this.seed,
+                    level: this.levelSource ? this.levelSource.name : null,
+                    preset: this.preset,
+                    distance: this.sim.getDistance(),
+                    stats: this.sim.stats,
+                    cause: this.sim.deathCause
+                });
+                this.game.events.emit(PROFILE_CHANGE_EVENT);
+                this.submitToLeaderboard(this.registry.get('lastReplay'));
+                
+                if (result.isHighScore) {
+                    this.highScoreText.setText(`High Score: ${finalScore}`);
+                    note = 'NEW HIGH SCORE!';
+                } else if (result.rank > 0) {
+                    note = `#${result.rank} ON THE LEADERBOARD`;
+                } else if (this.isDailyAttempt()) {
+                    note = 'DAILY COMMIT RECORDED';
+                }
+            }
+        }
         
-        // Show game over UI
-        this.gameOverText.setVisible(true);
-        this.restartText.setVisible(true);
+        this.scene.launch('GameOverScene', Object.assign({
+            seed: this.seed,
+            preset: this.preset,
+            retry: this.getRetryData(),
+            daily: this.daily,
+            score: finalScore,
+            best: profile.getHighScore(this.preset),
+            distance: this.sim.getDistance(),
+            note
+        }, this.sim.stats));
     }
 
     /**
-     * Restart the game
+     * Send a scored run to the shared leaderboard, in the background (a server may be slow or offline)
+     * @param {Object} replay - The run's finished replay
      */
-    restartGame() {
-        // Clear all tiles and obstacles
-        this.tilesGroup.clear(true, true);
-        this.obstaclesGroup.clear(true, true);
-        this.greenObstacles = []; // Clear green obstacles array
-        
-        // Reset game state
-        this.isGameOver = false;
-        this.score = 0;
-        this.worldX = 0;
-        this.consecutiveEmptyColumns = 0;
-        this.lastColumnX = 0;
-        this.totalColumnsGenerated = 0;
-        this.patternColumnsRemaining = 0;
-        this.patternHeight = 0;
-        this.previousColumnHeight = 7; // Reset previous height
-        this.jumpCharge = GAME_CONFIG.JUMP_CHARGE_MAX;
-        this.jumpsUsed = 0;
-        this.colorWaveTime = 0; // Reset color wave
-        this.isChargingJump = false; // Reset charge jump state
-        this.chargeJumpTime = 0;
-        this.jumpBufferTime = 0; // Reset jump buffer
-        this.isSliding = false; // Reset sliding state
-        
-        // Reset player position
-        this.player.setPosition(GAME_CONFIG.PLAYER_START_X, this.cameras.main.centerY);
-        this.player.setVelocity(0, 0);
-        this.player.angle = 0; // Reset rotation
-        this.player.isRotating = false;
-        this.player.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE); // Reset size
-        this.player.setScale(1, 1); // Reset scale
-        this.player.targetRotation = 0;
-        this.player.canDoubleJump = false;
-        
-        // Hide game over UI
-        this.gameOverText.setVisible(false);
-        this.restartText.setVisible(false);
-        
-        // Regenerate initial columns
-        this.generateInitialColumns();
+    submitToLeaderboard(replay) {
+        const entry = createLeaderboardEntry(this.profile.getSetting('playerName'), replay);
+        this.registry.get('leaderboard').submit(entry)
+            .then(() => this.game.events.emit(LEADERBOARD_CHANGE_EVENT))
+            .catch(error => console.warn('Could not submit to the leaderboard', error));
+    }
+
+    /**
+     * @returns {boolean} Whether this run is the player's scored Daily Commit attempt
+     */
+    isDailyAttempt() {
+        return this.daily !== null && this.daily.isAttempt;
+    }
+
+    /**
+     * Get the run data for playing this level again (a Daily Commit goes on as practice)
+     * @returns {Object} Data for create()
+     */
+    getRetryData() {
+        return {
+            seed: this.seed,
+            preset: this.preset,
+            daily: this.daily ? { date: this.daily.date, isAttempt: false } : null
+        };
+    }
+
+    /**
+     * Pause the run and show the pause menu (live runs only, not after game over)
+     */
+    pauseGame() {
+        if (this.isGameOver || !this.scene.isActive()) return;
         
-        // Update score display
-        this.scoreText.setText('Score: 0');
+        this.audio.stopCharge();
+        this.scene.launch('PauseScene', { retry: this.getRetryData() });
+        this.scene.pause();
     }
 
     /**
-     * Main update loop
-     * @param {number} time - Total elapsed time
-     * @param {number} delta - Time since last frame (ms)
+     * Pick the run back up after the pause menu
      */
-    update(time, delta) {
-        if (this.isGameOver) {
-            // Check for restart input
-            if (Phaser.Input.Keyboard.JustDown(this.spaceKey)) {
-                this.restartGame();
-            }
-            return;
+    handleResume() {
+        // Releases while paused never reached this scene - let go of a held jump or slide
+        this.jumpInput.reset();
+        this.pendingInput = [];
+        if (this.sim.input.isDown) {
+            this.pendingInput.push('up');
         }
-        
-        // Update color wave time for oscillating colors
-        const deltaSeconds = delta / 1000;
-        this.colorWaveTime += deltaSeconds;
-        
-        // Update obstacle colors with sine wave
-        this.updateObstacleColors();
-        
-        // Update charge bar display
-        this.updateChargeBar();
-        
-        // Check if player is on the ground FIRST (before handling jumps)
-        this.checkGrounded();
-        
-        // Handle player jump
-        this.handleJump();
-        
-        // Handle player rotation
-        this.handleRotation(deltaSeconds);
-        
-        // Recharge jump when grounded
-        this.handleJumpCharge(deltaSeconds);
-        
-        // Scroll the world to the left
-        this.scrollWorld(deltaSeconds);
-        
-        // Update score based on distance survived
-        this.score += deltaSeconds * 10; // 10 points per second
-        this.scoreText.setText(`Score: ${Math.floor(this.score)}`);
-        
-        // Check if player fell off the bottom
-        if (this.player.y > this.cameras.main.height + 50) {
-            this.triggerGameOver();
+        if (this.sim.input.isSlideDown) {
+            this.pendingInput.push('slideUp');
         }
     }
 
     /**
-     * Clean up graphics objects
-     * @param {Phaser.GameObjects.Graphics} graphics
+     * Create the ghost racer for the current seed and preset (live runs only)
      */
-    destroyGraphics(graphics) {
-        if (graphics && graphics.destroy) {
-            graphics.destroy();
+    setupGhost() {
+        const showGhost = this.profile.getSetting('showGhost');
+        const bestRun = this.recorder && showGhost ? loadBestRun(this.seed, this.levelSource, this.preset) : null;
+        if (bestRun) {
+            this.ghost = new Ghost(this, bestRun);
         }
+        this.updateGhost();
     }
 
     /**
-     * Handle player jump input with double jump mechanic
+     * Move the ghost and refresh the ahead/behind delta next to the score
      */
-    handleJump() {
-        const deltaSeconds = this.game.loop.delta / 1000;
+    updateGhost() {
+        this.ghostDeltaText.setVisible(this.ghost !== null);
+        if (!this.ghost) return;
         
-        // Check for JustDown once and reuse
-        const justDown = Phaser.Input.Keyboard.JustDown(this.spaceKey);
-        const justUp = Phaser.Input.Keyboard.JustUp(this.spaceKey);
+        this.ghost.update(this.sim.simStep, this.registry.get('reducedMotion'));
         
-        // Buffer jump input - if they press jump, remember it for a short window
-        if (justDown) {
-            this.jumpBufferTime = this.time.now;
+        const delta = Math.floor(this.sim.score) - this.ghost.getScore(this.sim.simStep);
+        this.ghostDeltaText.setText(`Ghost ${delta > 0 ? '+' : ''}${delta}`);
+        this.ghostDeltaText.setColor(delta > 0 ? this.theme.ahead : (delta < 0 ? this.theme.behind : this.theme.text));
+        this.ghostDeltaText.x = this.scoreText.x + this.scoreText.width + 8;
+    }
+
+    /**
+     * Show or hide the replay playback / autopilot indicator
+     */
+    updateModeText() {
+        const hasMode = this.replayPlayer !== null || this.autopilot !== null || this.daily !== null;
+        this.modeText.setVisible(!this.isDemo && hasMode);
+        if (this.replayPlayer) {
+            this.modeText.setText(`REPLAY x${this.playbackSpeed}  |  F: fast-forward`);
+        } else if (this.autopilot) {
+            this.modeText.setText('AUTOPILOT  |  A: take over');
+        } else if (this.daily) {
+            this.modeText.setText(`DAILY COMMIT ${this.daily.date}${this.daily.isAttempt ? '' : '  |  PRACTICE'}`);
         }
-        
-        // Check if we have a buffered jump input (pressed within last 100ms)
-        const hasBufferedJump = (this.time.now - this.jumpBufferTime) < this.jumpBufferWindow;
-        
-        // PREVENT ALL JUMPING WHILE SLIDING
-        if (this.isSliding) {
-            // Cancel any charge jump
-            if (this.isChargingJump) {
-                this.isChargingJump = false;
-                this.chargeJumpTime = 0;
-                this.player.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE);
+    }
+
+    /**
+     * Switch the autopilot on or off for live runs, taking effect immediately
+     */
+    toggleAutopilot() {
+        if (this.isDailyAttempt()) return;
+        
+        const enabled = !this.registry.get('autopilotEnabled');
+        this.registry.set('autopilotEnabled', enabled);
+        if (enabled) {
+            this.autopilot = new Autopilot();
+            this.runUsedAutopilot = true;
+            this.achievementTracker = null;
+        } else {
+            // Let go of a jump or slide the autopilot was holding
+            if (this.autopilot && this.sim.input.isDown) {
+                this.pendingInput.push('up');
             }
-            this.jumpHoldStartTime = null;
-            return;
-        }
-        
-        // === CHARGE JUMP: SQUASHING PHASE ===
-        if (this.isChargingJump && this.spaceKey.isDown && this.player.isGrounded) {
-            this.chargeJumpTime += deltaSeconds;
-            
-            // Cap at max charge time
-            if (this.chargeJumpTime > GAME_CONFIG.CHARGE_JUMP_MAX_TIME) {
-                this.chargeJumpTime = GAME_CONFIG.CHARGE_JUMP_MAX_TIME;
+            if (this.autopilot && this.sim.input.isSlideDown) {
+                this.pendingInput.push('slideUp');
             }
-            
-            // Reset rotation to 0 so squash is always vertical
-            this.player.angle = 0;
-            this.player.isRotating = false;
-            
-            // Squash vertically - down to 10% height
-            const squashProgress = Math.min(this.chargeJumpTime / GAME_CONFIG.CHARGE_JUMP_MAX_TIME, 1);
-            const targetHeight = GRID.TILE_SIZE * (1 - squashProgress * (1 - GAME_CONFIG.CHARGE_JUMP_SQUASH_HEIGHT));
-            this.player.setDisplaySize(GRID.TILE_SIZE, targetHeight);
-            
-            return; // Stay on ground while charging
+            this.autopilot = null;
         }
+        this.updateModeText();
+    }
+
+    /**
+     * Main update loop
+     * @param {number} time - Total elapsed time
+     * @param {number} delta - Time since last frame (ms)
+     */
+    update(time, delta) {
+        if (this.isGameOver) return;
         
-        // === CHARGE JUMP: LAUNCH PHASE ===
-        if (this.isChargingJump && justUp) {
-            const chargeRatio = Math.min(this.chargeJumpTime / GAME_CONFIG.CHARGE_JUMP_MAX_TIME, 1);
-            
-            // Calculate jump strength based on how long space was held
-            const jumpVelocity = GAME_CONFIG.CHARGE_JUMP_MIN_VELOCITY + 
-                (GAME_CONFIG.CHARGE_JUMP_MAX_VELOCITY - GAME_CONFIG.CHARGE_JUMP_MIN_VELOCITY) * chargeRatio;
-            const horizontalVelocity = GAME_CONFIG.CHARGE_JUMP_HORIZONTAL_VELOCITY * chargeRatio;
-            
-            // Launch!
-            this.player.setVelocityY(jumpVelocity);
-            this.player.setVelocityX(horizontalVelocity);
-            this.player.isGrounded = false;
-            this.player.isRotating = false;
-            
-            // Use 100% energy ONLY if we actually charged (prevent accidental energy drain)
-            if (this.chargeJumpTime > 0) {
-                this.jumpCharge = 0;
+        if (!this.isDemo) {
+            // Cycle fast-forward speeds while watching a replay
+            if (this.replayPlayer && Phaser.Input.Keyboard.JustDown(this.fastForwardKey)) {
+                const speedIndex = PLAYBACK_SPEEDS.indexOf(this.playbackSpeed);
+                this.playbackSpeed = PLAYBACK_SPEEDS[(speedIndex + 1) % PLAYBACK_SPEEDS.length];
+                this.updateModeText();
             }
             
-            // Reset charging state
-            this.isChargingJump = false;
-            this.chargeJumpTime = 0;
-            this.jumpHoldStartTime = null;
-            
-            // Reset size
-            this.player.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE);
-            
-            return;
+            // Hand live runs to the autopilot or take them back
+            if (!this.replayPlayer && Phaser.Input.Keyboard.JustDown(this.autopilotKey)) {
+                this.toggleAutopilot();
+            }
         }
         
-        // === DOUBLE JUMP (IN AIR) ===
-        // Only count as air jump if player has been off ground for more than 100ms (grace period)
-        const timeSinceGrounded = this.time.now - this.lastGroundedTime;
-        const isActuallyInAir = !this.player.isGrounded && timeSinceGrounded > 100;
-        const isMovingUp = this.player.body.velocity.y < 0; // Negative velocity = moving up
-        
-        if (justDown && isActuallyInAir && isMovingUp &&
-            !this.isChargingJump && this.jumpCharge >= GAME_CONFIG.JUMP_CHARGE_COST) {
-            // Double jump - costs 50% energy (only works while moving upward)
-            this.player.setVelocityY(GAME_CONFIG.JUMP_VELOCITY);
-            this.player.setVelocityX(0);
-            this.jumpCharge -= GAME_CONFIG.JUMP_CHARGE_COST;
-            return;
+        // Advance the simulation in fixed steps so every run can be replayed exactly
+        // (frame time is capped so a background tab doesn't fast-forward the run)
+        this.stepAccumulator += Math.min(delta, 250) * this.playbackSpeed * this.gameSpeed;
+        while (this.stepAccumulator >= FIXED_TIMESTEP_MS && !this.isGameOver) {
+            this.stepAccumulator -= FIXED_TIMESTEP_MS;
+            this.stepGame();
         }
         
-        // === GROUND JUMPS: START TRACKING HOLD OR USE BUFFERED INPUT ===
-        // Check if jump was pressed recently (justDown) OR if we have a buffered jump
-        const shouldAttemptGroundJump = (justDown || hasBufferedJump) && 
-                                        (this.player.isGrounded || timeSinceGrounded <= 100) && 
-                                        !this.isChargingJump;
+        // Music speeds up with the difficulty; the demo stays quiet apart from the music
+        this.audio.updateMusic(getDifficultyLevel(this.sim.distanceScore));
+        const jump = this.sim.jump;
+        this.audio.updateCharge(jump.isChargingJump && !this.isDemo
+            ? jump.chargeJumpTime / this.sim.config.CHARGE_JUMP_MAX_TIME
+            : null);
         
-        if (shouldAttemptGroundJump) {
-            // Clear the buffer since we're using it
-            this.jumpBufferTime = 0;
-            
-            // If we DON'T have 100% charge, jump IMMEDIATELY for responsiveness
-            if (this.jumpCharge < GAME_CONFIG.JUMP_CHARGE_MAX) {
-                this.player.setVelocityY(GAME_CONFIG.JUMP_VELOCITY);
-                this.player.setVelocityX(0);
-                this.player.isGrounded = false;
-                this.player.isRotating = false;
-                return;
-            }
-            
-            // If we have 100% charge, start tracking hold for potential charge jump
-            this.jumpHoldStartTime = this.time.now;
-            return;
-        }
+        // Move sprites to where the simulation says things are (the color wave holds still with reduced motion)
+        this.lane.render(delta, this.registry.get('reducedMotion'));
+        this.effects.update(delta);
         
-        // === CHECK IF HELD PAST THRESHOLD (WITH 100% CHARGE) ===
-        const isOnGround = this.player.isGrounded || timeSinceGrounded <= 100;
-        if (this.jumpHoldStartTime !== null && isOnGround && this.spaceKey.isDown) {
-            const holdDuration = this.time.now - this.jumpHoldStartTime;
-            
-            // If held past 150ms with 100% charge - start charging
-            if (holdDuration >= 150) {
-                this.isChargingJump = true;
-                this.chargeJumpTime = 0;
-                this.jumpHoldStartTime = null;
-                return;
-            }
-        }
+        // Update charge bar display
+        this.updateChargeBar();
         
-        // === CHECK IF RELEASED QUICKLY (WITH 100% CHARGE) ===
-        if (this.jumpHoldStartTime !== null && justUp) {
-            // Released quickly - do regular jump (FREE)
-            const isOnGround = this.player.isGrounded || (this.time.now - this.lastGroundedTime) <= 100;
-            if (isOnGround) {
-                this.player.setVelocityY(GAME_CONFIG.JUMP_VELOCITY);
-                this.player.setVelocityX(0);
-                this.player.isGrounded = false;
-                this.player.isRotating = false;
-                // Don't use any energy for regular jump!
-            }
-            this.jumpHoldStartTime = null;
-            return;
-        }
+        this.scoreText.setText(`Score: ${Math.floor(this.sim.score)}`);
+        this.updateStreak();
+        this.updatePowerUpIcons();
+        this.updateGhost();
     }
 
     /**
-     * Handle jump charge regeneration
-     * @param {number} delta - Time since last frame (seconds)
+     * Advance the game by one fixed simulation step
      */
-    handleJumpCharge(delta) {
-        // Always recharge (even in the air)
-        this.jumpCharge = Math.min(
-            GAME_CONFIG.JUMP_CHARGE_MAX,
-            this.jumpCharge + GAME_CONFIG.JUMP_CHARGE_RATE * delta
-        );
+    stepGame() {
+        const events = this.sim.step(this.readJumpInput());
+        events.forEach(event => this.handleSimEvent(event));
         
-        // Reset jump counter when grounded
-        if (this.player.isGrounded) {
-            this.jumpsUsed = 0;
+        // Count the step toward achievements, announcing any it unlocks
+        if (this.achievementTracker) {
+            this.achievementTracker.handleStep(events).forEach(id => this.showAchievementToast(id));
+        }
+        
+        // Sample the player's position for future ghost races
+        if (this.recorder && this.sim.simStep % GHOST_SAMPLE_STEPS === 0) {
+            this.recorder.recordTrace(this.sim.player, this.sim.score);
         }
     }
 
     /**
-     * Handle player rotation during jump and landing
-     * @param {number} delta - Time since last frame (seconds)
+     * Announce an unlocked achievement under the top of the HUD for a while
+     * @param {string} id - Key in ACHIEVEMENTS
      */
-    handleRotation(delta) {
-        if (!this.player.isGrounded) {
-            // Rotate clockwise while in the air (360 degrees per second)
-            this.player.angle += 360 * delta;
-        } else if (this.player.isRotating) {
-            // When landing, rotate to align with nearest 90-degree angle
-            const rotationSpeed = 720; // degrees per second
-            
-            // Normalize angle to 0-360 range
-            let currentAngle = this.player.angle % 360;
-            if (currentAngle < 0) currentAngle += 360;
-            
-            // Find nearest 90-degree increment
-            const targetRotation = Math.round(currentAngle / 90) * 90;
-            
-            // Calculate shortest rotation direction
-            let angleDiff = targetRotation - currentAngle;
-            if (angleDiff > 180) angleDiff -= 360;
-            if (angleDiff < -180) angleDiff += 360;
-            
-            // Rotate towards target
-            if (Math.abs(angleDiff) < 5) {
-                // Close enough, snap to target and stop rotating
-                this.player.angle = targetRotation;
-                this.player.isRotating = false;
-            } else {
-                // Continue rotating
-                const rotationAmount = Math.sign(angleDiff) * rotationSpeed * delta;
-                this.player.angle += rotationAmount;
-            }
-        }
+    showAchievementToast(id) {
+        const y = Math.round((48 + this.achievementToasts.length * 28) * this.hudScale);
+        const toast = this.addHudText(VIEW.centerX, y, `Achievement unlocked: ${ACHIEVEMENTS[id].name}`, {
+            fontSize: 16,
+            fontStyle: 'bold',
+            padding: { x: 10, y: 4 }
+        });
+        toast.setOrigin(0.5, 0);
+        this.achievementToasts.push(toast);
+        this.game.events.emit(PROFILE_CHANGE_EVENT);
+        
+        this.time.delayedCall(ACHIEVEMENT_TOAST_DURATION, () => {
+            this.achievementToasts.splice(this.achievementToasts.indexOf(toast), 1);
+            this.hudTexts.splice(this.hudTexts.indexOf(toast), 1);
+            toast.destroy();
+        });
     }
 
     /**
-     * Scroll the world to the left and generate new columns
-     * @param {number} delta - Time since last frame (seconds)
+     * React to something that happened in the simulation
+     * @param {Object} event - Simulation event
      */
-    scrollWorld(delta) {
-        const scrollAmount = GAME_CONFIG.SCROLL_SPEED * delta;
-        
-        // Move all tiles left (background tiles are graphics objects)
-        this.tilesGroup.getChildren().forEach(tile => {
-            if (tile.x !== undefined) {
-                tile.x -= scrollAmount;
-                
-                // Remove tiles that are off the left side of the screen
-                if (tile.x < -GRID.TILE_FULL_SIZE * 2) {
-                    tile.destroy();
-                }
-            }
-        });
-        
-        // Move all obstacles left
-        this.obstaclesGroup.getChildren().forEach(obstacle => {
-            obstacle.x -= scrollAmount;
-            obstacle.refreshBody();
-            
-            // Remove obstacles that are off the left side of the screen
-            if (obstacle.x < -GRID.TILE_FULL_SIZE * 2) {
-                // Remove from greenObstacles array
-                const index = this.greenObstacles.indexOf(obstacle);
-                if (index > -1) {
-                    this.greenObstacles.splice(index, 1);
-                }
-                obstacle.destroy();
-            }
-        });
-        
-        // Update world position tracking
-        this.worldX += scrollAmount;
-        
-        // Clean up greenObstacles array - remove null or inactive references
-        this.greenObstacles = this.greenObstacles.filter(obstacle => obstacle && obstacle.active);
-        
-        // Generate new columns on the right side
-        const rightEdge = this.cameras.main.width;
-        const actualLastColumnX = this.lastColumnX - this.worldX;
+    handleSimEvent(event) {
+        if (!this.isDemo) {
+            this.audio.playEvent(event);
+        }
         
-        if (actualLastColumnX < rightEdge + GRID.TILE_FULL_SIZE) {
-            const newColumnX = this.lastColumnX + GRID.TILE_FULL_SIZE;
-            this.generateColumn(newColumnX - this.worldX);
-            this.lastColumnX = newColumnX;
+        this.lane.handleSimEvent(event);
+        this.effects.handleSimEvent(event);
+        if (event.type === 'gameOver') {
+            this.triggerGameOver();
         }
     }
 
     /**
-     * Simple ground detection for the player
+     * Take at most one button event for the next step, recording it on live runs
+     * @returns {string|null} 'down', 'up', 'slideDown', 'slideUp' or null
      */
-    checkGrounded() {
-        const screenHeight = this.cameras.main.height;
-        const wasGrounded = this.player.isGrounded;
-        
-        // Player bounds
-        const playerBottom = this.player.y + (GRID.TILE_SIZE / 2);
-        const playerLeft = this.player.x - (GRID.TILE_SIZE / 2);
-        const playerRight = this.player.x + (GRID.TILE_SIZE / 2);
-        const playerTop = this.player.y - (GRID.TILE_SIZE / 2);
-        
-        let standingOnObstacle = false;
-        let highestObstacleY = screenHeight;
-        
-        // Check ONLY green obstacles
-        for (let i = 0; i < this.greenObstacles.length; i++) {
-            const obstacle = this.greenObstacles[i];
-            
-            // Skip destroyed or inactive obstacles
-            if (!obstacle || !obstacle.active) continue;
-            
-            const obstacleTop = obstacle.y;
-            const obstacleBottom = obstacle.y + GRID.TILE_SIZE;
-            const obstacleLeft = obstacle.x;
-            const obstacleRight = obstacle.x + GRID.TILE_SIZE;
-            
-            // Check if player overlaps with obstacle
-            const overlapsX = playerRight > obstacleLeft + 1 && playerLeft < obstacleRight - 1;
-            const overlapsY = playerBottom > obstacleTop + 1 && playerTop < obstacleBottom - 1;
-            
-            if (overlapsX && overlapsY) {
-                // There's a collision - resolve it
-                
-                const overlapLeft = playerRight - obstacleLeft;
-                const overlapRight = obstacleRight - playerLeft;
-                const overlapTop = playerBottom - obstacleTop;
-                const overlapBottom = obstacleBottom - playerTop;
-                
-                const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
-                
-                // Push out in direction of smallest overlap
-                if (minOverlap === overlapTop && this.player.body.velocity.y >= 0) {
-                    // Landing on top
-                    if (obstacleTop < highestObstacleY) {
-                        highestObstacleY = obstacleTop;
-                        standingOnObstacle = true;
-                    }
-                } else if (minOverlap === overlapBottom && this.player.body.velocity.y <= 0) {
-                    // Hit bottom (jumping into ceiling)
-                    this.player.y = obstacleBottom + (GRID.TILE_SIZE / 2);
-                    this.player.setVelocityY(0);
-                } else if (minOverlap === overlapLeft) {
-                    // Hit from left side
-                    this.player.x = obstacleLeft - (GRID.TILE_SIZE / 2);
-                    this.player.setVelocityX(0);
-                } else if (minOverlap === overlapRight) {
-                    // Hit from right side
-                    this.player.x = obstacleRight + (GRID.TILE_SIZE / 2);
-                    this.player.setVelocityX(0);
-                }
-            } else if (overlapsX && !overlapsY) {
-                // Check if about to land
-                const gap = obstacleTop - playerBottom;
-                if (gap >= -1 && gap <= 3 && this.player.body.velocity.y >= 0) {
-                    if (obstacleTop < highestObstacleY) {
-                        highestObstacleY = obstacleTop;
-                        standingOnObstacle = true;
-                    }
-                }
-            }
+    readJumpInput() {
+        if (this.replayPlayer) {
+            this.pendingInput = []; // Live input is ignored while watching
+            return this.replayPlayer.takeEvent(this.sim.simStep + 1);
         }
         
-        // Apply grounded state
-        if (standingOnObstacle) {
-            this.player.y = highestObstacleY - (GRID.TILE_SIZE / 2);
-            this.player.setVelocityY(0);
-            
-            if (!wasGrounded) {
-                this.player.isGrounded = true;
-                this.player.isRotating = true;
-                this.lastGroundedTime = this.time.now; // Track landing time
-            } else {
-                this.player.isGrounded = true;
-                this.lastGroundedTime = this.time.now; // Update grounded time
-            }
+        let event;
+        if (this.autopilot) {
+            this.pendingInput = []; // The autopilot has the controls
+            event = this.autopilot.nextInput(this.sim);
         } else {
-            this.player.isGrounded = false;
+            event = this.pendingInput.shift() || null;
         }
-        
-        // Game over if player falls below screen
-        if (this.player.y > screenHeight + 50) {
-            this.triggerGameOver();
+        if (event && this.recorder) {
+            this.recorder.record(this.sim.simStep + 1, event);
         }
+        return event;
     }
 }
 
+
 // Phaser game configuration
 const config = {
     type: Phaser.AUTO,
-    width: 800,
-    height: 300,
+    width: VIEW_WIDTH, // Resized to fit the window once the game is ready (see fitCanvasToWindow)
+    height: VIEW_HEIGHT,
     parent: 'game-container',
-    backgroundColor: '#ffffff', // White background to see the light gray tiles
-    physics: {
-        default: 'arcade',
-        arcade: {
-            gravity: { y: 0 }, // We'll apply gravity only to the player
-            debug: false
-        }
-    },
-    scene: CommitRunnerScene
+    scale: { mode: Phaser.Scale.NONE }, // Sized by hand, to get a canvas pixel per device pixel
+    backgroundColor: '#0d1117', // Matches the page - the game scene fills in its theme's background
+    input: { gamepad: true }, // Gamepad A jumps too
+    // Boot starts first; overlays come after the game so they draw on top of it
+    scene: [
+        BootScene, GameScene, VersusScene, BenchmarkScene,
+        TitleScene, SettingsScene, DailyScene, AchievementsScene, PauseScene, GameOverScene
+    ]
 };
 
 // Initialize the game
 const game = new Phaser.Game(config);
+
+// Fill the window at full sharpness, and again whenever it (or its pixel density) changes
+game.events.once(Phaser.Core.Events.READY, () => {
+    fitCanvasToWindow(game);
+    window.addEventListener('resize', () => fitCanvasToWindow(game));
+});
+
+// Wire up the level picker, replay and profile controls below the canvas
+setupLevelPanel(game);
+setupReplayPanel(game);
+setupProfilePanel(game);
+setupLeaderboardPanel(game);
@@ -0,0 +1,48 @@
+/**
+ * Accessibility options - reduced motion, game speed and a larger HUD
+ * Colorblind palettes and tile patterns are part of the theme (see themes.js)
+ */
+
+// Reduced motion setting choices: follow the browser's prefers-reduced-motion, or always on / off
+const REDUCED_MOTION_CHOICES = ['auto', 'on', 'off'];
+
+// Game speed setting (percent of full speed) - slows or quickens the clock, the run itself is the same
+const GAME_SPEED_MIN = 50;
+const GAME_SPEED_MAX = 150;
+const GAME_SPEED_STEP = 10;
+
+// How much bigger the HUD's text and charge bar are with the large HUD option
+const LARGE_HUD_SCALE = 1.5;
+
+/**
+ * Whether to hold back motion (the color wave, the player's spin and squash)
+ * @param {string} setting - Entry in REDUCED_MOTION_CHOICES
+ * @param {boolean} prefersReduced - Whether the browser asks for reduced motion
+ * @returns {boolean}
+ */
+function resolveReducedMotion(setting, prefersReduced) {
+    return setting === 'on' || (setting === 'auto' && prefersReduced);
+}
+
+/**
+ * Bring a game speed setting into range, on a step
+ * @param {*} value - Percent
+ * @returns {number} Percent
+ */
+function clampGameSpeed(value) {
+    const speed = Math.round(Number(value) / GAME_SPEED_STEP) * GAME_SPEED_STEP;
+    if (!Number.isFinite(speed)) return 100;
+    return Math.max(GAME_SPEED_MIN, Math.min(GAME_SPEED_MAX, speed));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REDUCED_MOTION_CHOICES,
+        GAME_SPEED_MIN,
+        GAME_SPEED_MAX,
+        GAME_SPEED_STEP,
+        LARGE_HUD_SCALE,
+        resolveReducedMotion,
+        clampGameSpeed
+    };
+}
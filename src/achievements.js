@@ -0,0 +1,145 @@
+/**
+ * Achievements - milestones unlocked by what happens in runs, with their progress kept in the profile
+ * Each achievement watches one kind of run event: a simulation event (jump, doubleJump, chargeJumpLaunch, land,
+ * sideHit, gameOver...) or a scoreMilestone, sent every SCORE_MILESTONE_STEP points
+ */
+
+// Points between scoreMilestone events
+const SCORE_MILESTONE_STEP = 100;
+
+// Time in the air over one run that never touched main (s)
+const AIRBORNE_TIME_GOAL = 30;
+
+// How close to GAME_OVER_BOUNDARY a wall has to push the player for surviving it to count as a rebase (px)
+const REBASE_MARGIN = GRID.TILE_FULL_SIZE * 2;
+
+// How long an unlock is announced in a run (ms)
+const ACHIEVEMENT_TOAST_DURATION = 3000;
+
+// Achievements by id, in the order the achievements screen lists them
+// event: the run event type it's checked on
+// test: whether an event counts (run is the run's AchievementTracker) - every event of the type counts without one
+// goal: counted events needed to unlock it, across runs (1 if missing)
+const ACHIEVEMENTS = {
+    hundredDayStreak: {
+        name: '100-day streak',
+        description: 'Reach 1000 points in a run',
+        event: 'scoreMilestone',
+        test: event => event.score >= 1000
+    },
+    forcePush: {
+        name: 'Force push',
+        description: 'Launch a fully charged jump',
+        event: 'chargeJumpLaunch',
+        test: event => event.chargeRatio >= 1
+    },
+    neverTouchedMain: {
+        name: 'Never touched main',
+        description: `Spend ${AIRBORNE_TIME_GOAL} seconds in the air in one run`,
+        event: 'land',
+        test: (event, run) => run.airborneTime >= AIRBORNE_TIME_GOAL
+    },
+    rebased: {
+        name: 'Rebased',
+        description: 'Land after a wall pushes you back to the edge',
+        event: 'land',
+        test: (event, run) => run.isRebasing
+    },
+    cherryPick: {
+        name: 'Cherry-pick',
+        description: 'Double jump 100 times',
+        event: 'doubleJump',
+        goal: 100
+    },
+    mergeConflict: {
+        name: 'Merge conflict',
+        description: 'Run into a merge conflict',
+        event: 'gameOver',
+        test: event => event.cause === 'conflict'
+    },
+    continuousIntegration: {
+        name: 'Continuous integration',
+        description: 'Finish 50 runs',
+        event: 'gameOver',
+        goal: 50
+    }
+};
+
+/**
+ * @param {string} id - Key in ACHIEVEMENTS
+ * @returns {number} Counted events needed to unlock the achievement
+ */
+function getAchievementGoal(id) {
+    return ACHIEVEMENTS[id].goal || 1;
+}
+
+/**
+ * Follows one run, counting its events toward the profile's achievements
+ */
+class AchievementTracker {
+    /**
+     * @param {ProfileStore} store - Where progress is kept
+     * @param {Simulation} sim - The run
+     */
+    constructor(store, sim) {
+        this.store = store;
+        this.sim = sim;
+        this.airborneTime = 0; // Seconds spent off the ground this run
+        this.isRebasing = false; // A wall pushed the player near the edge, and they haven't landed since
+        this.nextMilestone = SCORE_MILESTONE_STEP; // Score of the next scoreMilestone event
+    }
+
+    /**
+     * Check one simulation step's events (and the score milestones it passed) against the achievements
+     * @param {Array<Object>} events - Events returned by the step
+     * @returns {Array<string>} Ids of the achievements it unlocked
+     */
+    handleStep(events) {
+        const body = this.sim.player;
+        if (!body.isGrounded) {
+            this.airborneTime += FIXED_TIMESTEP_MS / 1000;
+        }
+
+        const runEvents = events.slice();
+        while (this.sim.score >= this.nextMilestone) {
+            runEvents.push({ type: 'scoreMilestone', score: this.nextMilestone });
+            this.nextMilestone += SCORE_MILESTONE_STEP;
+        }
+
+        const unlocked = [];
+        runEvents.forEach(event => {
+            if (event.type === 'sideHit') {
+                this.isRebasing = body.x < this.sim.config.GAME_OVER_BOUNDARY + REBASE_MARGIN;
+            }
+            unlocked.push(...this.countEvent(event));
+            if (event.type === 'land') {
+                this.isRebasing = false;
+            }
+        });
+        return unlocked;
+    }
+
+    /**
+     * Count an event toward every locked achievement watching for it
+     * @param {Object} event - Run event
+     * @returns {Array<string>} Ids of the achievements it unlocked
+     */
+    countEvent(event) {
+        return Object.keys(ACHIEVEMENTS).filter(id => {
+            const achievement = ACHIEVEMENTS[id];
+            if (achievement.event !== event.type || this.store.getAchievement(id).unlockedAt) return false;
+            if (achievement.test && !achievement.test(event, this)) return false;
+            return this.store.addAchievementProgress(id);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCORE_MILESTONE_STEP,
+        ACHIEVEMENT_TOAST_DURATION,
+        ACHIEVEMENTS,
+        getAchievementGoal,
+        AchievementTracker
+    };
+}
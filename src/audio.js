@@ -0,0 +1,360 @@
+/**
+ * Procedural audio - sound effects and a generative music loop synthesized with Web Audio, no audio files
+ * Plays through the AudioContext of Phaser's sound manager, which unlocks it on the first input
+ * and suspends it while the window is in the background
+ */
+
+// Percent a volume changes per step in the settings
+const VOLUME_STEP = 10;
+
+// Music tempo (beats per minute) at difficulty 0, added per difficulty level, and its cap
+const MUSIC_BASE_TEMPO = 96;
+const MUSIC_TEMPO_PER_LEVEL = 8;
+const MUSIC_MAX_TEMPO = 176;
+
+// Seconds of music scheduled ahead of the audio clock
+const MUSIC_LOOKAHEAD = 0.2;
+
+// A minor pentatonic notes (Hz) the melody wanders over
+const MUSIC_SCALE = [220, 261.63, 293.66, 329.63, 392, 440, 523.25, 587.33, 659.25];
+
+// Bass root of each bar (Am, F, C, G), looping
+const MUSIC_BASS_ROOTS = [110, 87.31, 130.81, 98];
+
+// Eighth notes per bar
+const MUSIC_STEPS_PER_BAR = 8;
+
+// Shortest gap between two side hit sounds (seconds) - the push fires every step against a wall
+const SIDE_HIT_SOUND_INTERVAL = 0.15;
+
+// Pitch of the charge build-up at no charge, and the octaves it climbs at full charge
+const CHARGE_BASE_FREQUENCY = 110;
+const CHARGE_OCTAVES = 2;
+
+/**
+ * Keep a volume setting to a whole percent from 0 to 100
+ * @param {*} value
+ * @param {number} fallback - Used when value isn't a finite number
+ * @returns {number}
+ */
+function clampVolume(value, fallback) {
+    const volume = Math.round(Number(value));
+    if (!Number.isFinite(volume)) return fallback;
+    return Math.max(0, Math.min(100, volume));
+}
+
+/**
+ * Synthesizes the game's sounds on demand
+ * Everything is a no-op when Web Audio isn't available
+ */
+class SynthAudio {
+    /**
+     * @param {AudioContext|null} context - Phaser's Web Audio context, if any
+     * @param {Object} settings - Profile settings (masterVolume, musicVolume, sfxVolume, muted)
+     */
+    constructor(context, settings) {
+        this.context = context;
+        this.chargeVoice = null; // Oscillator and gain of the charge build-up while it plays
+        this.lastSideHitTime = -Infinity;
+
+        // Music position
+        this.nextNoteTime = 0; // 0 = not playing, start fresh on the next update
+        this.musicStep = 0;
+        this.melodyIndex = 0;
+        if (!context) return;
+
+        // Master -> speakers, with music and effects on their own channels
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+        this.music = context.createGain();
+        this.music.connect(this.master);
+        this.sfx = context.createGain();
+        this.sfx.connect(this.master);
+        this.noiseBuffer = this.createNoiseBuffer();
+
+        this.applySettings(settings);
+    }
+
+    /**
+     * Set the channel volumes from the profile settings
+     * @param {Object} settings - masterVolume, musicVolume and sfxVolume (percent) and muted
+     */
+    applySettings(settings) {
+        if (!this.context) return;
+        // A gain that isn't a finite number throws, so a bad volume is silenced instead
+        this.master.gain.value = settings.muted ? 0 : clampVolume(settings.masterVolume, 0) / 100;
+        this.music.gain.value = clampVolume(settings.musicVolume, 0) / 100;
+        this.sfx.gain.value = clampVolume(settings.sfxVolume, 0) / 100;
+    }
+
+    /**
+     * Play the sound for a simulation event, if it has one
+     * @param {Object} event - Simulation event
+     */
+    playEvent(event) {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+
+        switch (event.type) {
+            case 'jump':
+                this.playTone({ wave: 'square', from: 330, to: 660, duration: 0.12, volume: 0.15 });
+                break;
+            case 'doubleJump':
+                // Two quick rising blips
+                this.playTone({ wave: 'triangle', from: 660, to: 990, duration: 0.08, volume: 0.3 });
+                this.playTone({ wave: 'triangle', from: 990, to: 1480, duration: 0.1, volume: 0.3, delay: 0.07 });
+                break;
+            case 'chargeJumpLaunch':
+                // Bigger charges sweep higher
+                this.stopCharge();
+                this.playTone({
+                    wave: 'sawtooth',
+                    from: 220,
+                    to: 440 + 1320 * event.chargeRatio,
+                    duration: 0.3,
+                    volume: 0.2
+                });
+                break;
+            case 'commit':
+                // A bright ping, a step higher for each multiplier
+                this.playTone({
+                    wave: 'sine',
+                    from: 880 * Math.pow(2, (event.multiplier - 1) / 6),
+                    to: 1320 * Math.pow(2, (event.multiplier - 1) / 6),
+                    duration: 0.1,
+                    volume: 0.25
+                });
+                break;
+            case 'powerUp':
+                // A rising three-note arpeggio
+                [523, 659, 784].forEach((frequency, index) => this.playTone({
+                    wave: 'square',
+                    from: frequency,
+                    to: frequency,
+                    duration: 0.08,
+                    volume: 0.15,
+                    delay: index * 0.06
+                }));
+                break;
+            case 'powerUpEnd':
+                // A power-up that saved the run (the rebase shield) makes itself heard; others just fade out
+                if (event.wasUsed) {
+                    this.playNoise({ duration: 0.2, volume: 0.4, filter: 'bandpass', frequency: 1500 });
+                    this.playTone({ wave: 'sawtooth', from: 220, to: 880, duration: 0.2, volume: 0.2 });
+                } else {
+                    this.playTone({ wave: 'sine', from: 660, to: 330, duration: 0.15, volume: 0.15 });
+                }
+                break;
+            case 'slide':
+                // A short scrape
+                this.playNoise({ duration: 0.15, volume: 0.3, filter: 'bandpass', frequency: 900 });
+                break;
+            case 'land':
+                this.playNoise({ duration: 0.08, volume: 0.5, filter: 'lowpass', frequency: 500 });
+                this.playTone({ wave: 'sine', from: 140, to: 60, duration: 0.08, volume: 0.4 });
+                break;
+            case 'sideHit':
+                if (now - this.lastSideHitTime < SIDE_HIT_SOUND_INTERVAL) break;
+                this.lastSideHitTime = now;
+                this.playTone({ wave: 'square', from: 160, to: 90, duration: 0.09, volume: 0.15 });
+                break;
+            case 'tileCrumbled':
+                // A dry crackle
+                this.playNoise({ duration: 0.12, volume: 0.3, filter: 'highpass', frequency: 2500 });
+                break;
+            case 'gameOver':
+                // Falling arpeggio
+                this.stopCharge();
+                [523.25, 392, 329.63, 261.63, 196].forEach((frequency, index) => {
+                    this.playTone({
+                        wave: 'triangle',
+                        from: frequency,
+                        to: frequency,
+                        duration: index === 4 ? 0.6 : 0.14,
+                        volume: 0.3,
+                        delay: index * 0.13
+                    });
+                });
+                break;
+        }
+    }
+
+    /**
+     * Play the charge build-up, pitched by how far the charge has got
+     * @param {number|null} chargeRatio - chargeJumpTime over its maximum (0-1), or null when not charging
+     */
+    updateCharge(chargeRatio) {
+        if (!this.context) return;
+        if (chargeRatio === null) {
+            this.stopCharge();
+            return;
+        }
+
+        if (!this.chargeVoice) {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            oscillator.type = 'sawtooth';
+            gain.gain.setValueAtTime(0, this.context.currentTime);
+            gain.gain.linearRampToValueAtTime(0.08, this.context.currentTime + 0.05);
+            oscillator.connect(gain);
+            gain.connect(this.sfx);
+            oscillator.start();
+            this.chargeVoice = { oscillator, gain };
+        }
+
+        const frequency = CHARGE_BASE_FREQUENCY * Math.pow(2, CHARGE_OCTAVES * chargeRatio);
+        this.chargeVoice.oscillator.frequency.setTargetAtTime(frequency, this.context.currentTime, 0.02);
+    }
+
+    /**
+     * Silence the charge build-up
+     */
+    stopCharge() {
+        if (!this.chargeVoice) return;
+        this.chargeVoice.oscillator.stop();
+        this.chargeVoice.gain.disconnect();
+        this.chargeVoice = null;
+    }
+
+    /**
+     * Keep the music scheduled a little ahead, at the tempo of the current difficulty level
+     * Call every frame while a run is going; the music stops by itself once calls stop
+     * @param {number} difficultyLevel - See getDifficultyLevel()
+     */
+    updateMusic(difficultyLevel) {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        const tempo = Math.min(MUSIC_MAX_TEMPO, MUSIC_BASE_TEMPO + difficultyLevel * MUSIC_TEMPO_PER_LEVEL);
+        const stepLength = 60 / tempo / 2; // Eighth notes
+
+        // (Re)start after a pause or a new run instead of catching up on missed notes
+        if (this.nextNoteTime < now) {
+            this.nextNoteTime = now + 0.05;
+        }
+
+        while (this.nextNoteTime < now + MUSIC_LOOKAHEAD) {
+            this.scheduleMusicStep(this.nextNoteTime, stepLength);
+            this.nextNoteTime += stepLength;
+            this.musicStep++;
+        }
+    }
+
+    /**
+     * Stop scheduling music (what's already scheduled plays out)
+     */
+    stopMusic() {
+        this.nextNoteTime = 0;
+        this.musicStep = 0;
+    }
+
+    /**
+     * Schedule the bass, melody and hi-hat of one eighth note
+     * @param {number} time - Audio clock time of the step
+     * @param {number} stepLength - Seconds per step
+     */
+    scheduleMusicStep(time, stepLength) {
+        const stepInBar = this.musicStep % MUSIC_STEPS_PER_BAR;
+        const bar = Math.floor(this.musicStep / MUSIC_STEPS_PER_BAR);
+        const delay = time - this.context.currentTime;
+
+        // Bass on beats 1 and 3
+        if (stepInBar % 4 === 0) {
+            const root = MUSIC_BASS_ROOTS[bar % MUSIC_BASS_ROOTS.length];
+            this.playTone({
+                wave: 'triangle', from: root, to: root, duration: stepLength * 2, volume: 0.35, delay, output: this.music
+            });
+        }
+
+        // Melody - a random walk over the scale, resting now and then
+        if (Math.random() < 0.6) {
+            const move = Math.floor(Math.random() * 5) - 2;
+            this.melodyIndex = Math.max(0, Math.min(MUSIC_SCALE.length - 1, this.melodyIndex + move));
+            const note = MUSIC_SCALE[this.melodyIndex];
+            this.playTone({
+                wave: 'square', from: note, to: note, duration: stepLength * 0.8, volume: 0.06, delay, output: this.music
+            });
+        }
+
+        // Hi-hat on the off-beats
+        if (stepInBar % 2 === 1) {
+            this.playNoise({
+                duration: 0.04, volume: 0.12, filter: 'highpass', frequency: 7000, delay, output: this.music
+            });
+        }
+    }
+
+    /**
+     * Play a pitched note with a quick attack and decay
+     * @param {Object} options
+     * @param {string} options.wave - Oscillator type (sine, square, triangle, sawtooth)
+     * @param {number} options.from - Start frequency (Hz)
+     * @param {number} options.to - End frequency (Hz), glided to exponentially
+     * @param {number} options.duration - Seconds
+     * @param {number} options.volume - Peak gain (0-1)
+     * @param {number} [options.delay] - Seconds from now
+     * @param {AudioNode} [options.output] - Channel to play on (sound effects by default)
+     */
+    playTone({ wave, from, to, duration, volume, delay = 0, output = this.sfx }) {
+        const start = this.context.currentTime + delay;
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(from, start);
+        oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    /**
+     * Play a filtered burst of noise (thuds and hi-hats)
+     * @param {Object} options
+     * @param {number} options.duration - Seconds
+     * @param {number} options.volume - Peak gain (0-1)
+     * @param {string} options.filter - Biquad filter type (lowpass, highpass, bandpass)
+     * @param {number} options.frequency - Filter cutoff (Hz)
+     * @param {number} [options.delay] - Seconds from now
+     * @param {AudioNode} [options.output] - Channel to play on (sound effects by default)
+     */
+    playNoise({ duration, volume, filter, frequency, delay = 0, output = this.sfx }) {
+        const start = this.context.currentTime + delay;
+        const source = this.context.createBufferSource();
+        const biquad = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+
+        source.buffer = this.noiseBuffer;
+        biquad.type = filter;
+        biquad.frequency.value = frequency;
+        gain.gain.setValueAtTime(volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+        source.connect(biquad);
+        biquad.connect(gain);
+        gain.connect(output);
+        source.start(start);
+        source.stop(start + duration);
+    }
+
+    /**
+     * Create half a second of white noise to play slices of
+     * @returns {AudioBuffer}
+     */
+    createNoiseBuffer() {
+        const length = Math.floor(this.context.sampleRate * 0.5);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const samples = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VOLUME_STEP, clampVolume, SynthAudio };
+}
@@ -0,0 +1,56 @@
+/**
+ * Benchmark run - the autopilot playing the benchmark seed, recorded for the benchmark to play back
+ * Generated by tools/build-benchmark-run.js - don't edit by hand
+ */
+
+const BENCHMARK_REPLAY = {
+    version: 8,
+    seed: 'benchmark',
+    level: null,
+    preset: 'normal',
+    timestep: FIXED_TIMESTEP_MS,
+    events: [
+        { step: 179, type: 'down' }, { step: 180, type: 'up' }, { step: 238, type: 'down' },
+        { step: 239, type: 'up' }, { step: 289, type: 'down' }, { step: 290, type: 'up' },
+        { step: 338, type: 'down' }, { step: 339, type: 'up' }, { step: 346, type: 'down' },
+        { step: 347, type: 'up' }, { step: 395, type: 'down' }, { step: 396, type: 'up' },
+        { step: 471, type: 'down' }, { step: 472, type: 'up' }, { step: 554, type: 'down' },
+        { step: 555, type: 'up' }, { step: 562, type: 'down' }, { step: 563, type: 'up' },
+        { step: 621, type: 'down' }, { step: 622, type: 'up' }, { step: 669, type: 'down' },
+        { step: 670, type: 'up' }, { step: 717, type: 'down' }, { step: 718, type: 'up' },
+        { step: 782, type: 'down' }, { step: 783, type: 'up' }, { step: 838, type: 'down' },
+        { step: 839, type: 'up' }, { step: 905, type: 'down' }, { step: 906, type: 'up' },
+        { step: 952, type: 'down' }, { step: 953, type: 'up' }, { step: 1001, type: 'down' },
+        { step: 1002, type: 'up' }, { step: 1091, type: 'down' }, { step: 1092, type: 'up' },
+        { step: 1210, type: 'down' }, { step: 1211, type: 'up' }, { step: 1275, type: 'down' },
+        { step: 1276, type: 'up' }, { step: 1283, type: 'down' }, { step: 1284, type: 'up' },
+        { step: 1327, type: 'down' }, { step: 1328, type: 'up' }, { step: 1381, type: 'down' },
+        { step: 1382, type: 'up' }, { step: 1429, type: 'down' }, { step: 1430, type: 'up' },
+        { step: 1494, type: 'down' }, { step: 1495, type: 'up' }, { step: 1502, type: 'down' },
+        { step: 1503, type: 'up' }, { step: 1551, type: 'down' }, { step: 1552, type: 'up' },
+        { step: 1597, type: 'slideDown' }, { step: 1605, type: 'slideUp' }, { step: 1622, type: 'down' },
+        { step: 1623, type: 'up' }, { step: 1681, type: 'down' }, { step: 1682, type: 'up' },
+        { step: 1689, type: 'down' }, { step: 1690, type: 'up' }, { step: 1738, type: 'down' },
+        { step: 1739, type: 'up' }, { step: 1898, type: 'slideDown' }, { step: 1906, type: 'slideUp' },
+        { step: 1918, type: 'down' }, { step: 1919, type: 'up' }, { step: 1920, type: 'down' },
+        { step: 1921, type: 'up' }, { step: 1971, type: 'down' }, { step: 2011, type: 'up' },
+        { step: 2064, type: 'down' }, { step: 2065, type: 'up' }, { step: 2136, type: 'down' },
+        { step: 2137, type: 'up' }, { step: 2200, type: 'down' }, { step: 2201, type: 'up' },
+        { step: 2254, type: 'down' }, { step: 2255, type: 'up' }, { step: 2311, type: 'down' },
+        { step: 2312, type: 'up' }, { step: 2351, type: 'slideDown' }, { step: 2359, type: 'slideUp' },
+        { step: 2363, type: 'down' }, { step: 2364, type: 'up' }, { step: 2423, type: 'down' },
+        { step: 2424, type: 'up' }, { step: 2480, type: 'down' }, { step: 2481, type: 'up' },
+        { step: 2488, type: 'down' }, { step: 2489, type: 'up' }, { step: 2563, type: 'down' },
+        { step: 2564, type: 'up' }, { step: 2607, type: 'down' }, { step: 2608, type: 'up' },
+        { step: 2663, type: 'down' }, { step: 2664, type: 'up' }
+    ],
+    trace: [],
+    steps: 2700,
+    score: 934
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BENCHMARK_REPLAY
+    };
+}
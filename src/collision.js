@@ -0,0 +1,112 @@
+/**
+ * Collision resolver - pushes the player out of solid tiles and finds the ground under it
+ * The player body is GRID.TILE_SIZE wide and body.height tall (less while sliding), centered on (x, y);
+ * tiles are positioned by their top-left corner, and overhang tiles reach up past the top of the screen
+ */
+
+/**
+ * Resolve the player body against solid tiles
+ * Side and ceiling hits move the body immediately; landing snaps it onto the highest tile under it
+ * @param {Object} body - Player body {x, y, vx, vy, height}
+ * @param {Array<{x: number, y: number}>} tiles - Solid tiles to test against
+ * @param {number} floorY - Lowest ground possible (the bottom of the screen)
+ * @returns {{standing: boolean, groundY: number, ground: Object|null, sideHit: boolean}} Contact result
+ *     (ground is the tile stood on)
+ */
+function resolveCollisions(body, tiles, floorY) {
+    const half = GRID.TILE_SIZE / 2;
+    const halfHeight = body.height / 2;
+
+    // Player bounds
+    const playerBottom = body.y + halfHeight;
+    const playerLeft = body.x - half;
+    const playerRight = body.x + half;
+    const playerTop = body.y - halfHeight;
+
+    let standing = false;
+    let groundY = floorY;
+    let ground = null;
+    let sideHit = false;
+
+    for (let i = 0; i < tiles.length; i++) {
+        const tile = tiles[i];
+
+        const tileTop = TILE_TYPES[tile.type].hangs ? -Infinity : tile.y;
+        const tileBottom = tile.y + GRID.TILE_SIZE;
+        const tileLeft = tile.x;
+        const tileRight = tile.x + GRID.TILE_SIZE;
+
+        // Check if player overlaps with tile
+        const overlapsX = playerRight > tileLeft + 1 && playerLeft < tileRight - 1;
+        const overlapsY = playerBottom > tileTop + 1 && playerTop < tileBottom - 1;
+
+        if (overlapsX && overlapsY) {
+            // There's a collision - resolve it
+            const overlapLeft = playerRight - tileLeft;
+            const overlapRight = tileRight - playerLeft;
+            const overlapTop = playerBottom - tileTop;
+            const overlapBottom = tileBottom - playerTop;
+
+            const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
+
+            // Push out in direction of smallest overlap
+            if (minOverlap === overlapTop && body.vy >= 0) {
+                // Landing on top
+                if (tileTop < groundY) {
+                    groundY = tileTop;
+                    ground = tile;
+                    standing = true;
+                }
+            } else if (minOverlap === overlapBottom && body.vy <= 0) {
+                // Hit bottom (jumping into ceiling)
+                body.y = tileBottom + halfHeight;
+                body.vy = 0;
+            } else if (minOverlap === overlapLeft) {
+                // Hit from left side - the wall pushes the player back
+                body.x = tileLeft - half;
+                body.vx = 0;
+                sideHit = true;
+            } else if (minOverlap === overlapRight) {
+                // Hit from right side
+                body.x = tileRight + half;
+                body.vx = 0;
+            }
+        } else if (overlapsX && !overlapsY) {
+            // Check if about to land
+            const gap = tileTop - playerBottom;
+            if (gap >= -1 && gap <= 3 && body.vy >= 0) {
+                if (tileTop < groundY) {
+                    groundY = tileTop;
+                    ground = tile;
+                    standing = true;
+                }
+            }
+        }
+    }
+
+    // Snap onto the ground
+    if (standing) {
+        body.y = groundY - halfHeight;
+        body.vy = 0;
+    }
+
+    return { standing, groundY, ground, sideHit };
+}
+
+/**
+ * Whether the player body is inside a tile (by more than the 1px edge the resolver allows)
+ * @param {Object} body - Player body {x, y, height}
+ * @param {{x: number, y: number, type: string}} tile
+ * @returns {boolean}
+ */
+function overlapsTile(body, tile) {
+    const half = GRID.TILE_SIZE / 2;
+    const halfHeight = body.height / 2;
+    const tileTop = TILE_TYPES[tile.type].hangs ? -Infinity : tile.y;
+    return body.x + half > tile.x + 1 && body.x - half < tile.x + GRID.TILE_SIZE - 1 &&
+        body.y + halfHeight > tileTop + 1 && body.y - halfHeight < tile.y + GRID.TILE_SIZE - 1;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { resolveCollisions, overlapsTile };
+}
@@ -0,0 +1,463 @@
+/**
+ * Column generator - decides the tiles of each new column
+ * Random columns come from the seeded RNG; a contribution level's columns are played first when one is loaded
+ */
+
+// Full-height columns at the start of every run for a smooth start
+const RUNWAY_COLUMNS = 30;
+
+// Most empty columns in a row - any gap the player has to cross is at most this wide
+const MAX_EMPTY_COLUMNS = 2;
+
+// Points per difficulty level
+const DIFFICULTY_SCORE_STEP = 200;
+
+// One in this many columns starts a trail of commit dots (when no trail is running)
+const COMMIT_TRAIL_CHANCE = 12;
+
+// Rows above the trail's first surface for each dot - roughly the arc of a single jump
+const COMMIT_TRAIL_ARC = [2, 3, 4, 4, 3, 2];
+
+// Shortest trail (dots)
+const COMMIT_TRAIL_MIN = 3;
+
+// Tile types a whole pattern of columns can be made of, once the difficulty reaches them
+const HAZARD_PATTERN_TYPES = ['FLAKY_TEST', 'FORCE_PUSH'];
+
+// One in this many patterns is made of a hazard tile (when any is unlocked)
+const HAZARD_PATTERN_CHANCE = 4;
+
+// One in this many gaps has a merge conflict at the bottom (once they're unlocked)
+const MERGE_CONFLICT_CHANCE = 2;
+
+// One in this many flat patterns has an overhang (once they're unlocked)
+const OVERHANG_CHANCE = 4;
+
+// Columns of a pattern before its overhang, to land on and duck in time
+const OVERHANG_RUN_UP = 3;
+
+// Columns of a pattern after its overhang, to stand back up on before the next move
+const OVERHANG_EXIT = 3;
+
+/**
+ * Height of a column's surface
+ * @param {Array<Object|null>} tiles - Tile per row, bottom row first
+ * @returns {number} Rows up to and including the top tile that can be stood on (0 for an empty column)
+ */
+function getColumnHeight(tiles) {
+    return tiles.reduce((top, tile, row) => (tile && isStandable(tile) ? row + 1 : top), 0);
+}
+
+/**
+ * @param {Object} tile
+ * @returns {boolean} Whether the player can stand on a tile (merge conflicts and overhangs can't be)
+ */
+function isStandable(tile) {
+    const rules = TILE_TYPES[tile.type];
+    return !rules.isLethal && !rules.hangs;
+}
+
+/**
+ * @param {Array<Object|null>} tiles - Tile per row, bottom row first
+ * @returns {boolean} Whether a column has an overhang (nothing floats above one)
+ */
+function hasOverhang(tiles) {
+    return tiles.some(tile => tile && TILE_TYPES[tile.type].hangs);
+}
+
+/**
+ * Difficulty level for a score - climbs get steeper and patterns longer with each level
+ * @param {number} score
+ * @returns {number} 0 at the start, +1 every DIFFICULTY_SCORE_STEP points
+ */
+function getDifficultyLevel(score) {
+    return Math.floor(score / DIFFICULTY_SCORE_STEP);
+}
+
+class ColumnGenerator {
+    /**
+     * @param {SeededRandom} rng - Seeded generator driving all random choices
+     * @param {ContributionLevel|null} level - Contribution level to play after the runway, if any
+     * @param {SolvabilityGuard|null} guard - Checks random columns can be survived, if given
+     * @param {Object} [config] - Game config (GAME_CONFIG or a difficulty preset's)
+     */
+    constructor(rng, level = null, guard = null, config = GAME_CONFIG) {
+        this.rng = rng;
+        this.level = level;
+        this.levelIndex = 0; // Next contribution column to play
+        this.guard = guard;
+        this.config = config;
+        this.scrollSpeed = config.SCROLL_SPEED; // Speed the latest column arrived at
+
+        // Track consecutive empty columns
+        this.consecutiveEmptyColumns = 0;
+
+        // Track total columns generated (for smooth start)
+        this.totalColumnsGenerated = 0;
+
+        // Track pattern generation (for same-height columns)
+        this.patternColumnsRemaining = 0;
+        this.patternHeight = 0;
+
+        // Track previous column height for height difference rule
+        this.previousColumnHeight = 7;
+
+        // What the player will be standing on when the next column arrives, for the guard
+        this.lastSolidHeight = 7;
+        this.lastSolidLength = 0;
+        this.emptyColumnsSinceSolid = 0;
+        this.estimatedCharge = config.JUMP_CHARGE_MAX;
+
+        // Commit dots draw from their own sequence, so they never change a seed's columns
+        this.commitRng = new SeededRandom(`${rng.seed}|commits`);
+        this.commitTrail = []; // Rows of the dots still to place in the current trail
+
+        // Power-ups too
+        this.powerUpRng = new SeededRandom(`${rng.seed}|powerUps`);
+
+        // And hazard tiles, so they only ever change a column's heights through the guard
+        this.tileRng = new SeededRandom(`${rng.seed}|tiles`);
+        this.patternType = 'GREEN_OBSTACLE'; // Tile type of the current pattern
+        this.overhangCountdown = -1; // Pattern columns left before its overhang (-1 = none coming)
+    }
+
+    /**
+     * Copy the generator, including its random sequence position (the guard's cache is shared)
+     * @returns {ColumnGenerator}
+     */
+    clone() {
+        const copy = Object.assign(Object.create(ColumnGenerator.prototype), this);
+        copy.rng = this.rng.clone();
+        copy.commitRng = this.commitRng.clone();
+        copy.commitTrail = this.commitTrail.slice();
+        copy.powerUpRng = this.powerUpRng.clone();
+        copy.tileRng = this.tileRng.clone();
+        return copy;
+    }
+
+    /**
+     * Generate the next column
+     * @param {number} score - Current score (drives difficulty)
+     * @param {number} [speed] - Current scroll speed (pixels/second)
+     * @returns {Array<Object|null>} Tile per row, bottom row first: {type, level} or null for background
+     *     (see createTile)
+     */
+    next(score, speed = this.config.SCROLL_SPEED) {
+        this.scrollSpeed = speed;
+
+        // After the runway, columns from a loaded contribution level take priority
+        if (this.totalColumnsGenerated >= RUNWAY_COLUMNS && this.level &&
+            this.levelIndex < this.level.columns.length) {
+            return this.nextDataColumn(this.level.columns[this.levelIndex++]);
+        }
+
+        const height = this.nextHeight(score);
+        const type = this.getTileType(height);
+        const tiles = [];
+        for (let row = 0; row < GRID.ROWS; row++) {
+            // Only the first 'height' rows are obstacles (from bottom up)
+            tiles.push(row < height ? createTile(type) : null);
+        }
+
+        // Merge conflicts fill the bottom of some gaps - falling in ends the run a little sooner, nothing more
+        if (height === 0 && TILE_TYPES.MERGE_CONFLICT.difficulty <= getDifficultyLevel(score) &&
+            this.tileRng.between(1, MERGE_CONFLICT_CHANCE) === 1) {
+            tiles[0] = createTile('MERGE_CONFLICT');
+        }
+
+        // An overhang hangs from above down to just over the surface
+        if (this.overhangCountdown === 0 && height > 0 && height < GRID.ROWS) {
+            for (let row = height; row < GRID.ROWS; row++) {
+                tiles[row] = createTile('OVERHANG');
+            }
+            // Nobody can jump from under it, or from the column they stand back up on past it,
+            // so neither counts toward the run-up the next move is checked with
+            this.lastSolidLength = -1;
+        }
+        this.overhangCountdown = Math.max(-1, this.overhangCountdown - 1);
+        return tiles;
+    }
+
+    /**
+     * Decide whether a new pattern gets an overhang, making it long enough to land, duck and stand back up
+     * Only patterns level with the surface before them get one - falling or jumping onto a pattern
+     * can take the player past its run-up before they're down to duck
+     * @param {number} difficultyLevel
+     * @param {number} height - The pattern's height
+     * @returns {number} Pattern columns before the overhang, or -1 for none
+     */
+    nextOverhang(difficultyLevel, height) {
+        if (height === 0 || height >= GRID.ROWS || height !== this.previousColumnHeight ||
+            this.patternType !== 'GREEN_OBSTACLE' ||
+            TILE_TYPES.OVERHANG.difficulty > difficultyLevel ||
+            this.tileRng.between(1, OVERHANG_CHANCE) !== 1) {
+            return -1;
+        }
+        this.patternColumnsRemaining = Math.max(this.patternColumnsRemaining, OVERHANG_RUN_UP + OVERHANG_EXIT);
+        return OVERHANG_RUN_UP;
+    }
+
+    /**
+     * Pick the tile type for a new pattern
+     * @param {number} difficultyLevel
+     * @returns {string} Key in TILE_TYPES
+     */
+    nextPatternType(difficultyLevel) {
+        const hazards = HAZARD_PATTERN_TYPES.filter(type => TILE_TYPES[type].difficulty <= difficultyLevel);
+        if (hazards.length === 0 || this.tileRng.between(1, HAZARD_PATTERN_CHANCE) !== 1) {
+            return 'GREEN_OBSTACLE';
+        }
+        return this.tileRng.pick(hazards);
+    }
+
+    /**
+     * Tile type for a random column of the current pattern
+     * @param {number} height - The column's height
+     * @returns {string} Key in TILE_TYPES
+     */
+    getTileType(height) {
+        // A force-push column needs a row under its top to sink into
+        if (this.patternType === 'FORCE_PUSH' && height < 2) {
+            return 'GREEN_OBSTACLE';
+        }
+        return this.patternType;
+    }
+
+    /**
+     * Decide whether a new column gets a commit dot floating above it
+     * Dots come in trails that arc up and down like a jump, starting from the surface they begin over
+     * @param {Array<Object|null>} tiles - The column's tiles, from next()
+     * @returns {number|null} Row of the dot (may be above the top grid row), or null for none
+     */
+    nextCommit(tiles) {
+        const height = getColumnHeight(tiles);
+
+        if (this.commitTrail.length === 0) {
+            if (this.totalColumnsGenerated <= RUNWAY_COLUMNS ||
+                this.commitRng.between(1, COMMIT_TRAIL_CHANCE) !== 1) {
+                return null;
+            }
+            // Trails start over a surface, so there's something to jump from
+            if (height === 0) return null;
+            const length = this.commitRng.between(COMMIT_TRAIL_MIN, COMMIT_TRAIL_ARC.length);
+            this.commitTrail = COMMIT_TRAIL_ARC.slice(0, length).map(lift => height - 1 + lift);
+        }
+
+        // A dot that would sit inside this column's tiles (or under an overhang) is skipped
+        const row = this.commitTrail.shift();
+        return row >= height && !hasOverhang(tiles) ? row : null;
+    }
+
+    /**
+     * Decide whether a new column (without a commit dot) gets a power-up, a hop above its surface
+     * @param {Array<Object|null>} tiles - The column's tiles, from next()
+     * @returns {{id: string, row: number}|null} Registered power-up and its row, or null for none
+     */
+    nextPowerUp(tiles) {
+        const ids = getPowerUpIds();
+        if (this.totalColumnsGenerated <= RUNWAY_COLUMNS || ids.length === 0 ||
+            this.powerUpRng.between(1, POWER_UP_CHANCE) !== 1 || hasOverhang(tiles)) {
+            return null;
+        }
+        const height = getColumnHeight(tiles);
+        return { id: this.powerUpRng.pick(ids), row: height + 1 };
+    }
+
+    /**
+     * Pick the height of the next random column (0-7 blocks)
+     * @param {number} score - Current score
+     * @returns {number}
+     */
+    nextHeight(score) {
+        // Calculate difficulty based on score (increases every 200 points)
+        const difficultyLevel = getDifficultyLevel(score);
+
+        // Max height difference: starts at 2, increases by 1 every 200 points
+        const maxHeightDiff = 2 + difficultyLevel;
+
+        // Pattern frequency: starts at 10-12, increases by 2 every 200 points
+        const patternMaxFreq = 12 + (difficultyLevel * 2);
+
+        let height;
+
+        // First columns are full height for smooth start
+        if (this.totalColumnsGenerated < RUNWAY_COLUMNS) {
+            height = 7;
+        } else if (this.patternColumnsRemaining > 0) {
+            // We're in a pattern (same-height columns)
+            height = this.patternHeight;
+            this.patternColumnsRemaining--;
+
+            // An empty pattern counts toward the gap limit too - past it, the pattern becomes a stepping stone
+            if (height === 0 && ++this.consecutiveEmptyColumns > MAX_EMPTY_COLUMNS) {
+                height = Math.min(this.lastSolidHeight, maxHeightDiff);
+                this.patternHeight = height;
+                this.consecutiveEmptyColumns = 0;
+            }
+        } else {
+            // Generate new height with constraints
+            let attempts = 0;
+            do {
+                height = this.rng.between(0, 7);
+                attempts++;
+
+                // If too many attempts, just clamp the height
+                if (attempts > 10) {
+                    height = Math.max(0, Math.min(7,
+                        this.previousColumnHeight - maxHeightDiff,
+                        this.previousColumnHeight + maxHeightDiff
+                    ));
+                    break;
+                }
+            } while (Math.abs(height - this.previousColumnHeight) > maxHeightDiff);
+
+            // Enforce rule: no more than MAX_EMPTY_COLUMNS consecutive empty columns
+            if (height === 0) {
+                this.consecutiveEmptyColumns++;
+                if (this.consecutiveEmptyColumns > MAX_EMPTY_COLUMNS) {
+                    // Force at least 1 block
+                    height = this.rng.between(1, Math.min(7, this.previousColumnHeight + maxHeightDiff));
+                    this.consecutiveEmptyColumns = 0;
+                }
+            } else {
+                this.consecutiveEmptyColumns = 0;
+            }
+
+            // MANDATORY: Always create at least 2 columns of the same height
+            // This ensures no standalone single columns
+            this.patternHeight = height;
+            this.patternColumnsRemaining = 1; // At least 1 more column of same height
+
+            // Randomly extend the pattern to 3+ columns
+            // Frequency increases with difficulty
+            const patternChance = this.rng.between(1, patternMaxFreq);
+            if (patternChance <= 3) {
+                // Extend to 3 columns of same height
+                this.patternColumnsRemaining = 2; // 2 more columns after this one
+            } else if (patternChance === patternMaxFreq) {
+                // Extend to 4 columns of same height (rarer)
+                this.patternColumnsRemaining = 3; // 3 more columns after this one
+            }
+            this.patternType = this.nextPatternType(difficultyLevel);
+            this.overhangCountdown = this.nextOverhang(difficultyLevel, height);
+        }
+
+        // Replace columns the player could not get past
+        if (this.guard && this.totalColumnsGenerated >= RUNWAY_COLUMNS) {
+            height = this.guardHeight(height);
+        }
+
+        // Store this height for next column's height difference check
+        this.previousColumnHeight = height;
+        this.totalColumnsGenerated++;
+
+        // A force-push column sinks a row at times, so the next move is checked from its low point
+        this.trackSurface(TILE_TYPES[this.getTileType(height)].moves ? height - 1 : height);
+        return height;
+    }
+
+    /**
+     * Check a random column against the guard, repairing it if it can't be survived
+     * @param {number} height - Chosen height
+     * @returns {number} Height to use
+     */
+    guardHeight(height) {
+        const from = this.lastSolidHeight;
+        const runUp = this.lastSolidLength;
+        const gap = this.emptyColumnsSinceSolid;
+
+        // An empty column only needs the gap to stay jumpable back to the same height
+        const result = height === 0
+            ? this.guard.check(from, runUp, gap + 1, from, this.estimatedCharge, this.scrollSpeed)
+            : this.guard.check(from, runUp, gap, height, this.estimatedCharge, this.scrollSpeed);
+        if (result.survivable) {
+            this.spendCharge(result);
+            return height;
+        }
+
+        // Step the height toward the last surface until it can be reached
+        const target = height === 0 ? from : height;
+        for (let repaired = target; repaired !== from; repaired -= Math.sign(target - from)) {
+            const retry = this.guard.check(from, runUp, gap, repaired, this.estimatedCharge, this.scrollSpeed);
+            if (retry.survivable) {
+                this.spendCharge(retry);
+                return this.repairPattern(repaired);
+            }
+        }
+        return this.repairPattern(from);
+    }
+
+    /**
+     * Keep the rest of the current pattern at a repaired height
+     * @param {number} height
+     * @returns {number}
+     */
+    repairPattern(height) {
+        this.patternHeight = height;
+        if (height > 0) {
+            this.consecutiveEmptyColumns = 0;
+        }
+        return height;
+    }
+
+    /**
+     * Take the charge a guarded move needs out of the estimate
+     * @param {{doubleJumps: number, chargeJump: boolean}} result - Guard result
+     */
+    spendCharge(result) {
+        if (result.chargeJump) {
+            this.estimatedCharge = 0;
+        } else {
+            this.estimatedCharge -= result.doubleJumps * this.config.JUMP_CHARGE_COST;
+        }
+    }
+
+    /**
+     * Track the surface and the charge the player regains while a column scrolls by
+     * @param {number} height - Height of the column just generated
+     */
+    trackSurface(height) {
+        if (height > 0) {
+            const continues = height === this.lastSolidHeight && this.emptyColumnsSinceSolid === 0;
+            this.lastSolidLength = continues ? this.lastSolidLength + 1 : 1;
+            this.lastSolidHeight = height;
+            this.emptyColumnsSinceSolid = 0;
+        } else {
+            this.emptyColumnsSinceSolid++;
+        }
+        this.estimatedCharge = Math.min(this.config.JUMP_CHARGE_MAX, this.estimatedCharge +
+            this.config.JUMP_CHARGE_RATE * GRID.TILE_FULL_SIZE / this.scrollSpeed);
+    }
+
+    /**
+     * Turn a contribution column into tiles
+     * @param {Array<number>} levels - Green level per row, bottom row first (0 = empty)
+     * @returns {Array<Object|null>}
+     */
+    nextDataColumn(levels) {
+        const topSolidRow = levels.reduce((top, level, row) => (level > 0 ? row : top), -1);
+
+        // Keep the random generator's constraints in sync for when the data runs out
+        this.previousColumnHeight = topSolidRow + 1;
+        this.patternColumnsRemaining = 0;
+        this.patternType = 'GREEN_OBSTACLE';
+        this.overhangCountdown = -1;
+        this.consecutiveEmptyColumns = topSolidRow < 0 ? this.consecutiveEmptyColumns + 1 : 0;
+        this.totalColumnsGenerated++;
+        this.trackSurface(topSolidRow + 1);
+
+        return levels.map(level => (level > 0 ? createTile('GREEN_OBSTACLE', level) : null));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUNWAY_COLUMNS,
+        MAX_EMPTY_COLUMNS,
+        DIFFICULTY_SCORE_STEP,
+        getColumnHeight,
+        hasOverhang,
+        getDifficultyLevel,
+        ColumnGenerator
+    };
+}
@@ -0,0 +1,193 @@
+/**
+ * Column pool - the tile images of the columns on screen, recycled instead of created and destroyed
+ * Columns are placed once at their world X inside a world container; scrolling moves the container, not the tiles
+ */
+
+// Extra column views created up front beyond the columns the Simulation starts with
+const COLUMN_POOL_SPARE = 4;
+
+class ColumnPool {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {number} size - Column views to create up front
+     * @param {number} bottomY - Top Y of the bottom row's tiles
+     */
+    constructor(scene, size, bottomY) {
+        this.scene = scene;
+        this.bottomY = bottomY;
+        this.world = scene.add.container(0, 0);
+        this.world.setDepth(0);
+
+        this.freeViews = [];
+        this.activeViews = new Map(); // Column id -> view
+        for (let i = 0; i < size; i++) {
+            this.freeViews.push(this.createView());
+        }
+    }
+
+    /**
+     * Create the images for one column (its tiles, a commit dot and power-up that float above it, and a ceiling
+     * that an overhang hangs from), hidden until used
+     * @returns {{images: Array<Phaser.GameObjects.Image>, commit: Phaser.GameObjects.Image,
+     *     powerUp: Phaser.GameObjects.Image, ceiling: Phaser.GameObjects.Image}}
+     */
+    createView() {
+        const images = [];
+        for (let row = 0; row < GRID.ROWS; row++) {
+            const image = this.scene.add.image(0, this.bottomY - row * GRID.TILE_FULL_SIZE, 'grayTile');
+            image.setOrigin(0, 0);
+            image.setDisplaySize(GRID.TILE_SIZE, GRID.TILE_SIZE);
+            image.setVisible(false);
+            images.push(image);
+        }
+        const commit = this.scene.add.image(0, 0, 'commitDot');
+        const powerUp = this.scene.add.image(0, 0, 'powerUp');
+        const ceiling = this.scene.add.image(0, 0, 'greenTile');
+        commit.setVisible(false);
+        powerUp.setVisible(false);
+        ceiling.setOrigin(0, 0);
+        ceiling.setVisible(false);
+        this.world.add(images);
+        this.world.add([commit, powerUp, ceiling]);
+        return { images, commit, powerUp, ceiling };
+    }
+
+    /**
+     * Take a free view for a column (growing the pool if it ever runs out)
+     * @param {number} columnId - Simulation column id
+     * @param {number} worldX - The column's X in world space (screen X plus the distance scrolled)
+     * @returns {{images: Array<Phaser.GameObjects.Image>}} The view, bottom row first, for the caller to dress
+     *     (its commit dot, power-up and ceiling stay hidden until shown)
+     */
+    acquire(columnId, worldX) {
+        const view = this.freeViews.pop() || this.createView();
+        view.images.forEach((image, row) => {
+            image.setPosition(worldX, this.bottomY - row * GRID.TILE_FULL_SIZE);
+            image.setVisible(true);
+        });
+        this.activeViews.set(columnId, view);
+        return view;
+    }
+
+    /**
+     * @param {number} columnId
+     * @param {number} row - Grid row (0 = bottom)
+     * @returns {Phaser.GameObjects.Image|null} The image for a tile of a column on screen
+     */
+    getTileImage(columnId, row) {
+        const view = this.activeViews.get(columnId);
+        return view ? view.images[row] : null;
+    }
+
+    /**
+     * Move a sinking column's solid tiles down from their rows (background tiles stay put)
+     * @param {number} columnId
+     * @param {Array<Object|null>} tiles - The column's tiles, bottom row first
+     * @param {number} drop - How far it has sunk (px)
+     */
+    setColumnDrop(columnId, tiles, drop) {
+        const view = this.activeViews.get(columnId);
+        if (!view) return;
+        view.images.forEach((image, row) => {
+            image.y = this.bottomY - row * GRID.TILE_FULL_SIZE + (tiles[row] ? drop : 0);
+        });
+    }
+
+    /**
+     * Hand a column's view back to the pool once the column has scrolled away
+     * @param {number} columnId
+     */
+    release(columnId) {
+        const view = this.activeViews.get(columnId);
+        if (!view) return;
+        view.images.forEach(image => image.setVisible(false));
+        view.commit.setVisible(false);
+        view.powerUp.setVisible(false);
+        view.ceiling.setVisible(false);
+        this.activeViews.delete(columnId);
+        this.freeViews.push(view);
+    }
+
+    /**
+     * Show (or move) a column's commit dot
+     * @param {number} columnId
+     * @param {number} x - Center X in world space
+     * @param {number} y - Center Y
+     */
+    showCommit(columnId, x, y) {
+        const view = this.activeViews.get(columnId);
+        if (view) {
+            view.commit.setPosition(x, y).setVisible(true);
+        }
+    }
+
+    /**
+     * Hide a column's commit dot once it has been picked up
+     * @param {number} columnId
+     */
+    hideCommit(columnId) {
+        const view = this.activeViews.get(columnId);
+        if (view) {
+            view.commit.setVisible(false);
+        }
+    }
+
+    /**
+     * Show a column's power-up
+     * @param {number} columnId
+     * @param {number} x - Center X in world space
+     * @param {number} y - Center Y
+     * @param {number} color - The power-up's color
+     */
+    showPowerUp(columnId, x, y, color) {
+        const view = this.activeViews.get(columnId);
+        if (view) {
+            view.powerUp.setPosition(x, y).setTint(color).setVisible(true);
+        }
+    }
+
+    /**
+     * Hide a column's power-up once it has been picked up
+     * @param {number} columnId
+     */
+    hidePowerUp(columnId) {
+        const view = this.activeViews.get(columnId);
+        if (view) {
+            view.powerUp.setVisible(false);
+        }
+    }
+
+    /**
+     * Show a column's ceiling, from the top of the screen down to its overhang
+     * @param {number} columnId
+     * @param {number} bottomY - Where the ceiling ends
+     * @param {number} color
+     */
+    showCeiling(columnId, bottomY, color) {
+        const view = this.activeViews.get(columnId);
+        if (view) {
+            view.ceiling.setPosition(view.images[0].x, 0).setDisplaySize(GRID.TILE_SIZE, bottomY);
+            view.ceiling.setTint(color).setVisible(true);
+        }
+    }
+
+    /**
+     * Scroll the whole world
+     * @param {number} worldX - Distance scrolled (Simulation worldX)
+     */
+    scrollTo(worldX) {
+        this.world.x = -worldX;
+    }
+
+    /**
+     * Visit every tile image of the columns on screen
+     * @param {function(Phaser.GameObjects.Image): void} callback
+     */
+    forEachImage(callback) {
+        this.activeViews.forEach(view => view.images.forEach(callback));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COLUMN_POOL_SPARE, ColumnPool };
+}
@@ -0,0 +1,94 @@
+/**
+ * Game constants shared by the simulation and the Phaser scene
+ */
+
+// Colors that stay the same in every theme (the greens, empty tiles, player and HUD follow the theme - see themes.js)
+const COLORS = {
+    COMMIT: 0x8250df,        // Purple (commit dots)
+    FLAKY_TEST: 0xd4a72c,    // Yellow (crumbling tiles)
+    FORCE_PUSH: 0xfb8f44,    // Orange (moving tiles)
+    MERGE_CONFLICT: 0xcf222e, // Red (lethal tiles)
+    OVERHANG: 0x57606a       // Slate (overhangs to slide under)
+};
+
+// Grid configuration matching GitHub contribution graph
+const GRID = {
+    TILE_SIZE: 13,           // Size of each square tile
+    GAP: 2,                  // Gap between tiles
+    ROWS: 7,                 // Number of rows (days of the week)
+    TILE_FULL_SIZE: 15       // TILE_SIZE + GAP
+};
+
+// Game configuration
+const GAME_CONFIG = {
+    SCROLL_SPEED: 120,       // How fast the world scrolls left at the start (pixels/second)
+    SCROLL_SPEED_MAX: 200,   // Scroll speed cap (pixels/second)
+    SCROLL_ACCELERATION: 1,  // Scroll speed gained per second of the run (pixels/second²)
+    JUMP_VELOCITY: -400,     // Player jump strength
+    GRAVITY: 1000,           // Gravity strength
+    PLAYER_START_X: 150,     // Player's X position on screen
+    PLAYER_PUSH_FORCE: 80,   // How far player gets pushed back on collision
+    GAME_OVER_BOUNDARY: -GRID.TILE_SIZE,   // X position that triggers game over (completely off screen)
+    JUMP_CHARGE_MAX: 100,    // Maximum jump charge
+    JUMP_CHARGE_COST: 50,    // Charge cost per jump
+    JUMP_CHARGE_RATE: 25,    // Charge recovery per second when grounded
+    CHARGE_JUMP_THRESHOLD: 0.25, // Minimum time (seconds) to hold space for charge jump
+    CHARGE_JUMP_MAX_TIME: 1.5, // Maximum charge time in seconds
+    CHARGE_JUMP_MIN_VELOCITY: -400, // Minimum jump velocity
+    CHARGE_JUMP_MAX_VELOCITY: -700, // Maximum jump velocity when fully charged
+    CHARGE_JUMP_HORIZONTAL_VELOCITY: 150, // Horizontal velocity boost when fully charged
+    CHARGE_JUMP_SQUASH_HEIGHT: 0.1, // Squash to 10% of original height
+    SLIDE_HEIGHT: 0.5,       // Hitbox height while sliding, as a fraction of the standing height
+    FAST_FALL_VELOCITY: 500  // Falling speed while slide is held in the air
+};
+
+// Difficulty presets - each is a complete game config, picked from the title screen
+const DIFFICULTY_PRESETS = {
+    chill: {
+        name: 'Chill',
+        config: Object.assign({}, GAME_CONFIG, {
+            SCROLL_SPEED: 100,
+            SCROLL_SPEED_MAX: 140,
+            SCROLL_ACCELERATION: 0.5,
+            JUMP_CHARGE_RATE: 35
+        })
+    },
+    normal: {
+        name: 'Normal',
+        config: GAME_CONFIG
+    },
+    crunch: {
+        name: 'Crunch Time',
+        config: Object.assign({}, GAME_CONFIG, {
+            SCROLL_SPEED: 140,
+            SCROLL_SPEED_MAX: 260,
+            SCROLL_ACCELERATION: 2,
+            JUMP_CHARGE_RATE: 20
+        })
+    }
+};
+
+// Preset for new players and unknown preset ids
+const DEFAULT_PRESET = 'normal';
+
+/**
+ * Check that an id names a difficulty preset (and not something every object has, like "constructor")
+ * @param {*} id
+ * @returns {boolean}
+ */
+function isPresetId(id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, id);
+}
+
+/**
+ * Look up a difficulty preset
+ * @param {string} id - Key in DIFFICULTY_PRESETS
+ * @returns {{name: string, config: Object}} The preset, or the default one if the id is unknown
+ */
+function getPreset(id) {
+    return DIFFICULTY_PRESETS[isPresetId(id) ? id : DEFAULT_PRESET];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COLORS, GRID, GAME_CONFIG, DIFFICULTY_PRESETS, DEFAULT_PRESET, isPresetId, getPreset };
+}
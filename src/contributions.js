@@ -0,0 +1,251 @@
+/**
+ * Contribution data levels
+ * Turns a contribution calendar (GitHub JSON, date,count CSV or a git log export) into columns of tiles:
+ * one column per week, one row per day, green level from the day's contribution count
+ */
+
+// Number of green levels in the contribution palette (GREEN_1 to GREEN_4)
+const CONTRIBUTION_LEVELS = 4;
+
+// Same rule as the random generator: never more than 2 empty columns in a row
+const MAX_EMPTY_DATA_COLUMNS = 2;
+
+/**
+ * Find the weeks array in any of the shapes GitHub returns the calendar in
+ * @param {Object} json - Parsed JSON
+ * @returns {Array|null} Weeks array, or null if none was found
+ */
+function findCalendarWeeks(json) {
+    if (!json || typeof json !== 'object') return null;
+    if (Array.isArray(json.weeks)) return json.weeks;
+
+    const candidates = [
+        json.contributionCalendar,
+        json.contributionsCollection && json.contributionsCollection.contributionCalendar,
+        json.user && json.user.contributionsCollection &&
+            json.user.contributionsCollection.contributionCalendar,
+        json.data && json.data.user && json.data.user.contributionsCollection &&
+            json.data.user.contributionsCollection.contributionCalendar
+    ];
+    const calendar = candidates.find(candidate => candidate && Array.isArray(candidate.weeks));
+    return calendar ? calendar.weeks : null;
+}
+
+/**
+ * Parse GitHub's contribution calendar JSON (weeks[].contributionDays[].contributionCount)
+ * @param {Object} json - Parsed JSON
+ * @returns {Array<{date: string, count: number}>} Days in calendar order
+ */
+function parseContributionCalendar(json) {
+    const weeks = findCalendarWeeks(json);
+    if (!weeks) {
+        throw new Error('No contribution calendar found (expected weeks[].contributionDays[])');
+    }
+
+    const days = [];
+    weeks.forEach(week => {
+        (week.contributionDays || []).forEach(day => {
+            days.push({
+                date: day.date,
+                count: Math.max(0, parseInt(day.contributionCount, 10) || 0)
+            });
+        });
+    });
+    return days;
+}
+
+/**
+ * Parse a simple "date,count" CSV (header row and blank lines are skipped)
+ * @param {string} text - CSV text
+ * @returns {Array<{date: string, count: number}>} Days in file order
+ */
+function parseContributionCsv(text) {
+    const days = [];
+    text.split(/\r?\n/).forEach(line => {
+        const [date, count] = line.split(',').map(part => part.trim());
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return;
+        days.push({ date, count: Math.max(0, parseInt(count, 10) || 0) });
+    });
+    if (days.length === 0) {
+        throw new Error('No "date,count" rows found');
+    }
+    return days;
+}
+
+/**
+ * Parse the output of `git log --date=short --pretty=%ad`, bucketing commits per day
+ * Lines that don't start with a date (blank lines, merge noise) are ignored
+ * @param {string} text - git log output, one commit date per line
+ * @returns {Array<{date: string, count: number}>} Days with at least one commit
+ */
+function parseGitLog(text) {
+    const commitsPerDay = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.trim().match(/^(\d{4}-\d{2}-\d{2})\b/);
+        if (!match) return;
+        commitsPerDay.set(match[1], (commitsPerDay.get(match[1]) || 0) + 1);
+    });
+    if (commitsPerDay.size === 0) {
+        throw new Error('No commit dates found (expected git log --date=short --pretty=%ad)');
+    }
+    return Array.from(commitsPerDay, ([date, count]) => ({ date, count }));
+}
+
+/**
+ * Check whether text looks like a git log export (only bare dates, no counts)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isGitLogText(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    return lines.length > 0 && lines.every(line => /^\d{4}-\d{2}-\d{2}$/.test(line));
+}
+
+/**
+ * Get the quartile thresholds GitHub uses to pick a green level for a count
+ * @param {Array<number>} counts - All day counts
+ * @returns {Array<number>} Upper bounds for levels 1-3 (anything above is level 4)
+ */
+function getLevelThresholds(counts) {
+    const nonZero = counts.filter(count => count > 0).sort((a, b) => a - b);
+    if (nonZero.length === 0) return [0, 0, 0];
+
+    const quartile = q => nonZero[Math.min(nonZero.length - 1, Math.floor(nonZero.length * q))];
+    return [quartile(0.25), quartile(0.5), quartile(0.75)];
+}
+
+/**
+ * Map a day count to a green level (0 = no contributions, 1-4 = green shade)
+ * @param {number} count
+ * @param {Array<number>} thresholds - From getLevelThresholds()
+ * @returns {number}
+ */
+function getContributionLevel(count, thresholds) {
+    if (count <= 0) return 0;
+    for (let i = 0; i < thresholds.length; i++) {
+        if (count <= thresholds[i]) return i + 1;
+    }
+    return CONTRIBUTION_LEVELS;
+}
+
+/**
+ * Group days into Sunday-first weeks and turn each week into a column
+ * Rows are bottom-up like the game grid, so Sunday (top of the graph) is the top row
+ * @param {Array<{date: string, count: number}>} days
+ * @returns {Array<Array<number>>} Columns of per-row green levels (0 = empty)
+ */
+function buildContributionColumns(days) {
+    const validDays = days
+        .map(day => ({ time: Date.parse(`${day.date}T00:00:00Z`), count: day.count }))
+        .filter(day => !isNaN(day.time))
+        .sort((a, b) => a.time - b.time);
+    if (validDays.length === 0) {
+        throw new Error('No dated contributions found');
+    }
+
+    const thresholds = getLevelThresholds(validDays.map(day => day.count));
+    const dayMs = 24 * 60 * 60 * 1000;
+    const firstWeekStart = validDays[0].time - new Date(validDays[0].time).getUTCDay() * dayMs;
+
+    const weeks = [];
+    validDays.forEach(day => {
+        const weekIndex = Math.floor((day.time - firstWeekStart) / (7 * dayMs));
+        const weekday = new Date(day.time).getUTCDay();
+        while (weeks.length <= weekIndex) {
+            weeks.push(new Array(GRID.ROWS).fill(0));
+        }
+        const row = GRID.ROWS - 1 - weekday;
+        weeks[weekIndex][row] += day.count;
+    });
+
+    let emptyColumns = 0;
+    return weeks.map(week => {
+        const column = week.map(count => getContributionLevel(count, thresholds));
+
+        // Quiet stretches become stepping stones rather than impossible gaps
+        if (column.every(level => level === 0)) {
+            emptyColumns++;
+            if (emptyColumns > MAX_EMPTY_DATA_COLUMNS) {
+                column[0] = 1;
+                emptyColumns = 0;
+            }
+        } else {
+            emptyColumns = 0;
+        }
+        return column;
+    });
+}
+
+/**
+ * Parse contribution text, detecting JSON, git log or CSV from its content
+ * @param {string} text - File contents
+ * @returns {Array<Array<number>>} Level columns
+ */
+function parseContributionText(text) {
+    const trimmed = text.trim();
+    let days;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        days = parseContributionCalendar(JSON.parse(trimmed));
+    } else if (isGitLogText(trimmed)) {
+        days = parseGitLog(trimmed);
+    } else {
+        days = parseContributionCsv(trimmed);
+    }
+    return buildContributionColumns(days);
+}
+
+/**
+ * A level of pre-built columns, played by the ColumnGenerator before it hands over to random columns
+ */
+class ContributionLevel {
+    /**
+     * @param {Array<Array<number>>} columns - Per-row green levels, bottom row first
+     * @param {string} name - Label shown to the player
+     */
+    constructor(columns, name) {
+        this.columns = columns;
+        this.name = name;
+    }
+}
+
+/**
+ * Read a contributions file chosen with a file picker
+ * @param {File} file
+ * @returns {Promise<ContributionLevel>}
+ */
+function loadContributionFile(file) {
+    return file.text().then(text => new ContributionLevel(parseContributionText(text), file.name));
+}
+
+/**
+ * Build a level from pasted git log output
+ * @param {string} text - Output of `git log --date=short --pretty=%ad`
+ * @returns {ContributionLevel}
+ */
+function loadGitLogText(text) {
+    return new ContributionLevel(buildContributionColumns(parseGitLog(text)), 'git log');
+}
+
+/**
+ * Load the bundled sample year
+ * @returns {Promise<ContributionLevel>}
+ */
+function loadSampleContributions() {
+    return fetch('samples/contributions.json')
+        .then(response => {
+            if (!response.ok) throw new Error(`Could not load sample (${response.status})`);
+            return response.text();
+        })
+        .then(text => new ContributionLevel(parseContributionText(text), 'Sample year'));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseContributionCalendar,
+        parseContributionCsv,
+        parseGitLog,
+        buildContributionColumns,
+        parseContributionText,
+        ContributionLevel
+    };
+}
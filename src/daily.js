@@ -0,0 +1,90 @@
+/**
+ * Daily Commit - one level a day, the same for everyone, seeded from the UTC date
+ * Each player gets one scored attempt a day (kept in their profile's daily history) and as much practice as they like
+ */
+
+// Everyone plays the daily level on the same difficulty preset
+const DAILY_PRESET = DEFAULT_PRESET;
+
+// Days kept in the daily history
+const DAILY_HISTORY_SIZE = 30;
+
+// The share grid: weeks (grid columns) of 7 days (grid rows), filled a day per DAILY_SHARE_CELL_COLUMNS travelled,
+// top to bottom and left to right like a contribution graph
+const DAILY_SHARE_WEEKS = 6;
+const DAILY_SHARE_CELL_COLUMNS = 20;
+
+/**
+ * Get the daily level's date
+ * @param {Date} [now]
+ * @returns {string} UTC date, YYYY-MM-DD
+ */
+function getDailyDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the seed of a day's level
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function getDailySeed(date) {
+    return `daily-${date}`;
+}
+
+/**
+ * Draw how far a daily attempt got as a mini contribution graph
+ * @param {number} distance - Columns travelled
+ * @returns {string} GRID.ROWS lines of emoji squares
+ */
+function formatDailyGrid(distance) {
+    const filledCells = Math.floor(distance / DAILY_SHARE_CELL_COLUMNS);
+    const lines = [];
+    for (let row = 0; row < GRID.ROWS; row++) {
+        let line = '';
+        for (let week = 0; week < DAILY_SHARE_WEEKS; week++) {
+            line += week * GRID.ROWS + row < filledCells ? '🟩' : '⬜';
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Write a daily attempt up for pasting into chat
+ * @param {string} date - YYYY-MM-DD
+ * @param {{score: number, distance: number}} result
+ * @returns {string}
+ */
+function formatDailyShare(date, result) {
+    return `Commit Dash - Daily Commit ${date}\n` +
+        `${result.score} points, ${result.distance} columns\n` +
+        formatDailyGrid(result.distance);
+}
+
+/**
+ * Copy a daily attempt's share text to the clipboard
+ * @param {string} date - YYYY-MM-DD
+ * @param {{score: number, distance: number}} result
+ * @returns {Promise<boolean>} Whether it was copied (the clipboard can be missing or blocked - the caller says so)
+ */
+function copyDailyShare(date, result) {
+    if (typeof navigator === 'undefined' || !navigator.clipboard) {
+        return Promise.resolve(false);
+    }
+    return navigator.clipboard.writeText(formatDailyShare(date, result)).then(() => true, () => false);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DAILY_PRESET,
+        DAILY_HISTORY_SIZE,
+        DAILY_SHARE_WEEKS,
+        DAILY_SHARE_CELL_COLUMNS,
+        getDailyDate,
+        getDailySeed,
+        formatDailyGrid,
+        formatDailyShare,
+        copyDailyShare
+    };
+}
@@ -0,0 +1,210 @@
+/**
+ * Effects - the bits of juice around a lane's player: dust when landing, a green trail behind charge jumps,
+ * a ring on double jumps, a screen shake when a wall pushes the player back, and the player shattering into tiles
+ * on game over
+ * Each effect has its own on / off setting, and none of them play with reduced motion
+ */
+
+// Effect settings (profile setting name and label), in the order the settings screen lists them
+const EFFECT_SETTINGS = [
+    { setting: 'landingDust', label: 'Landing dust' },
+    { setting: 'chargeTrail', label: 'Charge jump trail' },
+    { setting: 'doubleJumpRing', label: 'Double jump ring' },
+    { setting: 'screenShake', label: 'Screen shake' },
+    { setting: 'deathShatter', label: 'Game over shatter' }
+];
+
+// Landing dust: puffs, how far they drift (px) and how long they last (ms)
+const DUST_PUFFS = 6;
+const DUST_SPREAD = 14;
+const DUST_DURATION = 300;
+
+// Charge jump trail: one pixel every TRAIL_INTERVAL ms while the launch is still rising, each fading in TRAIL_DURATION
+const TRAIL_INTERVAL = 20;
+const TRAIL_DURATION = 350;
+
+// Double jump ring: how many times bigger than the player it grows, and how fast (ms)
+const RING_SCALE = 3;
+const RING_DURATION = 250;
+
+// Side push screen shake: length (ms) and strength (fraction of the view)
+const SHAKE_DURATION = 120;
+const SHAKE_INTENSITY = 0.006;
+
+// Game over shatter: the player breaks into SHATTER_PIECES x SHATTER_PIECES tiles that fly apart and drop
+const SHATTER_PIECES = 3;
+const SHATTER_SPREAD = 40;
+const SHATTER_DROP = 60;
+const SHATTER_DURATION = 700;
+
+// Drawn just above the player sprite
+const EFFECTS_DEPTH = 11;
+
+class LaneEffects {
+    /**
+     * @param {Phaser.Scene} scene - Scene the lane is drawn in (its registry holds the profile and reduced motion)
+     * @param {Lane} lane
+     */
+    constructor(scene, lane) {
+        this.scene = scene;
+        this.lane = lane;
+        this.isTrailing = false; // A charge jump launch is still rising
+        this.trailTime = 0; // Time since the last trail pixel (ms)
+    }
+
+    /**
+     * Whether an effect should play right now
+     * @param {string} setting - Effect setting name (see EFFECT_SETTINGS)
+     * @returns {boolean}
+     */
+    isOn(setting) {
+        return !this.scene.registry.get('reducedMotion') && this.scene.registry.get('profile').getSetting(setting);
+    }
+
+    /**
+     * Start any effect a simulation event calls for
+     * @param {Object} event - Simulation event
+     */
+    handleSimEvent(event) {
+        switch (event.type) {
+            case 'land':
+                this.isTrailing = false;
+                if (this.isOn('landingDust')) this.showDust();
+                break;
+            case 'chargeJumpLaunch':
+                this.isTrailing = true;
+                this.trailTime = TRAIL_INTERVAL;
+                break;
+            case 'doubleJump':
+                if (this.isOn('doubleJumpRing')) this.showRing();
+                break;
+            case 'sideHit':
+                if (this.isOn('screenShake')) this.scene.cameras.main.shake(SHAKE_DURATION, SHAKE_INTENSITY);
+                break;
+            case 'gameOver':
+                this.isTrailing = false;
+                if (this.isOn('deathShatter')) this.shatterPlayer();
+                break;
+        }
+    }
+
+    /**
+     * Leave the charge jump trail behind the player (call after the lane has rendered)
+     * @param {number} delta - Time since last frame (ms)
+     */
+    update(delta) {
+        if (!this.isTrailing) return;
+        if (this.lane.sim.player.vy >= 0) {
+            this.isTrailing = false; // The launch has peaked
+            return;
+        }
+        if (!this.isOn('chargeTrail')) return;
+
+        this.trailTime += delta;
+        if (this.trailTime < TRAIL_INTERVAL) return;
+        this.trailTime = 0;
+        const greens = this.lane.theme.greens;
+        const pixel = this.addPiece(
+            this.lane.player.x + Phaser.Math.Between(-3, 3),
+            this.lane.player.y + GRID.TILE_SIZE / 2,
+            2,
+            greens[Phaser.Math.Between(1, greens.length - 1)]
+        );
+        this.fadeOut(pixel, { y: pixel.y + 6 }, TRAIL_DURATION);
+    }
+
+    /**
+     * Puff dust out to both sides of the player's feet
+     */
+    showDust() {
+        const { x, y } = this.lane.player;
+        const feetY = y + GRID.TILE_SIZE / 2;
+        for (let i = 0; i < DUST_PUFFS; i++) {
+            const side = i % 2 === 0 ? -1 : 1;
+            const puff = this.addPiece(x + side * 3, feetY - 1, Phaser.Math.Between(2, 3), this.lane.theme.chargeBar);
+            this.fadeOut(puff, {
+                x: puff.x + side * Phaser.Math.Between(DUST_SPREAD / 2, DUST_SPREAD),
+                y: feetY - Phaser.Math.Between(1, 5)
+            }, DUST_DURATION);
+        }
+    }
+
+    /**
+     * Send a ring out from the player
+     */
+    showRing() {
+        const ring = this.scene.add.circle(this.lane.player.x, this.lane.player.y, GRID.TILE_SIZE / 2);
+        ring.setStrokeStyle(2, this.lane.theme.greens[this.lane.theme.greens.length - 1]).setDepth(EFFECTS_DEPTH);
+        this.clip(ring);
+        this.fadeOut(ring, { scale: RING_SCALE }, RING_DURATION);
+    }
+
+    /**
+     * Swap the player for tiles that fly apart and drop away
+     */
+    shatterPlayer() {
+        const player = this.lane.player;
+        const size = GRID.TILE_SIZE / SHATTER_PIECES;
+        const left = player.x - GRID.TILE_SIZE / 2 + size / 2;
+        const top = player.y - GRID.TILE_SIZE / 2 + size / 2;
+        player.setVisible(false);
+
+        for (let column = 0; column < SHATTER_PIECES; column++) {
+            for (let row = 0; row < SHATTER_PIECES; row++) {
+                const piece = this.addPiece(left + column * size, top + row * size, size - 1, this.lane.theme.player);
+                const outward = (column - (SHATTER_PIECES - 1) / 2) / SHATTER_PIECES;
+                this.fadeOut(piece, {
+                    x: piece.x + (outward + Phaser.Math.FloatBetween(-0.3, 0.3)) * SHATTER_SPREAD,
+                    y: { value: piece.y + Phaser.Math.Between(SHATTER_DROP / 2, SHATTER_DROP), ease: 'Quad.easeIn' },
+                    angle: Phaser.Math.Between(-180, 180)
+                }, SHATTER_DURATION);
+            }
+        }
+    }
+
+    /**
+     * Add a square piece of an effect
+     * @param {number} x - View X of its center
+     * @param {number} y - View Y of its center
+     * @param {number} size (px)
+     * @param {number} color
+     * @returns {Phaser.GameObjects.Rectangle}
+     */
+    addPiece(x, y, size, color) {
+        const piece = this.scene.add.rectangle(x, y, size, size, color).setDepth(EFFECTS_DEPTH);
+        this.clip(piece);
+        return piece;
+    }
+
+    /**
+     * Keep an effect inside a clipped lane
+     * @param {Phaser.GameObjects.GameObject} object
+     */
+    clip(object) {
+        if (this.lane.mask) {
+            object.setMask(this.lane.mask);
+        }
+    }
+
+    /**
+     * Move a piece of an effect while it fades out, then remove it
+     * @param {Phaser.GameObjects.GameObject} object
+     * @param {Object} to - Tweened properties
+     * @param {number} duration (ms)
+     */
+    fadeOut(object, to, duration) {
+        this.scene.tweens.add(Object.assign({
+            targets: object,
+            alpha: 0,
+            duration,
+            onComplete: () => object.destroy()
+        }, to));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EFFECT_SETTINGS,
+        LaneEffects
+    };
+}
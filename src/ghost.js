@@ -0,0 +1,129 @@
+/**
+ * Ghost racer - replays the best recorded run on a seed next to the live player
+ * Best runs are kept per seed, level and difficulty preset in localStorage, with a position trace for the ghost
+ */
+
+// Runs record a ghost trace sample every this many simulation steps
+const GHOST_SAMPLE_STEPS = 2;
+
+// How many seeds keep a best run before the oldest is dropped
+const MAX_GHOST_RUNS = 10;
+
+// localStorage key for the best runs
+const GHOST_STORAGE_KEY = 'commitRunnerGhosts';
+
+/**
+ * Get the key a run's best replay is stored under
+ * @param {string} seed - Level seed
+ * @param {{name: string}|null} level - Contribution level, if any
+ * @param {string} preset - Difficulty preset id
+ * @returns {string}
+ */
+function getGhostKey(seed, level, preset) {
+    return level ? `${seed}|${level.name}|${preset}` : `${seed}|${preset}`;
+}
+
+/**
+ * Read all stored best runs
+ * @returns {Object} Map of ghost key to replay
+ */
+function loadGhostRuns() {
+    try {
+        return JSON.parse(localStorage.getItem(GHOST_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the best run for a seed, level and preset
+ * @param {string} seed
+ * @param {{name: string}|null} level
+ * @param {string} preset
+ * @returns {Object|null} Replay with a trace, or null
+ */
+function loadBestRun(seed, level, preset) {
+    const run = loadGhostRuns()[getGhostKey(seed, level, preset)];
+    // Runs from older versions may have been played on different columns
+    return run && run.version === REPLAY_VERSION && Array.isArray(run.trace) && run.trace.length > 0 ? run : null;
+}
+
+/**
+ * Store a finished run if it beats the best run on its seed, level and preset
+ * @param {Object} replay - Finished replay with a trace
+ * @returns {boolean} Whether the run is the new best
+ */
+function saveBestRun(replay) {
+    const runs = loadGhostRuns();
+    const key = getGhostKey(replay.seed, replay.level, replay.preset);
+    if (runs[key] && runs[key].version === replay.version && runs[key].score >= replay.score) return false;
+
+    runs[key] = replay;
+
+    // Drop the oldest runs so localStorage doesn't fill up
+    const keys = Object.keys(runs).sort((a, b) => runs[a].recordedAt.localeCompare(runs[b].recordedAt));
+    while (keys.length > MAX_GHOST_RUNS) {
+        delete runs[keys.shift()];
+    }
+
+    try {
+        localStorage.setItem(GHOST_STORAGE_KEY, JSON.stringify(runs));
+    } catch (error) {
+        console.warn('Could not save ghost run', error);
+    }
+    return true;
+}
+
+/**
+ * A translucent player that follows a recorded run's trace
+ */
+class Ghost {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Object} run - Best replay with a trace
+     */
+    constructor(scene, run) {
+        this.run = run;
+        this.sprite = scene.add.sprite(run.trace[0][0], run.trace[0][1], 'player');
+        this.sprite.setAlpha(0.35);
+        this.sprite.setDepth(9); // Just behind the live player
+    }
+
+    /**
+     * Get the trace sample for a simulation step
+     * @param {number} step
+     * @returns {Array<number>|null} [x, y, angle, score], or null once the ghost's run has ended
+     */
+    getSample(step) {
+        const index = Math.max(0, Math.floor(step / GHOST_SAMPLE_STEPS) - 1);
+        return index < this.run.trace.length ? this.run.trace[index] : null;
+    }
+
+    /**
+     * Move the ghost to where the best run was at this step
+     * @param {number} step
+     * @param {boolean} [isUpright] - Keep it from spinning (reduced motion)
+     */
+    update(step, isUpright = false) {
+        const sample = this.getSample(step);
+        this.sprite.setVisible(sample !== null);
+        if (sample) {
+            this.sprite.setPosition(sample[0], sample[1]);
+            this.sprite.angle = isUpright ? 0 : sample[2];
+        }
+    }
+
+    /**
+     * Get the ghost's score at this step (its final score once its run has ended)
+     * @param {number} step
+     * @returns {number}
+     */
+    getScore(step) {
+        const sample = this.getSample(step);
+        return sample ? sample[3] : this.run.score;
+    }
+
+    destroy() {
+        this.sprite.destroy();
+    }
+}
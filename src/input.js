@@ -0,0 +1,276 @@
+/**
+ * Jump input - one jump button fed by the keyboard, the pointer (mouse or touch) and gamepads, plus the slide button
+ * Every source goes through the same pressed/released edges, so charge and double jumps work the same on all of them
+ */
+
+// Number of keyboard keys that can be bound to jump
+const JUMP_KEY_SLOTS = 3;
+
+// Keys that slide (and fast-fall in the air)
+const SLIDE_KEYS = ['DOWN', 'S'];
+
+// Keys the game already uses during a run, so they can't be bound to jump
+const RESERVED_KEYS = ['ESC', 'P', 'F', 'A'].concat(SLIDE_KEYS);
+
+// Standard gamepad mapping index of the A (bottom face) button
+const GAMEPAD_JUMP_BUTTON = 0;
+
+// Standard gamepad mapping indexes of the B (right face) button and d-pad down, which slide
+const GAMEPAD_SLIDE_BUTTONS = [1, 13];
+
+// How far (view pixels) a touch has to move down to be a swipe (a slide) rather than a tap (a jump)
+const SWIPE_DISTANCE = 30;
+
+// How long (ms) after touching down a touch can still turn into a swipe (later, it's a held jump)
+const SWIPE_WINDOW_MS = 100;
+
+/**
+ * Look up the Phaser key name for a key code
+ * @param {number} keyCode
+ * @returns {string|null} Key name, e.g. SPACE or W
+ */
+function getKeyName(keyCode) {
+    const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+    return Object.keys(keyCodes).find(name => keyCodes[name] === keyCode) || null;
+}
+
+/**
+ * Clean up stored jump key bindings: one key name or null per slot, no reserved keys or duplicates
+ * @param {Array} keys - Key names from the profile settings
+ * @returns {Array<string|null>}
+ */
+function readJumpKeys(keys) {
+    const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+    const slots = [];
+    for (let i = 0; i < JUMP_KEY_SLOTS; i++) {
+        const name = Array.isArray(keys) ? keys[i] : null;
+        const isValid = typeof name === 'string' && name in keyCodes &&
+            !RESERVED_KEYS.includes(name) && !slots.includes(name);
+        slots.push(isValid ? name : null);
+    }
+    return slots;
+}
+
+/**
+ * The jump and slide buttons for a live run, merged from every input source
+ * A button is held while any source holds it; pressing a second source meanwhile does nothing,
+ * just like pressing a second key
+ */
+class JumpInput {
+    /**
+     * @param {Phaser.Scene} scene - Scene whose input plugins to listen on
+     * @param {Array<string|null>} keyNames - Keyboard jump bindings (see readJumpKeys)
+     * @param {Object} handlers
+     * @param {function(): void} handlers.pressed - Called when the jump goes down
+     * @param {function(): void} handlers.released - Called when the jump comes back up
+     * @param {function(): void} handlers.slidePressed - Called when the slide goes down
+     * @param {function(): void} handlers.slideReleased - Called when the slide comes back up
+     * @param {Object} [options] - For players sharing the keyboard and gamepads (versus races)
+     * @param {Array<string>} [options.slideKeys] - Keys that slide (SLIDE_KEYS if missing)
+     * @param {number|null} [options.gamepad] - Index of the only gamepad to listen to (null for every gamepad)
+     * @param {boolean} [options.usesPointer] - Whether clicks and touches jump and slide
+     */
+    constructor(scene, keyNames, handlers, { slideKeys = SLIDE_KEYS, gamepad = null, usesPointer = true } = {}) {
+        this.scene = scene;
+        this.handlers = handlers;
+        this.gamepadIndex = gamepad;
+        this.heldSources = new Set(); // e.g. key:SPACE, pointer:1, pad:0
+        this.slideSources = new Set(); // e.g. key:DOWN, pointer:1, pad:0
+        this.pendingTouches = new Map(); // Pointer id -> {startY, startTime} for touches that may still be a swipe
+
+        // Keyboard
+        this.keys = readJumpKeys(keyNames).filter(name => name !== null).map(name => {
+            const key = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[name]);
+            key.on('down', () => this.press(`key:${name}`));
+            key.on('up', () => this.release(`key:${name}`));
+            return key;
+        });
+        this.slideKeys = slideKeys.map(name => {
+            const key = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[name]);
+            key.on('down', () => this.pressSlide(`key:${name}`));
+            key.on('up', () => this.releaseSlide(`key:${name}`));
+            return key;
+        });
+
+        // Pointer - a click or tap anywhere on the canvas, or a swipe down on touch screens
+        if (usesPointer) {
+            scene.input.on('pointerdown', this.handlePointerDown, this);
+            scene.input.on('pointermove', this.handlePointerMove, this);
+            scene.input.on('pointerup', this.handlePointerUp, this);
+            scene.input.on('pointerupoutside', this.handlePointerUp, this);
+        }
+
+        // Gamepads: A jumps, B or d-pad down slides (the plugin only exists when the game config enables gamepads)
+        if (scene.input.gamepad) {
+            scene.input.gamepad.on('down', this.handleGamepadDown, this);
+            scene.input.gamepad.on('up', this.handleGamepadUp, this);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether any source is holding the jump
+     */
+    isHeld() {
+        return this.heldSources.size > 0;
+    }
+
+    /**
+     * A source went down - the jump is pressed if nothing was holding it yet
+     * @param {string} source
+     */
+    press(source) {
+        const wasHeld = this.isHeld();
+        this.heldSources.add(source);
+        if (!wasHeld) {
+            this.handlers.pressed();
+        }
+    }
+
+    /**
+     * A source came up - the jump is released once nothing holds it
+     * @param {string} source
+     */
+    release(source) {
+        if (!this.heldSources.delete(source)) return;
+        if (!this.isHeld()) {
+            this.handlers.released();
+        }
+    }
+
+    /**
+     * A source went down - the slide is pressed if nothing was holding it yet
+     * @param {string} source
+     */
+    pressSlide(source) {
+        const wasHeld = this.slideSources.size > 0;
+        this.slideSources.add(source);
+        if (!wasHeld) {
+            this.handlers.slidePressed();
+        }
+    }
+
+    /**
+     * A source came up - the slide is released once nothing holds it
+     * @param {string} source
+     */
+    releaseSlide(source) {
+        if (!this.slideSources.delete(source)) return;
+        if (this.slideSources.size === 0) {
+            this.handlers.slideReleased();
+        }
+    }
+
+    /**
+     * A click or touch presses jump straight away - a touch is also watched for a swipe down for SWIPE_WINDOW_MS
+     * @param {Phaser.Input.Pointer} pointer
+     */
+    handlePointerDown(pointer) {
+        this.press(`pointer:${pointer.id}`);
+        if (pointer.wasTouch) {
+            this.pendingTouches.set(pointer.id, { startY: pointer.y, startTime: this.scene.time.now });
+        }
+    }
+
+    /**
+     * A touch that moves SWIPE_DISTANCE down soon after touching down is a swipe: it lets go of its jump and slides
+     * @param {Phaser.Input.Pointer} pointer
+     */
+    handlePointerMove(pointer) {
+        const touch = this.pendingTouches.get(pointer.id);
+        if (!touch) return;
+        if (this.scene.time.now - touch.startTime > SWIPE_WINDOW_MS) {
+            this.pendingTouches.delete(pointer.id);
+        } else if ((pointer.y - touch.startY) / this.scene.cameras.main.zoom >= SWIPE_DISTANCE) {
+            this.pendingTouches.delete(pointer.id);
+            this.release(`pointer:${pointer.id}`);
+            this.pressSlide(`pointer:${pointer.id}`);
+        }
+    }
+
+    /**
+     * A click or touch came up - releases whichever of jump and slide it was holding
+     * @param {Phaser.Input.Pointer} pointer
+     */
+    handlePointerUp(pointer) {
+        this.pendingTouches.delete(pointer.id);
+        this.release(`pointer:${pointer.id}`);
+        this.releaseSlide(`pointer:${pointer.id}`);
+    }
+
+    /**
+     * @param {Phaser.Input.Gamepad.Gamepad} pad
+     * @returns {boolean} Whether this input listens to the gamepad
+     */
+    isOwnGamepad(pad) {
+        return this.gamepadIndex === null || pad.index === this.gamepadIndex;
+    }
+
+    handleGamepadDown(pad, button) {
+        if (!this.isOwnGamepad(pad)) return;
+        if (button.index === GAMEPAD_JUMP_BUTTON) {
+            this.press(`pad:${pad.index}`);
+        } else if (GAMEPAD_SLIDE_BUTTONS.includes(button.index)) {
+            this.pressSlide(`pad:${pad.index}:${button.index}`);
+        }
+    }
+
+    handleGamepadUp(pad, button) {
+        if (!this.isOwnGamepad(pad)) return;
+        if (button.index === GAMEPAD_JUMP_BUTTON) {
+            this.release(`pad:${pad.index}`);
+        } else if (GAMEPAD_SLIDE_BUTTONS.includes(button.index)) {
+            this.releaseSlide(`pad:${pad.index}:${button.index}`);
+        }
+    }
+
+    /**
+     * Stop watching touches for a swipe
+     */
+    clearPendingTouches() {
+        this.pendingTouches.clear();
+    }
+
+    /**
+     * Forget everything that was held, without calling the handlers
+     * (releases that happened while the scene was paused never arrived)
+     */
+    reset() {
+        this.keys.concat(this.slideKeys).forEach(key => key.reset());
+        this.heldSources.clear();
+        this.slideSources.clear();
+        this.clearPendingTouches();
+    }
+
+    /**
+     * Stop listening to the scene's input
+     */
+    destroy() {
+        const input = this.scene.input;
+        this.keys.concat(this.slideKeys).forEach(key => input.keyboard.removeKey(key, true));
+        input.off('pointerdown', this.handlePointerDown, this);
+        input.off('pointermove', this.handlePointerMove, this);
+        input.off('pointerup', this.handlePointerUp, this);
+        input.off('pointerupoutside', this.handlePointerUp, this);
+        if (input.gamepad) {
+            input.gamepad.off('down', this.handleGamepadDown, this);
+            input.gamepad.off('up', this.handleGamepadUp, this);
+        }
+        this.keys = [];
+        this.slideKeys = [];
+        this.heldSources.clear();
+        this.slideSources.clear();
+        this.clearPendingTouches();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        JUMP_KEY_SLOTS,
+        SLIDE_KEYS,
+        RESERVED_KEYS,
+        GAMEPAD_JUMP_BUTTON,
+        GAMEPAD_SLIDE_BUTTONS,
+        readJumpKeys,
+        JumpInput
+    };
+}
@@ -0,0 +1,256 @@
+/**
+ * Jump state machine - ground jumps, jump buffering, coyote time, double jumps, charge jumps, and the slide
+ * Works on plain input/body objects so it runs the same in the game and in Node
+ */
+
+// Milliseconds a jump press is remembered before landing
+const JUMP_BUFFER_WINDOW = 100;
+
+// Milliseconds after leaving the ground that still count as grounded
+const COYOTE_TIME = 100;
+
+// Milliseconds SPACE must be held (with full charge) before a charge jump starts
+const CHARGE_HOLD_TIME = 150;
+
+class JumpController {
+    /**
+     * @param {Object} [config] - Game config (GAME_CONFIG or a difficulty preset's)
+     */
+    constructor(config = GAME_CONFIG) {
+        this.config = config;
+        this.jumpCharge = config.JUMP_CHARGE_MAX; // Start with full charge
+        this.jumpsUsed = 0; // Track consecutive jumps
+
+        // Charge jump state
+        this.isChargingJump = false;
+        this.chargeJumpTime = 0;
+        this.jumpHoldStartTime = null; // Track when space was first pressed
+        this.lastGroundedTime = -Infinity; // Track when player last touched ground (sim time, ms)
+
+        // Jump buffering - track when jump was last pressed
+        this.jumpBufferTime = -Infinity; // -Infinity = nothing buffered
+
+        // Sliding (ducking on the ground) - no jumps until the player stands back up
+        this.isSliding = false;
+    }
+
+    /**
+     * Handle the slide button for one step: slide while it's held on the ground, fast-fall while it's held in the air
+     * A slide lasts while the button is held, and after that for as long as there's no room to stand up
+     * @param {{isSlideDown: boolean}} input - Slide button state this step
+     * @param {Object} body - Player body {y, vy, height, squash, angle, isGrounded, isRotating}
+     * @param {boolean} hasHeadroom - Whether there's room to stand up (only asked while sliding)
+     * @returns {Object|null} Slide event ({type: 'slide'}) when a slide starts, or null
+     */
+    updateSlide(input, body, hasHeadroom) {
+        if (input.isSlideDown && !body.isGrounded) {
+            body.vy = Math.max(body.vy, this.config.FAST_FALL_VELOCITY);
+        }
+
+        const shouldSlide = (input.isSlideDown && body.isGrounded) || (this.isSliding && !hasHeadroom);
+        if (shouldSlide === this.isSliding) return null;
+
+        // Duck or stand up with the feet staying where they are
+        const standingHeight = GRID.TILE_SIZE;
+        const slidingHeight = GRID.TILE_SIZE * this.config.SLIDE_HEIGHT;
+        this.isSliding = shouldSlide;
+        body.height = shouldSlide ? slidingHeight : standingHeight;
+        body.y += (shouldSlide ? 1 : -1) * (standingHeight - slidingHeight) / 2;
+        body.squash = shouldSlide ? this.config.SLIDE_HEIGHT : 1;
+        if (!shouldSlide) return null;
+
+        // A slide cancels a charge jump in progress
+        this.isChargingJump = false;
+        this.chargeJumpTime = 0;
+        this.jumpHoldStartTime = null;
+        body.angle = 0;
+        body.isRotating = false;
+        return { type: 'slide' };
+    }
+
+    /**
+     * Handle jump input for one step
+     * @param {{isDown: boolean, justDown: boolean, justUp: boolean}} input - Jump key state this step
+     * @param {Object} body - Player body {vx, vy, angle, squash, isGrounded, isRotating}
+     * @param {number} time - Simulation time (ms)
+     * @param {number} deltaSeconds - Step length (seconds)
+     * @returns {Object|null} Jump event ({type: 'jump' | 'doubleJump' | 'chargeStart' | 'chargeJumpLaunch'}) or null
+     */
+    update(input, body, time, deltaSeconds) {
+        const justDown = input.justDown;
+        const justUp = input.justUp;
+
+        // Buffer jump input - if they press jump, remember it for a short window
+        if (justDown) {
+            this.jumpBufferTime = time;
+        }
+
+        // Check if we have a buffered jump input (pressed within the buffer window)
+        const hasBufferedJump = (time - this.jumpBufferTime) < JUMP_BUFFER_WINDOW;
+
+        // PREVENT ALL JUMPING WHILE SLIDING
+        if (this.isSliding) {
+            // Cancel any charge jump
+            if (this.isChargingJump) {
+                this.isChargingJump = false;
+                this.chargeJumpTime = 0;
+                body.squash = 1;
+            }
+            this.jumpHoldStartTime = null;
+            return null;
+        }
+
+        // === CHARGE JUMP: SQUASHING PHASE ===
+        if (this.isChargingJump && input.isDown && body.isGrounded) {
+            this.chargeJumpTime += deltaSeconds;
+
+            // Cap at max charge time
+            if (this.chargeJumpTime > this.config.CHARGE_JUMP_MAX_TIME) {
+                this.chargeJumpTime = this.config.CHARGE_JUMP_MAX_TIME;
+            }
+
+            // Reset rotation to 0 so squash is always vertical
+            body.angle = 0;
+            body.isRotating = false;
+
+            // Squash vertically - down to 10% height
+            const squashProgress = Math.min(this.chargeJumpTime / this.config.CHARGE_JUMP_MAX_TIME, 1);
+            body.squash = 1 - squashProgress * (1 - this.config.CHARGE_JUMP_SQUASH_HEIGHT);
+
+            return null; // Stay on ground while charging
+        }
+
+        // === CHARGE JUMP: LAUNCH PHASE ===
+        if (this.isChargingJump && justUp) {
+            const chargeRatio = Math.min(this.chargeJumpTime / this.config.CHARGE_JUMP_MAX_TIME, 1);
+
+            // Calculate jump strength based on how long space was held
+            const jumpVelocity = this.config.CHARGE_JUMP_MIN_VELOCITY +
+                (this.config.CHARGE_JUMP_MAX_VELOCITY - this.config.CHARGE_JUMP_MIN_VELOCITY) * chargeRatio;
+            const horizontalVelocity = this.config.CHARGE_JUMP_HORIZONTAL_VELOCITY * chargeRatio;
+
+            // Launch!
+            body.vy = jumpVelocity;
+            body.vx = horizontalVelocity;
+            body.isGrounded = false;
+            body.isRotating = false;
+
+            // Use 100% energy ONLY if we actually charged (prevent accidental energy drain)
+            if (this.chargeJumpTime > 0) {
+                this.jumpCharge = 0;
+            }
+
+            // Reset charging state
+            this.isChargingJump = false;
+            this.chargeJumpTime = 0;
+            this.jumpHoldStartTime = null;
+
+            // Reset size
+            body.squash = 1;
+
+            return { type: 'chargeJumpLaunch', chargeRatio };
+        }
+
+        // === DOUBLE JUMP (IN AIR) ===
+        // Only count as air jump if player has been off ground for longer than the coyote time
+        const timeSinceGrounded = time - this.lastGroundedTime;
+        const isActuallyInAir = !body.isGrounded && timeSinceGrounded > COYOTE_TIME;
+        const isMovingUp = body.vy < 0; // Negative velocity = moving up
+
+        if (justDown && isActuallyInAir && isMovingUp &&
+            !this.isChargingJump && this.jumpCharge >= this.config.JUMP_CHARGE_COST) {
+            // Double jump - costs 50% energy (only works while moving upward)
+            body.vy = this.config.JUMP_VELOCITY;
+            body.vx = 0;
+            this.jumpCharge -= this.config.JUMP_CHARGE_COST;
+            return { type: 'doubleJump' };
+        }
+
+        // === GROUND JUMPS: START TRACKING HOLD OR USE BUFFERED INPUT ===
+        // Check if jump was pressed recently (justDown) OR if we have a buffered jump
+        const isOnGround = body.isGrounded || timeSinceGrounded <= COYOTE_TIME;
+        const shouldAttemptGroundJump = (justDown || hasBufferedJump) && isOnGround && !this.isChargingJump;
+
+        if (shouldAttemptGroundJump) {
+            // Clear the buffer since we're using it
+            this.jumpBufferTime = -Infinity;
+
+            // If we DON'T have 100% charge, jump IMMEDIATELY for responsiveness
+            if (this.jumpCharge < this.config.JUMP_CHARGE_MAX) {
+                this.launchGroundJump(body);
+                return { type: 'jump' };
+            }
+
+            // If we have 100% charge, start tracking hold for potential charge jump
+            this.jumpHoldStartTime = time;
+            return null;
+        }
+
+        // === CHECK IF HELD PAST THRESHOLD (WITH 100% CHARGE) ===
+        if (this.jumpHoldStartTime !== null && isOnGround && input.isDown) {
+            const holdDuration = time - this.jumpHoldStartTime;
+
+            // If held long enough with 100% charge - start charging
+            if (holdDuration >= CHARGE_HOLD_TIME) {
+                this.isChargingJump = true;
+                this.chargeJumpTime = 0;
+                this.jumpHoldStartTime = null;
+                return { type: 'chargeStart' };
+            }
+        }
+
+        // === CHECK IF RELEASED QUICKLY (WITH 100% CHARGE) ===
+        if (this.jumpHoldStartTime !== null && justUp) {
+            // Released quickly - do regular jump (FREE)
+            this.jumpHoldStartTime = null;
+            if (isOnGround) {
+                // Don't use any energy for regular jump!
+                this.launchGroundJump(body);
+                return { type: 'jump' };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Launch a regular jump from the ground
+     * @param {Object} body - Player body
+     */
+    launchGroundJump(body) {
+        body.vy = this.config.JUMP_VELOCITY;
+        body.vx = 0;
+        body.isGrounded = false;
+        body.isRotating = false;
+    }
+
+    /**
+     * Mark the player as touching the ground at this time (for coyote time)
+     * @param {number} time - Simulation time (ms)
+     */
+    touchGround(time) {
+        this.lastGroundedTime = time;
+    }
+
+    /**
+     * Handle jump charge regeneration
+     * @param {number} deltaSeconds - Step length (seconds)
+     * @param {Object} body - Player body
+     */
+    recharge(deltaSeconds, body) {
+        // Always recharge (even in the air)
+        this.jumpCharge = Math.min(
+            this.config.JUMP_CHARGE_MAX,
+            this.jumpCharge + this.config.JUMP_CHARGE_RATE * deltaSeconds
+        );
+
+        // Reset jump counter when grounded
+        if (body.isGrounded) {
+            this.jumpsUsed = 0;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JUMP_BUFFER_WINDOW, COYOTE_TIME, CHARGE_HOLD_TIME, JumpController };
+}
@@ -0,0 +1,284 @@
+/**
+ * Lane - one player's run on screen: a Simulation's columns and player sprite, drawn in a strip of the view
+ * The game draws one lane filling the view; a versus race stacks one per player, each with its own run
+ */
+
+/**
+ * Color of the filled part of a jump charge bar
+ * @param {number} chargePercent - Charge as a fraction of the maximum (0-1)
+ * @returns {number}
+ */
+function getChargeBarColor(chargePercent) {
+    if (chargePercent >= 1.0) {
+        return 0x30a14e; // Full charge - dark green
+    } else if (chargePercent >= 0.5) {
+        return 0x40c463; // 50%+ - light green
+    }
+    return 0xff6b6b; // Below 50% - red
+}
+
+class Lane {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Simulation} sim - The run to draw (its height is the lane's)
+     * @param {Object} options
+     * @param {Object} options.theme - Theme to draw in (entry in THEMES, see resolveTheme)
+     * @param {number} [options.top] - View Y of the lane's top edge
+     * @param {boolean} [options.clip] - Hide whatever leaves the lane (a jump above its top)
+     */
+    constructor(scene, sim, { theme, top = 0, clip = false }) {
+        this.sim = sim;
+        this.theme = theme;
+        this.top = top;
+        this.colorWaveTime = 0; // Track time for color wave animation
+
+        // Tile images for each simulation column, recycled as columns scroll in and out
+        this.columnPool = new ColumnPool(scene, sim.columns.length + COLUMN_POOL_SPARE, sim.height - GRID.TILE_SIZE);
+        this.columnPool.world.y = top;
+        sim.columns.forEach(column => this.showColumn(column));
+
+        // The player sprite (its physics live in the Simulation)
+        this.player = scene.add.sprite(sim.player.x, sim.player.y + top, 'player');
+        this.player.setDepth(10);
+
+        // Clipped lanes keep everything drawn in them (effects too) inside this mask
+        this.mask = null;
+        if (clip) {
+            const shape = scene.make.graphics();
+            shape.fillRect(0, top, VIEW.width, sim.height);
+            this.mask = shape.createGeometryMask();
+            this.columnPool.world.setMask(this.mask);
+            this.player.setMask(this.mask);
+        }
+    }
+
+    /**
+     * Update the view from a simulation event (columns coming and going, pickups, crumbling tiles)
+     * @param {Object} event - Simulation event
+     */
+    handleSimEvent(event) {
+        switch (event.type) {
+            case 'columnAdded':
+                this.showColumn(event.column);
+                break;
+            case 'columnRemoved':
+                this.columnPool.release(event.column.id);
+                break;
+            case 'commit':
+                this.columnPool.hideCommit(event.column.id);
+                break;
+            case 'powerUp':
+                this.columnPool.hidePowerUp(event.column.id);
+                break;
+            case 'tileCrumbled':
+                this.showCrumbledTile(event.column, event.row);
+                break;
+        }
+    }
+
+    /**
+     * Move sprites to where the simulation says things are, and run the color wave on
+     * @param {number} delta - Time since last frame (ms)
+     * @param {boolean} isReducedMotion - Hold the color wave still and the player upright
+     */
+    render(delta, isReducedMotion) {
+        if (!isReducedMotion) {
+            this.colorWaveTime += delta / 1000;
+        }
+        this.columnPool.scrollTo(this.sim.worldX);
+        this.updateMovingColumns();
+        this.syncPlayerSprite(isReducedMotion);
+        this.updateObstacleColors();
+        this.updatePulledCommits();
+    }
+
+    /**
+     * Re-skin the lane in a new theme (BootScene has already repainted the player and background tile textures)
+     * Solid tiles take the theme's patterns (or lose them), and contribution tiles switch to their level's green
+     * in the new palette; the rest follow the color wave
+     * @param {Object} theme - Entry in THEMES
+     */
+    applyTheme(theme) {
+        this.theme = theme;
+        this.columnPool.forEachImage(image => {
+            if (!image.isObstacle) return;
+            image.setTexture(getTileTextureKey(image.tileType, theme.tilePatterns));
+            if (image.tileLevel > 0) {
+                image.fixedColor = theme.greens[image.tileLevel - 1];
+                image.setTint(image.fixedColor);
+            }
+        });
+        this.updateObstacleColors();
+    }
+
+    /**
+     * Show a simulation column with a view from the pool
+     * @param {Object} column - Column from the Simulation
+     */
+    showColumn(column) {
+        const view = this.columnPool.acquire(column.id, column.x + this.sim.worldX);
+        view.images.forEach((image, row) => {
+            const tile = column.tiles[row];
+            if (tile && TILE_TYPES[tile.type].hangs) {
+                image.y -= OVERHANG_RAISE;
+            }
+            this.styleTile(image, column.x, tile);
+        });
+
+        // An overhang hangs from a ceiling above the top of the grid
+        const topTile = column.tiles[GRID.ROWS - 1];
+        if (topTile && TILE_TYPES[topTile.type].hangs) {
+            const ceilingBottom = view.images[GRID.ROWS - 1].y - GRID.GAP;
+            this.columnPool.showCeiling(column.id, ceilingBottom, TILE_TYPES[topTile.type].color);
+        }
+
+        if (column.commit && !column.commit.isCollected) {
+            this.showCommit(column);
+        }
+        const powerUp = column.powerUp;
+        if (powerUp && !powerUp.isCollected) {
+            this.columnPool.showPowerUp(
+                column.id,
+                column.x + this.sim.worldX + GRID.TILE_SIZE / 2,
+                this.sim.getRowCenterY(powerUp.row),
+                POWER_UPS[powerUp.id].color
+            );
+        }
+    }
+
+    /**
+     * Put a column's commit dot where the simulation has it (a magnet can pull it off its column)
+     * @param {Object} column - Column from the Simulation
+     */
+    showCommit(column) {
+        const position = this.sim.getCommitPosition(column);
+        this.columnPool.showCommit(column.id, position.x + this.sim.worldX, position.y);
+    }
+
+    /**
+     * Turn a flaky tile that fell away into a background tile
+     * @param {Object} column - Column from the Simulation
+     * @param {number} row
+     */
+    showCrumbledTile(column, row) {
+        const image = this.columnPool.getTileImage(column.id, row);
+        if (image) {
+            this.styleTile(image, column.x, null);
+        }
+    }
+
+    /**
+     * Sink and raise the force-push columns on screen with the simulation
+     */
+    updateMovingColumns() {
+        this.sim.columns.forEach(column => {
+            if (column.moves) {
+                this.columnPool.setColumnDrop(column.id, column.tiles, this.sim.getColumnDrop(column));
+            }
+        });
+    }
+
+    /**
+     * Follow commit dots that are being pulled toward the player
+     */
+    updatePulledCommits() {
+        this.sim.columns.forEach(column => {
+            const commit = column.commit;
+            if (commit && !commit.isCollected && (commit.pullX !== 0 || commit.pullY !== 0)) {
+                this.showCommit(column);
+            }
+        });
+    }
+
+    /**
+     * Dress a pooled tile image as an obstacle or a background tile
+     * @param {Phaser.GameObjects.Image} image
+     * @param {number} x - Screen X of the column when it appeared (where its color wave starts)
+     * @param {Object|null} tile - Solid tile from the Simulation, or null for a background tile
+     */
+    styleTile(image, x, tile) {
+        image.isObstacle = tile !== null;
+        image.fixedColor = null;
+        image.tileLevel = 0;
+
+        if (tile) {
+            image.setTexture(getTileTextureKey(tile.type, this.theme.tilePatterns));
+
+            // Store reference for color updates
+            image.tileX = x;
+            image.tileY = image.y;
+            image.tileType = tile.type;
+
+            // Data tiles keep their contribution level's green and hazards their own color,
+            // others follow the color wave
+            if (tile.level > 0) {
+                image.tileLevel = tile.level;
+                image.fixedColor = this.theme.greens[tile.level - 1];
+            } else {
+                image.fixedColor = TILE_TYPES[tile.type].color;
+            }
+            image.setTint(image.fixedColor || this.getOscillatingGreenColor(x, image.y));
+        } else {
+            image.setTexture('grayTile');
+            image.clearTint();
+            image.tileType = 'GRAY_BACKGROUND';
+        }
+    }
+
+    /**
+     * Get an oscillating green color (from the theme's palette) based on position and time
+     * @param {number} x - X position of the tile
+     * @param {number} y - Y position of the tile
+     * @returns {number} Hex color value
+     */
+    getOscillatingGreenColor(x, y) {
+        const greens = this.theme.greens;
+
+        // Create a sine wave that oscillates based on position and time
+        // Combine both X and Y for varied colors within columns
+        const spatialFrequencyX = 0.02; // Horizontal wave frequency
+        const spatialFrequencyY = 0.05; // Vertical wave frequency (variation within column)
+        const timeFrequency = 2; // How fast the wave moves over time
+
+        // Calculate sine wave value (-1 to 1) using both x and y
+        const wave = Math.sin(
+            x * spatialFrequencyX + 
+            y * spatialFrequencyY + 
+            this.colorWaveTime * timeFrequency
+        );
+
+        // Map sine wave (-1 to 1) to color index (0 to 3)
+        const colorIndex = Math.floor(((wave + 1) / 2) * (greens.length - 1) + 0.5);
+        const clampedIndex = Math.max(0, Math.min(greens.length - 1, colorIndex));
+
+        return greens[clampedIndex];
+    }
+
+    /**
+     * Update the colors of all obstacle tiles based on the sine wave
+     */
+    updateObstacleColors() {
+        this.columnPool.forEachImage(obstacle => {
+            if (obstacle.isObstacle && !obstacle.fixedColor) {
+                const color = this.getOscillatingGreenColor(obstacle.tileX, obstacle.tileY);
+                obstacle.setTint(color);
+            }
+        });
+    }
+
+    /**
+     * Match the player sprite to the simulation's player body
+     * With reduced motion it stays upright and unsquashed, only ever as tall as its hitbox (a slide still shows)
+     * @param {boolean} isReducedMotion
+     */
+    syncPlayerSprite(isReducedMotion) {
+        const body = this.sim.player;
+        this.player.setPosition(body.x, body.y + this.top);
+        this.player.angle = isReducedMotion ? 0 : body.angle;
+        this.player.setDisplaySize(GRID.TILE_SIZE, isReducedMotion ? body.height : GRID.TILE_SIZE * body.squash);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getChargeBarColor, Lane };
+}
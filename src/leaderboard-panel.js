@@ -0,0 +1,69 @@
+/**
+ * Shared leaderboard below the canvas: the top runs on the chosen preset, and the name runs are submitted under
+ */
+
+// Entries shown
+const LEADERBOARD_PANEL_COUNT = 10;
+
+/**
+ * Hook the leaderboard panel up to the running game
+ * @param {Phaser.Game} game
+ */
+function setupLeaderboardPanel(game) {
+    const title = document.getElementById('shared-leaderboard-title');
+    const nameInput = document.getElementById('player-name');
+    const list = document.getElementById('shared-leaderboard-list');
+    const status = document.getElementById('shared-leaderboard-status');
+    if (!title || !nameInput || !list || !status) return;
+
+    // The profile and leaderboard are created by the boot scene, which runs after this
+    const render = () => {
+        const store = game.registry.get('profile');
+        const leaderboard = game.registry.get('leaderboard');
+        if (!store || !leaderboard) return;
+        const preset = store.getSetting('preset');
+
+        title.textContent = `${leaderboard instanceof HttpLeaderboard ? 'Online' : 'Local'} leaderboard ` +
+            `(${DIFFICULTY_PRESETS[preset].name})`;
+        if (document.activeElement !== nameInput) {
+            nameInput.value = store.getSetting('playerName');
+        }
+        const queued = leaderboard instanceof HttpLeaderboard ? leaderboard.getQueuedCount() : 0;
+
+        leaderboard.fetchTop({ preset, count: LEADERBOARD_PANEL_COUNT })
+            .then(entries => {
+                list.replaceChildren(...entries.map(entry => {
+                    const item = document.createElement('li');
+                    item.textContent = `${entry.score} - ${entry.name} - seed ${entry.seed}`;
+                    return item;
+                }));
+                status.textContent = queued > 0 ? `${queued} runs waiting to be sent` : '';
+            })
+            .catch(error => {
+                status.textContent = `Leaderboard unavailable: ${error.message}` +
+                    (queued > 0 ? ` (${queued} runs waiting to be sent)` : '');
+            });
+    };
+
+    game.events.on(PROFILE_CHANGE_EVENT, render);
+    game.events.on(LEADERBOARD_CHANGE_EVENT, render);
+
+    // The game's keys (SPACE especially) would otherwise be swallowed while typing a name
+    nameInput.addEventListener('focus', () => {
+        game.input.keyboard.enabled = false;
+    });
+    nameInput.addEventListener('blur', () => {
+        game.input.keyboard.enabled = true;
+    });
+    nameInput.addEventListener('keydown', event => {
+        if (event.key === 'Enter') nameInput.blur();
+    });
+    nameInput.addEventListener('change', () => {
+        const store = game.registry.get('profile');
+        if (store) {
+            store.setSetting('playerName', cleanPlayerName(nameInput.value));
+            nameInput.value = store.getSetting('playerName');
+            game.events.emit(PROFILE_CHANGE_EVENT);
+        }
+    });
+}
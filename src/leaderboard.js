@@ -0,0 +1,352 @@
+/**
+ * Shared leaderboard - finished runs submitted under a player name, and the top scores fetched back
+ * Every leaderboard is an adapter with the same two calls (both return promises):
+ *   submit(entry)                   - add an entry from createLeaderboardEntry(); resolves to a SubmitResult
+ *   fetchTop({preset, seed, count}) - the best entries on a preset (and seed, if given), best first
+ * LocalLeaderboard keeps entries in the browser; HttpLeaderboard sends them to tools/leaderboard-server.js,
+ * queueing them while the server can't be reached
+ */
+
+// localStorage keys: the local leaderboard's entries, and runs waiting to reach the server
+const LEADERBOARD_STORAGE_KEY = 'commitRunnerLeaderboard';
+const LEADERBOARD_QUEUE_KEY = 'commitRunnerLeaderboardQueue';
+
+// Entries a leaderboard keeps, across every preset and seed
+const LEADERBOARD_STORED_RUNS = 500;
+
+// Runs kept waiting for the server (the oldest are dropped past this)
+const LEADERBOARD_QUEUE_SIZE = 50;
+
+// Longest player name, and the name used when none is set
+const PLAYER_NAME_LENGTH = 16;
+const DEFAULT_PLAYER_NAME = 'Anonymous';
+
+// Most entries fetchTop returns
+const LEADERBOARD_MAX_COUNT = 100;
+
+// Event on game.events when a submission is accepted or queued, so leaderboard views can refresh
+const LEADERBOARD_CHANGE_EVENT = 'leaderboardchange';
+
+/**
+ * @typedef {Object} SubmitResult
+ * @property {string} status - 'accepted', 'queued' (the server is unreachable; sent later) or 'rejected'
+ * @property {number} [rank] - Place on the entry's preset once accepted (1-based, 0 if it didn't keep it)
+ * @property {string} [error] - Why the entry was rejected
+ */
+
+/**
+ * Tidy a player name for the leaderboard
+ * @param {*} name
+ * @returns {string} Printable, at most PLAYER_NAME_LENGTH characters, DEFAULT_PLAYER_NAME if blank
+ */
+function cleanPlayerName(name) {
+    const clean = String(name || '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, PLAYER_NAME_LENGTH);
+    return clean || DEFAULT_PLAYER_NAME;
+}
+
+/**
+ * Build a leaderboard entry for a finished run, within the lengths validateLeaderboardEntry() allows
+ * @param {string} name - Player name
+ * @param {Object} replay - The run's finished replay
+ * @returns {Object} {name, score, seed, level, preset, steps, replayHash, date}
+ */
+function createLeaderboardEntry(name, replay) {
+    return {
+        name: cleanPlayerName(name),
+        score: replay.score,
+        seed: replay.seed,
+        level: replay.level ? replay.level.name.slice(0, MAX_SEED_LENGTH) : null,
+        preset: replay.preset,
+        steps: replay.steps,
+        replayHash: hashReplay(replay),
+        date: new Date().toISOString()
+    };
+}
+
+/**
+ * The most points a run on a preset can score in a number of steps: the whole time at the preset's top scroll
+ * speed, grabbing a full-streak commit dot in every column that passes, plus a screen of dots pulled in early
+ * @param {string} preset - Difficulty preset id
+ * @param {number} steps - Simulation steps the run lasted
+ * @returns {number}
+ */
+function getMaxPlausibleScore(preset, steps) {
+    const maxSpeed = getPreset(preset).config.SCROLL_SPEED_MAX;
+    const dotPoints = COMMIT_POINTS * COMMIT_MAX_MULTIPLIER;
+    const pointsPerSecond = maxSpeed * (SCORE_PER_PIXEL + dotPoints / GRID.TILE_FULL_SIZE);
+    const seconds = steps * FIXED_TIMESTEP_MS / 1000;
+    return Math.ceil(seconds * pointsPerSecond + dotPoints * VIEW_WIDTH / GRID.TILE_FULL_SIZE);
+}
+
+/**
+ * Check a submitted entry, for leaderboards that can't trust their clients
+ * @param {*} entry
+ * @returns {Object} The entry's known fields, with the name tidied
+ */
+function validateLeaderboardEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Entry is not an object');
+    }
+    if (!isPresetId(entry.preset)) {
+        throw new Error('Entry was played on an unknown difficulty preset');
+    }
+    if (typeof entry.seed !== 'string' || entry.seed.length === 0 || entry.seed.length > MAX_SEED_LENGTH) {
+        throw new Error('Entry is missing its seed');
+    }
+    if (typeof entry.replayHash !== 'string' || !/^[0-9a-f]{8}$/.test(entry.replayHash)) {
+        throw new Error('Entry is missing its replay hash');
+    }
+    if (!Number.isInteger(entry.score) || entry.score < 0 || !Number.isInteger(entry.steps) || entry.steps <= 0) {
+        throw new Error('Entry score or length is malformed');
+    }
+    if (entry.score > getMaxPlausibleScore(entry.preset, entry.steps)) {
+        throw new Error('Score is impossible for the run\'s length');
+    }
+    return {
+        name: cleanPlayerName(entry.name),
+        score: entry.score,
+        seed: entry.seed,
+        level: typeof entry.level === 'string' ? entry.level.slice(0, MAX_SEED_LENGTH) : null,
+        preset: entry.preset,
+        steps: entry.steps,
+        replayHash: entry.replayHash,
+        date: typeof entry.date === 'string' && !isNaN(Date.parse(entry.date)) ? entry.date : new Date().toISOString()
+    };
+}
+
+/**
+ * Add an entry to a list of entries, best first, keeping LEADERBOARD_STORED_RUNS
+ * A run that's already on the list (same replay hash) isn't added twice, so resubmitting is safe
+ * @param {Array<Object>} entries - Best first (changed in place)
+ * @param {Object} entry
+ * @returns {number} The entry's place on its preset (1-based, 0 if it didn't make the list)
+ */
+function addLeaderboardEntry(entries, entry) {
+    let kept = entries.find(existing => existing.replayHash === entry.replayHash && existing.seed === entry.seed);
+    if (!kept) {
+        const index = entries.findIndex(existing => existing.score < entry.score);
+        entries.splice(index === -1 ? entries.length : index, 0, entry);
+        entries.splice(LEADERBOARD_STORED_RUNS);
+        kept = entry;
+    }
+    return entries.filter(existing => existing.preset === entry.preset).indexOf(kept) + 1;
+}
+
+/**
+ * Pick the best entries on a preset
+ * @param {Array<Object>} entries - Best first
+ * @param {Object} query
+ * @param {string} query.preset - Difficulty preset id
+ * @param {string} [query.seed] - Only runs on this seed
+ * @param {number} [query.count] - How many (up to LEADERBOARD_MAX_COUNT)
+ * @returns {Array<Object>}
+ */
+function selectTopEntries(entries, { preset, seed, count = 10 }) {
+    return entries
+        .filter(entry => entry.preset === preset && (!seed || entry.seed === seed))
+        .slice(0, Math.max(1, Math.min(LEADERBOARD_MAX_COUNT, Math.floor(count) || 1)));
+}
+
+/**
+ * Read JSON from storage
+ * @param {Storage|null} storage
+ * @param {string} key
+ * @returns {Array<Object>} The stored list, or an empty one if it's missing or unreadable
+ */
+function readStoredList(storage, key) {
+    try {
+        const list = storage ? JSON.parse(storage.getItem(key)) : null;
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        console.warn(`Could not read ${key}`, error);
+        return [];
+    }
+}
+
+/**
+ * Write JSON to storage
+ * @param {Storage|null} storage
+ * @param {string} key
+ * @param {Array<Object>} list
+ */
+function writeStoredList(storage, key, list) {
+    if (!storage) return;
+    try {
+        storage.setItem(key, JSON.stringify(list));
+    } catch (error) {
+        console.warn(`Could not save ${key}`, error);
+    }
+}
+
+/**
+ * Leaderboard kept in this browser (or only in memory, without storage)
+ */
+class LocalLeaderboard {
+    /**
+     * @param {Storage|null} [storage] - Where entries are kept (localStorage in the browser)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.entries = readStoredList(storage, LEADERBOARD_STORAGE_KEY);
+    }
+
+    /**
+     * @param {Object} entry
+     * @returns {Promise<SubmitResult>}
+     */
+    submit(entry) {
+        const rank = addLeaderboardEntry(this.entries, entry);
+        writeStoredList(this.storage, LEADERBOARD_STORAGE_KEY, this.entries);
+        return Promise.resolve({ status: 'accepted', rank });
+    }
+
+    /**
+     * @param {Object} query - See selectTopEntries()
+     * @returns {Promise<Array<Object>>}
+     */
+    fetchTop(query) {
+        return Promise.resolve(selectTopEntries(this.entries, query));
+    }
+}
+
+/**
+ * Leaderboard on a server running tools/leaderboard-server.js
+ * Submissions go through a queue kept in storage, so runs finished offline are sent once the server is back
+ */
+class HttpLeaderboard {
+    /**
+     * @param {string} url - Server address, e.g. http://localhost:8787
+     * @param {Storage|null} [storage] - Where the queue is kept (localStorage in the browser)
+     * @param {function(string, Object): Promise<Response>} [fetchFn] - fetch, or a stand-in
+     */
+    constructor(url, storage = null, fetchFn = (input, init) => fetch(input, init)) {
+        this.url = url.replace(/\/+$/, '');
+        this.storage = storage;
+        this.fetch = fetchFn;
+        this.queue = readStoredList(storage, LEADERBOARD_QUEUE_KEY);
+        this.flushing = null; // The flush in progress, if any
+    }
+
+    /**
+     * Queue an entry and try to send it
+     * @param {Object} entry
+     * @returns {Promise<SubmitResult>}
+     */
+    submit(entry) {
+        this.queue.push(entry);
+        this.queue.splice(0, this.queue.length - LEADERBOARD_QUEUE_SIZE);
+        this.saveQueue();
+        return this.flush().then(results => results.get(entry) || { status: 'queued' });
+    }
+
+    /**
+     * Send the queued entries in order, stopping at the first that can't reach the server
+     * (entries the server turns down are dropped - sending them again won't change its mind)
+     * @returns {Promise<Map<Object, SubmitResult>>} Result per entry sent
+     */
+    flush() {
+        if (this.flushing) {
+            return this.flushing.then(() => this.flush());
+        }
+
+        const results = new Map();
+        const sendNext = () => {
+            const entry = this.queue[0];
+            if (!entry) return Promise.resolve(results);
+            return this.send(entry).then(result => {
+                if (result.status === 'queued') return results;
+                if (result.status === 'rejected') {
+                    console.warn('Leaderboard turned down a run', result.error);
+                }
+                results.set(entry, result);
+                this.queue.shift();
+                this.saveQueue();
+                return sendNext();
+            });
+        };
+
+        this.flushing = sendNext().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    /**
+     * Post one entry to the server
+     * @param {Object} entry
+     * @returns {Promise<SubmitResult>} 'queued' if the server couldn't be reached or failed
+     * (an answer that isn't JSON still counts - accepted without a rank, or rejected without a reason)
+     */
+    send(entry) {
+        return this.fetch(`${this.url}/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }).then(response => {
+            if (response.status >= 500) return { status: 'queued' };
+            return response.json().then(body => body || {}, () => ({})).then(body => (response.ok
+                ? { status: 'accepted', rank: body.rank }
+                : { status: 'rejected', error: body.error }));
+        }, () => ({ status: 'queued' }));
+    }
+
+    /**
+     * @param {Object} query - See selectTopEntries()
+     * @returns {Promise<Array<Object>>}
+     */
+    fetchTop({ preset, seed, count = 10 }) {
+        const params = new URLSearchParams({ preset, count: String(count) });
+        if (seed) params.set('seed', seed);
+        return this.fetch(`${this.url}/scores?${params}`).then(response => {
+            if (!response.ok) throw new Error(`Leaderboard server answered ${response.status}`);
+            return response.json();
+        }).then(body => body.scores);
+    }
+
+    /**
+     * @returns {number} Runs waiting for the server
+     */
+    getQueuedCount() {
+        return this.queue.length;
+    }
+
+    saveQueue() {
+        writeStoredList(this.storage, LEADERBOARD_QUEUE_KEY, this.queue);
+    }
+}
+
+/**
+ * Read the leaderboard server from the page URL (?leaderboard=http://localhost:8787)
+ * @returns {string|null} Server address, or null to keep the leaderboard in the browser
+ */
+function getLeaderboardUrlFromPage() {
+    const url = new URLSearchParams(window.location.search).get('leaderboard');
+    return url && /^https?:\/\//.test(url) ? url : null;
+}
+
+/**
+ * Create the leaderboard the page asks for
+ * @param {Storage} storage
+ * @returns {LocalLeaderboard|HttpLeaderboard}
+ */
+function createLeaderboard(storage) {
+    const url = getLeaderboardUrlFromPage();
+    return url ? new HttpLeaderboard(url, storage) : new LocalLeaderboard(storage);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEADERBOARD_STORED_RUNS,
+        LEADERBOARD_MAX_COUNT,
+        PLAYER_NAME_LENGTH,
+        DEFAULT_PLAYER_NAME,
+        cleanPlayerName,
+        createLeaderboardEntry,
+        getMaxPlausibleScore,
+        validateLeaderboardEntry,
+        addLeaderboardEntry,
+        selectTopEntries,
+        LocalLeaderboard,
+        HttpLeaderboard
+    };
+}
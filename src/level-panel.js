@@ -0,0 +1,59 @@
+/**
+ * Level picker below the canvas: load a contributions file, pasted git log output,
+ * the bundled sample, or go back to random
+ */
+
+/**
+ * Hook the level panel controls up to the running game
+ * @param {Phaser.Game} game
+ */
+function setupLevelPanel(game) {
+    const fileInput = document.getElementById('contributions-file');
+    const sampleButton = document.getElementById('load-sample');
+    const randomButton = document.getElementById('use-random');
+    const gitLogInput = document.getElementById('git-log-input');
+    const gitLogButton = document.getElementById('load-git-log');
+    const status = document.getElementById('level-status');
+    if (!fileInput || !sampleButton || !randomButton || !gitLogInput || !gitLogButton || !status) return;
+
+    const getScene = () => game.scene.getScene('GameScene');
+
+    const useLevel = level => {
+        getScene().setLevelSource(level);
+        status.textContent = level
+            ? `${level.name}: ${level.columns.length} weeks, then random`
+            : 'Random level';
+    };
+
+    const showError = error => {
+        status.textContent = `Could not load level: ${error.message}`;
+    };
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        fileInput.blur(); // Give SPACE back to the game
+        if (file) {
+            loadContributionFile(file).then(useLevel).catch(showError);
+        }
+    });
+
+    sampleButton.addEventListener('click', () => {
+        sampleButton.blur();
+        loadSampleContributions().then(useLevel).catch(showError);
+    });
+
+    gitLogButton.addEventListener('click', () => {
+        gitLogButton.blur();
+        try {
+            useLevel(loadGitLogText(gitLogInput.value));
+        } catch (error) {
+            showError(error);
+        }
+    });
+
+    randomButton.addEventListener('click', () => {
+        randomButton.blur();
+        useLevel(null);
+    });
+}
@@ -0,0 +1,583 @@
+/**
+ * Jump planner - tries jump timings on copies of a run to find ones the player survives
+ * Drives the autopilot demo, and lets the column generator reject columns nobody could get past
+ */
+
+// Steps ahead the autopilot looks when comparing plans
+const AUTOPILOT_HORIZON = 75;
+
+// Steps between autopilot replans
+const AUTOPILOT_REPLAN_STEPS = 4;
+
+// Steps the autopilot may wait before acting
+const AUTOPILOT_DELAYS = [0, 4, 8, 14, 20, 28];
+
+// Steps the autopilot may hold slide for
+const AUTOPILOT_SLIDE_STEPS = [8, 20];
+
+// Steps after letting go of slide the autopilot may jump at (null = no jump)
+const AUTOPILOT_SLIDE_JUMP_STEPS = [null, 4, 12];
+
+// How far ahead of the player (px) an overhang has to be for the autopilot to think about sliding
+const AUTOPILOT_SLIDE_RANGE = 8 * GRID.TILE_FULL_SIZE;
+
+// Milliseconds the game over screen shows before the autopilot starts another run
+const AUTOPILOT_RESTART_DELAY = 2000;
+
+// Steps the guard may wait on the last surface before acting
+const GUARD_DELAYS = Array.from({ length: 32 }, (_, i) => i * 2);
+
+// Longest run-up (columns of the old surface ahead of the player) the guard tells apart
+const GUARD_MAX_RUN_UP = 8;
+
+// Scroll speeds the guard tells apart, in pixels/second (each move is tried at the slowest speed of its step)
+const GUARD_SPEED_STEP = 20;
+
+// Width of the guard's test runs (px)
+const GUARD_TEST_WIDTH = 300;
+
+// Widest gap (empty columns) the guard tables cover
+const GUARD_TABLE_MAX_GAP = 3;
+
+// Guard results a table can hold, by code - a table character packs the codes for the three charge steps
+const GUARD_RESULTS = [
+    { survivable: false, doubleJumps: 0, chargeJump: false },
+    { survivable: true, doubleJumps: 0, chargeJump: false },
+    { survivable: true, doubleJumps: 1, chargeJump: false },
+    { survivable: true, doubleJumps: 0, chargeJump: true }
+];
+const GUARD_TABLE_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Check whether the page asked for the autopilot demo (?autopilot)
+ * @returns {boolean}
+ */
+function isAutopilotInUrl() {
+    return new URLSearchParams(window.location.search).has('autopilot');
+}
+
+/**
+ * Build a plan: button events at step offsets from when the plan starts
+ * @param {Array<Array>} events - [offset, 'down' | 'up' | 'slideDown' | 'slideUp'] pairs, in order
+ * @returns {{events: Array<Array>, doubleJumps: number, chargeJump: boolean}}
+ */
+function createPlan(events) {
+    const presses = events.filter(([, type]) => type === 'down').length;
+    const holds = events.some(([offset, type], i) => type === 'up' && offset - events[i - 1][0] > 1);
+    return {
+        events,
+        doubleJumps: Math.max(0, presses - 1),
+        chargeJump: holds
+    };
+}
+
+/**
+ * Build the plans to try, cheapest first: taps, taps with a double jump, then holds (charge jumps)
+ * @param {Array<number>} delays - Step offsets to start each plan at
+ * @param {Array<number>} doubleJumpGaps - Steps between the two presses of a double jump
+ * @param {Array<number>} holdSteps - Steps to hold for charge jumps
+ * @returns {Array<Object>} Plans
+ */
+function createPlans(delays, doubleJumpGaps, holdSteps) {
+    const plans = [];
+    delays.forEach(delay => plans.push(createPlan([[delay, 'down'], [delay + 1, 'up']])));
+    doubleJumpGaps.forEach(gap => delays.forEach(delay => plans.push(createPlan([
+        [delay, 'down'], [delay + 1, 'up'], [delay + gap, 'down'], [delay + gap + 1, 'up']
+    ]))));
+    holdSteps.forEach(hold => delays.forEach(delay => plans.push(createPlan([
+        [delay, 'down'], [delay + hold, 'up']
+    ]))));
+    return plans;
+}
+
+/**
+ * Build slide plans: hold slide for a while, then maybe jump once back up
+ * @param {Array<number>} delays - Step offsets to start each plan at
+ * @param {Array<number>} holdSteps - Steps to hold slide for
+ * @param {Array<number|null>} jumpSteps - Steps after letting go to jump at (null for no jump)
+ * @returns {Array<Object>} Plans
+ */
+function createSlidePlans(delays, holdSteps, jumpSteps) {
+    const plans = [];
+    jumpSteps.forEach(jump => holdSteps.forEach(hold => delays.forEach(delay => {
+        const events = [[delay, 'slideDown'], [delay + hold, 'slideUp']];
+        if (jump !== null) {
+            events.push([delay + hold + jump, 'down'], [delay + hold + jump + 1, 'up']);
+        }
+        plans.push(createPlan(events));
+    })));
+    return plans;
+}
+
+/**
+ * Play a plan on a copy of a run
+ * @param {Simulation} sim - Run to copy (left untouched)
+ * @param {Object} plan - Plan to play (null to not touch the key)
+ * @param {number} steps - Steps to simulate
+ * @returns {Simulation} The copy, after the plan (stops early on game over)
+ */
+function playPlan(sim, plan, steps) {
+    const copy = sim.clone();
+    const events = plan ? plan.events : [];
+    let next = 0;
+
+    for (let offset = 0; offset < steps && !copy.isGameOver; offset++) {
+        let inputEvent = null;
+        if (next < events.length && events[next][0] === offset) {
+            inputEvent = events[next++][1];
+        }
+        copy.step(inputEvent);
+    }
+    return copy;
+}
+
+/**
+ * Plays the game on its own - used for the title screen demo
+ * Every few steps it compares jump and slide plans over a short horizon and follows the best one
+ * Comparing them all takes longer than a frame has, so each replan is worked out a few plans per step over the steps
+ * before it's due, on a copy of the run played ahead to that step (the run is deterministic, and nothing but the
+ * autopilot presses its buttons)
+ */
+class Autopilot {
+    constructor() {
+        this.plans = [null].concat(createPlans(AUTOPILOT_DELAYS, [8, 14, 20], [40, 100]));
+        this.slidePlans = createSlidePlans(AUTOPILOT_DELAYS, AUTOPILOT_SLIDE_STEPS, AUTOPILOT_SLIDE_JUMP_STEPS);
+        this.queue = [];         // [simStep, button event] still to press
+        this.nextPlanStep = 0;
+        this.nextReplan = null;  // The next replan, while it's being worked out (see startReplan)
+    }
+
+    /**
+     * Pick the button event for the run's next step
+     * @param {Simulation} sim - The run being played
+     * @returns {string|null} 'down', 'up', 'slideDown', 'slideUp' or null
+     */
+    nextInput(sim) {
+        const step = sim.simStep + 1;
+
+        if (this.queue.length === 0 && sim.simStep >= this.nextPlanStep) {
+            this.replan(sim);
+        }
+
+        // Spend what's left of the step on the next replan, spreading its plans over the steps until it's due
+        if (!this.nextReplan || this.nextReplan.source !== sim) {
+            this.nextReplan = this.startReplan(sim);
+        }
+        const replan = this.nextReplan;
+        const stepsLeft = replan.sim.simStep - sim.simStep + 1;
+        this.tryPlans(replan, Math.ceil((replan.plans.length - replan.tried) / stepsLeft));
+
+        if (this.queue.length > 0 && this.queue[0][0] === step) {
+            return this.queue.shift()[1];
+        }
+        return null;
+    }
+
+    /**
+     * Decide what to do from this step on, finishing the replan prepared for it (or working one out now)
+     * @param {Simulation} sim
+     */
+    replan(sim) {
+        let replan = this.nextReplan;
+        if (!replan || replan.source !== sim || replan.sim.simStep < sim.simStep) {
+            replan = this.createReplan(sim, sim.clone());
+        }
+        // Until then there's nothing to do (falling, with nothing to slide under)
+        if (replan.sim.simStep > sim.simStep) return;
+
+        this.nextReplan = null;
+        this.tryPlans(replan, replan.plans.length);
+        // Only commit to plans that start now - later ones are reconsidered at the next replan
+        const plan = replan.best;
+        if (plan && plan.events[0][0] === 0) {
+            this.queue = plan.events.map(([offset, type]) => [sim.simStep + 1 + offset, type]);
+        }
+        // Falling keeps no replan clock, so the step the player can jump again gets a full replan
+        if (replan.canAct) {
+            this.nextPlanStep = sim.simStep + AUTOPILOT_REPLAN_STEPS;
+        }
+    }
+
+    /**
+     * Play a copy of the run ahead to the next step worth replanning at, pressing what's queued on the way
+     * Steps spent falling with nothing to slide under are skipped - their replans would leave the buttons alone
+     * @param {Simulation} sim
+     * @returns {Object} The replan, with no plans tried yet
+     */
+    startReplan(sim) {
+        const copy = sim.clone();
+        const lastQueued = this.queue.length > 0 ? this.queue[this.queue.length - 1][0] : 0;
+        const dueStep = Math.max(this.nextPlanStep, lastQueued, sim.simStep + 1);
+        let next = 0;
+        const stepAhead = () => {
+            let inputEvent = null;
+            if (next < this.queue.length && this.queue[next][0] === copy.simStep + 1) {
+                inputEvent = this.queue[next++][1];
+            }
+            copy.step(inputEvent);
+        };
+
+        while (copy.simStep < dueStep && !copy.isGameOver) {
+            stepAhead();
+        }
+        while (copy.simStep < sim.simStep + AUTOPILOT_HORIZON && !copy.isGameOver && !this.canAct(copy) &&
+            !this.isOverhangAhead(copy)) {
+            stepAhead();
+        }
+        return this.createReplan(sim, copy);
+    }
+
+    /**
+     * @param {Simulation} sim - The run being played
+     * @param {Simulation} copy - A copy of it at the step the replan is for
+     * @returns {Object} A replan with no plans tried yet
+     */
+    createReplan(sim, copy) {
+        const canAct = this.canAct(copy);
+        let plans = [];
+        if (canAct) {
+            // Slide plans are only worth trying with an overhang coming
+            plans = this.isOverhangAhead(copy) ? this.plans.concat(this.slidePlans) : this.plans;
+        } else if (this.isOverhangAhead(copy)) {
+            // Falling, only a slide (a fast-fall) changes anything
+            plans = [null].concat(this.slidePlans);
+        }
+        return { source: sim, sim: copy, canAct, plans, tried: 0, best: null, bestValue: null };
+    }
+
+    /**
+     * Compare some more of a replan's plans over the horizon
+     * @param {Object} replan
+     * @param {number} count - Plans to try
+     */
+    tryPlans(replan, count) {
+        const end = Math.min(replan.plans.length, replan.tried + count);
+        while (replan.tried < end) {
+            const plan = replan.plans[replan.tried++];
+            const value = this.evaluate(playPlan(replan.sim, plan, AUTOPILOT_HORIZON), replan.sim.simStep, plan);
+            if (!replan.bestValue || isBetterValue(value, replan.bestValue)) {
+                replan.best = plan;
+                replan.bestValue = value;
+            }
+
+            // Falling, a slide is only used when coming down as usual would get the player pushed back or ended
+            const [, survives, keepsUp] = value;
+            if (!replan.canAct && plan === null && survives && keepsUp) {
+                replan.tried = replan.plans.length;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Whether pressing jump could change anything (not falling with the ground long gone)
+     * @param {Simulation} sim
+     * @returns {boolean}
+     */
+    canAct(sim) {
+        const body = sim.player;
+        return body.isGrounded || body.vy < 0 || sim.simTime - sim.jump.lastGroundedTime <= COYOTE_TIME;
+    }
+
+    /**
+     * Whether an overhang is close ahead of the player
+     * @param {Simulation} sim
+     * @returns {boolean}
+     */
+    isOverhangAhead(sim) {
+        const x = sim.player.x;
+        return sim.columns.some(column => column.x > x && column.x - x <= AUTOPILOT_SLIDE_RANGE &&
+            hasOverhang(column.tiles));
+    }
+
+    /**
+     * Score where a plan leaves the player: survive longest, don't get pushed back, keep charge,
+     * get pushed back least (in whole columns), press least
+     * @param {Simulation} result - Run after the plan
+     * @param {number} startStep - Step the plan started at
+     * @param {Object|null} plan
+     * @returns {Array<number>} Value, compared element by element
+     */
+    evaluate(result, startStep, plan) {
+        return [
+            result.simStep - startStep,
+            result.isGameOver ? 0 : 1,
+            result.player.x >= result.config.PLAYER_START_X - GRID.TILE_SIZE ? 1 : 0,
+            Math.round(result.jump.jumpCharge),
+            Math.min(0, Math.ceil((result.player.x - result.config.PLAYER_START_X) / GRID.TILE_FULL_SIZE)),
+            plan ? -plan.events.length : 0
+        ];
+    }
+}
+
+/**
+ * Compare two plan values
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {boolean} Whether a is better than b
+ */
+function isBetterValue(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] > b[i];
+    }
+    return false;
+}
+
+/**
+ * Position of a move in a guard table row (one per scroll speed step), or -1 if the tables don't cover it
+ * @param {number} from - Height of the surface the player is on
+ * @param {number} runUp - Columns that surface is long (-1 to GUARD_MAX_RUN_UP)
+ * @param {number} gap - Empty columns in between
+ * @param {number} to - Height of the next surface
+ * @returns {number}
+ */
+function getGuardTableIndex(from, runUp, gap, to) {
+    if (from < 1 || from > GRID.ROWS || to < 1 || to > GRID.ROWS || runUp < -1 || runUp > GUARD_MAX_RUN_UP ||
+        gap < 0 || gap > GUARD_TABLE_MAX_GAP) {
+        return -1;
+    }
+    const runUps = GUARD_MAX_RUN_UP + 2;
+    return (((from - 1) * runUps + runUp + 1) * (GUARD_TABLE_MAX_GAP + 1) + gap) * GRID.ROWS + to - 1;
+}
+
+/**
+ * Column source for the guard's test runs - plays a fixed list of heights, repeating the last
+ */
+class ScriptedColumns {
+    /**
+     * @param {Array<number>} heights - Column heights in order
+     */
+    constructor(heights) {
+        this.heights = heights;
+        this.index = 0;
+    }
+
+    next() {
+        const height = this.heights[Math.min(this.index++, this.heights.length - 1)];
+        const tiles = [];
+        for (let row = 0; row < GRID.ROWS; row++) {
+            tiles.push(row < height ? createTile('GREEN_OBSTACLE') : null);
+        }
+        return tiles;
+    }
+
+    /**
+     * Test runs have no commit dots
+     * @returns {null}
+     */
+    nextCommit() {
+        return null;
+    }
+
+    /**
+     * Or power-ups
+     * @returns {null}
+     */
+    nextPowerUp() {
+        return null;
+    }
+
+    clone() {
+        const copy = new ScriptedColumns(this.heights);
+        copy.index = this.index;
+        return copy;
+    }
+}
+
+/**
+ * Decides whether the player can get from one surface to the next, given the charge they have
+ * Each move is tried once in a small test run, starting on the near edge of the old surface, then remembered
+ * A search can take a few frames' time, so the difficulty presets' moves come worked out ahead in GUARD_TABLES
+ * and only moves outside them are searched during a run
+ */
+class SolvabilityGuard {
+    /**
+     * @param {Object} [config] - Game config the moves are tried with
+     * @param {Object} [table] - Results worked out ahead for this config (GUARD_TABLES entry), if any
+     */
+    constructor(config = GAME_CONFIG, table = null) {
+        this.config = config;
+        this.table = table;
+        this.plans = createPlans(GUARD_DELAYS, [8, 14, 20], [20, 50, 100]);
+        this.cache = new Map();
+    }
+
+    /**
+     * Get the guard for a game config - one guard (and cache) per config for every run on the page,
+     * with a difficulty preset's table when the config is one
+     * @param {Object} config
+     * @returns {SolvabilityGuard}
+     */
+    static forConfig(config) {
+        if (!SolvabilityGuard.guards.has(config)) {
+            const preset = Object.keys(DIFFICULTY_PRESETS).find(id => DIFFICULTY_PRESETS[id].config === config);
+            const table = preset && typeof GUARD_TABLES !== 'undefined' ? GUARD_TABLES[preset] : null;
+            SolvabilityGuard.guards.set(config, new SolvabilityGuard(config, table || null));
+        }
+        return SolvabilityGuard.guards.get(config);
+    }
+
+    /**
+     * Check a move between surfaces
+     * @param {number} from - Height of the surface the player is on (1-7)
+     * @param {number} runUp - Columns that surface is long
+     * @param {number} gap - Empty columns in between
+     * @param {number} to - Height of the next surface (1-7)
+     * @param {number} charge - Jump charge the player is expected to have
+     * @param {number} speed - Scroll speed the move comes at (pixels/second)
+     * @returns {{survivable: boolean, doubleJumps: number, chargeJump: boolean}} Cheapest way across, if any
+     */
+    check(from, runUp, gap, to, charge, speed) {
+        const config = this.config;
+
+        // Charge only matters in steps of what it buys: nothing, a double jump, or a charge jump
+        const chargeStep = charge >= config.JUMP_CHARGE_MAX ? config.JUMP_CHARGE_MAX
+            : charge >= config.JUMP_CHARGE_COST ? config.JUMP_CHARGE_COST : 0;
+
+        // Stepping down or across without a gap needs nothing
+        if (gap === 0 && to <= from) {
+            return { survivable: true, doubleJumps: 0, chargeJump: false };
+        }
+
+        // Speed matters in steps as well
+        const speedStep = Math.floor(speed / GUARD_SPEED_STEP) * GUARD_SPEED_STEP;
+        const length = Math.min(runUp, GUARD_MAX_RUN_UP);
+        const key = `${from},${length},${gap},${to},${chargeStep},${speedStep}`;
+        if (!this.cache.has(key)) {
+            const known = this.lookUp(from, length, gap, to, chargeStep, speedStep);
+            this.cache.set(key, known || this.solve(from, length, gap, to, chargeStep, speedStep));
+        }
+        return this.cache.get(key);
+    }
+
+    /**
+     * Find a move in the guard's table
+     * @param {number} from
+     * @param {number} runUp
+     * @param {number} gap
+     * @param {number} to
+     * @param {number} charge - 0, JUMP_CHARGE_COST or JUMP_CHARGE_MAX
+     * @param {number} speed - A multiple of GUARD_SPEED_STEP
+     * @returns {Object|null} The result, or null if the table doesn't have it
+     */
+    lookUp(from, runUp, gap, to, charge, speed) {
+        const row = this.table && this.table[speed];
+        const index = getGuardTableIndex(from, runUp, gap, to);
+        if (!row || index < 0 || index >= row.length) return null;
+
+        const chargeIndex = charge >= this.config.JUMP_CHARGE_MAX ? 2 : (charge > 0 ? 1 : 0);
+        const codes = GUARD_TABLE_DIGITS.indexOf(row[index]);
+        return GUARD_RESULTS[Math.floor(codes / Math.pow(GUARD_RESULTS.length, chargeIndex)) % GUARD_RESULTS.length];
+    }
+
+    /**
+     * Search for a plan that crosses a move in a test run
+     * @param {number} from
+     * @param {number} runUp
+     * @param {number} gap
+     * @param {number} to
+     * @param {number} charge
+     * @param {number} speed
+     * @returns {{survivable: boolean, doubleJumps: number, chargeJump: boolean}}
+     */
+    solve(from, runUp, gap, to, charge, speed) {
+        const config = this.config;
+        const failed = { survivable: false, doubleJumps: 0, chargeJump: false };
+
+        // Higher than a full charge jump can reach - no need to search
+        const climb = (to - from) * GRID.TILE_FULL_SIZE;
+        if (climb > this.maxRise(charge)) return failed;
+
+        const sim = this.createTestRun(from, runUp, gap, to, charge, speed);
+        const steps = this.stepsToCross(runUp, gap, speed);
+        const landingY = sim.height - GRID.TILE_SIZE - (to - 1) * GRID.TILE_FULL_SIZE - GRID.TILE_SIZE / 2;
+
+        for (let i = 0; i < this.plans.length; i++) {
+            const plan = this.plans[i];
+            if (plan.doubleJumps * config.JUMP_CHARGE_COST > charge) continue;
+            if (plan.chargeJump && charge < config.JUMP_CHARGE_MAX) continue;
+
+            const result = playPlan(sim, plan, steps);
+            const body = result.player;
+            if (!result.isGameOver && body.isGrounded && Math.abs(body.y - landingY) < 1 &&
+                body.x >= config.PLAYER_START_X - GRID.TILE_FULL_SIZE) {
+                return { survivable: true, doubleJumps: plan.doubleJumps, chargeJump: plan.chargeJump };
+            }
+        }
+        return failed;
+    }
+
+    /**
+     * Highest climb (px) the player's jumps allow with some charge
+     * @param {number} charge
+     * @returns {number}
+     */
+    maxRise(charge) {
+        const config = this.config;
+        const rise = velocity => (velocity * velocity) / (2 * config.GRAVITY);
+        if (charge >= config.JUMP_CHARGE_MAX) return rise(config.CHARGE_JUMP_MAX_VELOCITY);
+        const jumps = 1 + Math.floor(charge / config.JUMP_CHARGE_COST);
+        return jumps * rise(config.JUMP_VELOCITY);
+    }
+
+    /**
+     * Build a test run with the player standing at the start of the old surface
+     * @param {number} from
+     * @param {number} runUp
+     * @param {number} gap
+     * @param {number} to
+     * @param {number} charge
+     * @param {number} speed
+     * @returns {Simulation}
+     */
+    createTestRun(from, runUp, gap, to, charge, speed) {
+        const heights = [];
+        const playerColumn = Math.floor(this.config.PLAYER_START_X / GRID.TILE_FULL_SIZE);
+        for (let i = 0; i < playerColumn + runUp; i++) heights.push(from);
+        for (let i = 0; i < gap; i++) heights.push(0);
+        heights.push(to);
+
+        const generator = new ScriptedColumns(heights);
+        const sim = new Simulation({ seed: 'guard', width: GUARD_TEST_WIDTH, generator, config: this.config });
+        sim.player.y = sim.height - GRID.TILE_SIZE - (from - 1) * GRID.TILE_FULL_SIZE - GRID.TILE_SIZE / 2;
+        sim.jump.jumpCharge = charge;
+        sim.scrollSpeed = speed;
+        return sim;
+    }
+
+    /**
+     * Steps until the new surface has reached the player, plus time to come down from the highest jump
+     * @param {number} runUp
+     * @param {number} gap
+     * @param {number} speed
+     * @returns {number}
+     */
+    stepsToCross(runUp, gap, speed) {
+        const config = this.config;
+        const playerColumn = Math.floor(config.PLAYER_START_X / GRID.TILE_FULL_SIZE);
+        const distance = (playerColumn + runUp + gap) * GRID.TILE_FULL_SIZE - config.PLAYER_START_X;
+        const airtime = -2 * config.CHARGE_JUMP_MAX_VELOCITY / config.GRAVITY;
+        return Math.ceil((distance / speed + airtime) / (FIXED_TIMESTEP_MS / 1000));
+    }
+}
+
+// Guards by game config (see SolvabilityGuard.forConfig)
+SolvabilityGuard.guards = new Map();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GUARD_SPEED_STEP,
+        GUARD_MAX_RUN_UP,
+        GUARD_TABLE_MAX_GAP,
+        GUARD_RESULTS,
+        GUARD_TABLE_DIGITS,
+        createPlan,
+        createPlans,
+        createSlidePlans,
+        playPlan,
+        getGuardTableIndex,
+        Autopilot,
+        ScriptedColumns,
+        SolvabilityGuard
+    };
+}
@@ -0,0 +1,20 @@
+/**
+ * Caffeine - fills the jump charge and keeps it full for a few seconds
+ */
+
+/**
+ * @param {Simulation} sim
+ */
+function fillJumpCharge(sim) {
+    sim.jump.jumpCharge = sim.config.JUMP_CHARGE_MAX;
+}
+
+registerPowerUp({
+    id: 'caffeine',
+    name: 'Caffeine',
+    icon: 'C',
+    color: 0x9a6700,
+    duration: 4,
+    start: fillJumpCharge,
+    update: fillJumpCharge
+});
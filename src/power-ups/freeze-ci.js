@@ -0,0 +1,12 @@
+/**
+ * Freeze CI - the world scrolls slower for a while (the speed ramp keeps counting underneath)
+ */
+
+registerPowerUp({
+    id: 'freezeCi',
+    name: 'Freeze CI',
+    icon: 'CI',
+    color: 0x54aeff,
+    duration: 5,
+    scrollScale: 0.7
+});
@@ -0,0 +1,42 @@
+/**
+ * Magnet - commit dots near the player drift toward it, and count as soon as they reach it
+ */
+
+// Distance (px) from the player at which dots start moving
+const MAGNET_RANGE = 70;
+
+// How fast pulled dots move (pixels/second)
+const MAGNET_SPEED = 220;
+
+registerPowerUp({
+    id: 'magnet',
+    name: 'Magnet',
+    icon: 'M',
+    color: 0xcf222e,
+    duration: 8,
+
+    update(sim, deltaSeconds) {
+        const body = sim.player;
+        sim.columns.forEach(column => {
+            const commit = column.commit;
+            if (!commit || commit.isCollected) return;
+
+            const position = sim.getCommitPosition(column);
+            const dx = body.x - position.x;
+            const dy = body.y - position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > MAGNET_RANGE || distance === 0) return;
+
+            const move = Math.min(distance, MAGNET_SPEED * deltaSeconds);
+            commit.pullX += dx / distance * move;
+            commit.pullY += dy / distance * move;
+            if (sim.isTouchingCommit(column)) {
+                sim.collectCommit(column);
+            }
+        });
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MAGNET_RANGE, MAGNET_SPEED };
+}
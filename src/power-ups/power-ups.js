@@ -0,0 +1,53 @@
+/**
+ * Power-up registry - each power-up is a small module under src/power-ups/ that registers itself here
+ * The Simulation runs a power-up's rules while it's active; the game scene draws its pickup and HUD icon
+ */
+
+// One in this many columns carries a power-up (after the runway, when it has no commit dot)
+const POWER_UP_CHANCE = 70;
+
+// Size of a power-up pickup (px)
+const POWER_UP_SIZE = 11;
+
+// The HUD shows a power-up's name for this many seconds after it's picked up, then its icon
+const POWER_UP_NAME_SECONDS = 1.5;
+
+// Registered power-ups by id
+const POWER_UPS = {};
+
+/**
+ * Add a power-up to the game
+ * @param {Object} powerUp
+ * @param {string} powerUp.id - Stable id (stored in replays through the columns it spawns on)
+ * @param {string} powerUp.name - Shown when it's picked up
+ * @param {string} powerUp.icon - One or two characters for the HUD icon
+ * @param {number} powerUp.color - Pickup and HUD icon color
+ * @param {number} powerUp.duration - Seconds it lasts
+ * @param {function(Simulation): void} [powerUp.start] - Called when it's picked up (or picked up again)
+ * @param {function(Simulation, number): void} [powerUp.update] - Called every step while active, with the step length
+ * @param {number} [powerUp.scrollScale] - Scroll speed multiplier while active
+ * @param {function(Simulation): boolean} [powerUp.absorbPush] - Called when the player is pushed off screen;
+ *     returning true saves the run and uses the power-up up
+ */
+function registerPowerUp(powerUp) {
+    POWER_UPS[powerUp.id] = powerUp;
+}
+
+/**
+ * Ids of the registered power-ups in a fixed order, so seeds pick the same ones whatever the load order
+ * @returns {Array<string>}
+ */
+function getPowerUpIds() {
+    return Object.keys(POWER_UPS).sort();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POWER_UP_CHANCE,
+        POWER_UP_SIZE,
+        POWER_UP_NAME_SECONDS,
+        POWER_UPS,
+        registerPowerUp,
+        getPowerUpIds
+    };
+}
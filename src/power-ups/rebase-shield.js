@@ -0,0 +1,22 @@
+/**
+ * Rebase shield - the next push off the left edge puts the player back at the start position instead of ending the run
+ */
+
+registerPowerUp({
+    id: 'rebaseShield',
+    name: 'Rebase Shield',
+    icon: 'RB',
+    color: 0x0969da,
+    duration: 20,
+
+    absorbPush(sim) {
+        // Drop back in above the grid, at the usual spot
+        const body = sim.player;
+        body.x = sim.config.PLAYER_START_X;
+        body.y = sim.height - GRID.ROWS * GRID.TILE_FULL_SIZE - GRID.TILE_SIZE;
+        body.vx = 0;
+        body.vy = 0;
+        body.isGrounded = false;
+        return true;
+    }
+});
@@ -0,0 +1,83 @@
+/**
+ * Profile controls below the canvas: lifetime stats, the local leaderboard,
+ * settings, and moving progress between browsers (export/import)
+ */
+
+/**
+ * Hook the profile panel up to the running game
+ * @param {Phaser.Game} game
+ */
+function setupProfilePanel(game) {
+    const summary = document.getElementById('profile-summary');
+    const ghostToggle = document.getElementById('show-ghost');
+    const exportButton = document.getElementById('export-profile');
+    const importInput = document.getElementById('profile-file');
+    const status = document.getElementById('profile-status');
+    const leaderboard = document.getElementById('leaderboard-list');
+    if (!summary || !ghostToggle || !exportButton || !importInput || !status || !leaderboard) return;
+
+    // The profile is loaded by the boot scene, which runs after this
+    const getStore = () => game.registry.get('profile');
+
+    const render = () => {
+        const store = getStore();
+        if (!store) return;
+        const { stats, leaderboard: runs } = store.profile;
+        const highScores = Object.keys(DIFFICULTY_PRESETS)
+            .map(preset => `${DIFFICULTY_PRESETS[preset].name} ${store.getHighScore(preset)}`)
+            .join(', ');
+        const achievementIds = Object.keys(ACHIEVEMENTS);
+        const unlocked = achievementIds.filter(id => store.getAchievement(id).unlockedAt).length;
+
+        summary.textContent = `High scores: ${highScores}  |  ${stats.runs} runs  |  ${stats.totalDistance} columns  |  ` +
+            `jumps ${stats.jumps.ground}/${stats.jumps.double}/${stats.jumps.charge} (ground/double/charge)  |  ` +
+            `pushed ${stats.deaths.pushed}, fell ${stats.deaths.fell}, merge conflicts ${stats.deaths.conflict}  |  ` +
+            `achievements ${unlocked}/${achievementIds.length}`;
+        ghostToggle.checked = store.getSetting('showGhost');
+
+        leaderboard.replaceChildren(...runs.map(run => {
+            const item = document.createElement('li');
+            const level = run.level ? ` on ${run.level}` : '';
+            item.textContent = `${run.score} - ${DIFFICULTY_PRESETS[run.preset].name} - seed ${run.seed}${level} - ` +
+                run.date.slice(0, 10);
+            return item;
+        }));
+    };
+
+    game.events.on(PROFILE_CHANGE_EVENT, render);
+
+    ghostToggle.addEventListener('change', () => {
+        ghostToggle.blur(); // Give SPACE back to the game
+        const store = getStore();
+        if (store) {
+            store.setSetting('showGhost', ghostToggle.checked);
+            game.events.emit(PROFILE_CHANGE_EVENT);
+        }
+    });
+
+    exportButton.addEventListener('click', () => {
+        exportButton.blur();
+        const store = getStore();
+        if (store) {
+            downloadProfile(store);
+        }
+    });
+
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        importInput.blur();
+        const store = getStore();
+        if (!file || !store) return;
+
+        file.text()
+            .then(text => {
+                store.importJson(text);
+                game.events.emit(PROFILE_CHANGE_EVENT);
+                status.textContent = 'Progress imported';
+            })
+            .catch(error => {
+                status.textContent = `Could not import progress: ${error.message}`;
+            });
+    });
+}
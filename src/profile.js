@@ -0,0 +1,486 @@
+/**
+ * Player profile - lifetime stats, the local leaderboard, Daily Commit history and settings, kept in localStorage
+ * Stored profiles carry a schema version and are migrated forward when loaded or imported
+ */
+
+// localStorage key for the profile
+const PROFILE_STORAGE_KEY = 'commitRunnerProfile';
+
+// Current profile schema version
+const PROFILE_VERSION = 2;
+
+// Runs kept on the local leaderboard, per difficulty preset
+const LEADERBOARD_SIZE = 10;
+
+// Cookie the high score was kept in before profiles existed
+const LEGACY_HIGH_SCORE_COOKIE = 'commitRunnerHighScore';
+
+// Game event emitted whenever the profile changes
+const PROFILE_CHANGE_EVENT = 'profilechange';
+
+// Settings every profile starts with
+const DEFAULT_SETTINGS = {
+    showGhost: true, // Race the best run on a seed when replaying it
+    jumpKeys: ['SPACE', 'UP', 'W'], // Keyboard jump bindings (Phaser key names, null for an empty slot)
+    masterVolume: 80, // Percent
+    musicVolume: 50,
+    sfxVolume: 80,
+    muted: false,
+    preset: DEFAULT_PRESET, // Difficulty preset played from the title screen
+    theme: AUTO_THEME, // Key in THEMES, or AUTO_THEME to follow the browser's light / dark preference
+    palette: THEME_PALETTE, // Key in COLOR_PALETTES, or THEME_PALETTE for the theme's own greens
+    tilePatterns: false, // Outline and mark solid tiles so they don't differ by color alone
+    reducedMotion: 'auto', // Entry in REDUCED_MOTION_CHOICES
+    gameSpeed: 100, // Percent
+    largeHud: false,
+    landingDust: true, // Effects (see EFFECT_SETTINGS)
+    chargeTrail: true,
+    doubleJumpRing: true,
+    screenShake: true,
+    deathShatter: true,
+    playerName: DEFAULT_PLAYER_NAME // Name on the shared leaderboard
+};
+
+/**
+ * Create a zero high score for every difficulty preset
+ * @returns {Object} Map of preset id to high score
+ */
+function createHighScores() {
+    const highScores = {};
+    Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+        highScores[preset] = 0;
+    });
+    return highScores;
+}
+
+/**
+ * Create an empty profile at the current schema version
+ * @returns {Object}
+ */
+function createProfile() {
+    return {
+        version: PROFILE_VERSION,
+        createdAt: new Date().toISOString(),
+        highScores: createHighScores(), // Per difficulty preset
+        stats: {
+            runs: 0,
+            totalDistance: 0, // Columns
+            jumps: { ground: 0, double: 0, charge: 0 },
+            deaths: { pushed: 0, fell: 0, conflict: 0 }
+        },
+        leaderboard: [], // Best runs first: {score, seed, level, preset, distance, date}
+        daily: {}, // Daily Commit attempts by UTC date (YYYY-MM-DD): {score, distance, isFinished}
+        achievements: {}, // Progress by achievement id: {progress, unlockedAt} (see ACHIEVEMENTS)
+        settings: Object.assign({}, DEFAULT_SETTINGS)
+    };
+}
+
+// Upgrades from each schema version to the next - PROFILE_MIGRATIONS[n] turns version n into n + 1
+const PROFILE_MIGRATIONS = [
+    // 0: an unversioned profile, like the high score imported from the old cookie
+    profile => Object.assign(createProfile(), {
+        version: 1,
+        highScore: toCount(profile.highScore)
+    }),
+    // 1: one high score and leaderboard, all played at what is now the normal preset
+    profile => Object.assign({}, profile, {
+        version: 2,
+        highScores: { [DEFAULT_PRESET]: toCount(profile.highScore) },
+        leaderboard: (Array.isArray(profile.leaderboard) ? profile.leaderboard : [])
+            .map(entry => Object.assign({}, entry, { preset: DEFAULT_PRESET }))
+    })
+];
+
+/**
+ * Read a non-negative whole number, falling back to 0
+ * @param {*} value
+ * @returns {number}
+ */
+function toCount(value) {
+    const number = Math.floor(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+/**
+ * Whether an imported setting has the same type as its default (a list's entries too, or null for an empty slot)
+ * @param {*} value
+ * @param {*} defaultValue - Its entry in DEFAULT_SETTINGS
+ * @returns {boolean}
+ */
+function hasSettingType(value, defaultValue) {
+    if (Array.isArray(defaultValue)) {
+        return Array.isArray(value) && value.every(item => item === null || typeof item === typeof defaultValue[0]);
+    }
+    return typeof value === typeof defaultValue;
+}
+
+/**
+ * Bring stored profile data up to the current schema version
+ * @param {Object} data - Parsed profile (any version)
+ * @returns {Object} Profile at PROFILE_VERSION
+ */
+function migrateProfile(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Profile is not an object');
+    }
+
+    let profile = data;
+    let version = toCount(data.version);
+    if (version > PROFILE_VERSION) {
+        throw new Error(`Profile is from a newer version (${version}) of the game`);
+    }
+    while (version < PROFILE_VERSION) {
+        profile = PROFILE_MIGRATIONS[version](profile);
+        version = profile.version;
+    }
+    return normalizeProfile(profile);
+}
+
+/**
+ * Fill in anything missing or malformed in a current-version profile (hand-edited imports, new settings)
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function normalizeProfile(profile) {
+    const clean = createProfile();
+    const stats = profile.stats || {};
+    const jumps = stats.jumps || {};
+    const deaths = stats.deaths || {};
+
+    clean.createdAt = typeof profile.createdAt === 'string' ? profile.createdAt : clean.createdAt;
+    const highScores = profile.highScores || {};
+    Object.keys(clean.highScores).forEach(preset => {
+        clean.highScores[preset] = toCount(highScores[preset]);
+    });
+    clean.stats.runs = toCount(stats.runs);
+    clean.stats.totalDistance = toCount(stats.totalDistance);
+    Object.keys(clean.stats.jumps).forEach(type => {
+        clean.stats.jumps[type] = toCount(jumps[type]);
+    });
+    Object.keys(clean.stats.deaths).forEach(cause => {
+        clean.stats.deaths[cause] = toCount(deaths[cause]);
+    });
+
+    clean.leaderboard = (Array.isArray(profile.leaderboard) ? profile.leaderboard : [])
+        .filter(entry => entry && typeof entry.seed === 'string' && typeof entry.date === 'string' &&
+            isPresetId(entry.preset))
+        .map(entry => ({
+            score: toCount(entry.score),
+            seed: entry.seed,
+            level: typeof entry.level === 'string' ? entry.level : null,
+            preset: entry.preset,
+            distance: toCount(entry.distance),
+            date: entry.date
+        }));
+    clean.leaderboard = trimLeaderboard(clean.leaderboard);
+
+    const daily = profile.daily || {};
+    Object.keys(daily)
+        .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date) && daily[date])
+        .sort()
+        .slice(-DAILY_HISTORY_SIZE)
+        .forEach(date => {
+            clean.daily[date] = {
+                score: toCount(daily[date].score),
+                distance: toCount(daily[date].distance),
+                isFinished: Boolean(daily[date].isFinished)
+            };
+        });
+
+    // Keep progress on known achievements
+    const achievements = profile.achievements || {};
+    Object.keys(ACHIEVEMENTS)
+        .filter(id => achievements[id])
+        .forEach(id => {
+            const progress = Math.min(toCount(achievements[id].progress), getAchievementGoal(id));
+            const unlockedAt = achievements[id].unlockedAt;
+            clean.achievements[id] = {
+                progress,
+                unlockedAt: typeof unlockedAt === 'string' && progress >= getAchievementGoal(id) ? unlockedAt : null
+            };
+        });
+
+    // Keep known settings of the right type; new ones (and anything else) start at their defaults
+    const settings = profile.settings || {};
+    Object.keys(DEFAULT_SETTINGS)
+        .filter(key => hasSettingType(settings[key], DEFAULT_SETTINGS[key]))
+        .forEach(key => {
+            clean.settings[key] = Array.isArray(settings[key]) ? settings[key].slice() : settings[key];
+        });
+    if (!isPresetId(clean.settings.preset)) {
+        clean.settings.preset = DEFAULT_PRESET;
+    }
+    if (!THEME_CHOICES.includes(clean.settings.theme)) {
+        clean.settings.theme = AUTO_THEME;
+    }
+    if (!PALETTE_CHOICES.includes(clean.settings.palette)) {
+        clean.settings.palette = THEME_PALETTE;
+    }
+    if (!REDUCED_MOTION_CHOICES.includes(clean.settings.reducedMotion)) {
+        clean.settings.reducedMotion = DEFAULT_SETTINGS.reducedMotion;
+    }
+    ['masterVolume', 'musicVolume', 'sfxVolume'].forEach(key => {
+        clean.settings[key] = clampVolume(clean.settings[key], DEFAULT_SETTINGS[key]);
+    });
+    clean.settings.gameSpeed = clampGameSpeed(clean.settings.gameSpeed);
+    clean.settings.playerName = cleanPlayerName(clean.settings.playerName);
+    return clean;
+}
+
+/**
+ * Sort leaderboard runs best first and keep the best LEADERBOARD_SIZE of each preset
+ * Ties keep the earlier run ahead
+ * @param {Array<Object>} runs
+ * @returns {Array<Object>}
+ */
+function trimLeaderboard(runs) {
+    const kept = {};
+    return runs
+        .sort((a, b) => b.score - a.score)
+        .filter(run => {
+            kept[run.preset] = (kept[run.preset] || 0) + 1;
+            return kept[run.preset] <= LEADERBOARD_SIZE;
+        });
+}
+
+/**
+ * Read the high score from the pre-profile cookie (stored raw, so parse it carefully)
+ * @returns {number} High score, or 0 if there is none
+ */
+function readLegacyHighScore() {
+    if (typeof document === 'undefined') return 0;
+
+    const prefix = `${LEGACY_HIGH_SCORE_COOKIE}=`;
+    const cookie = document.cookie.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(prefix));
+    if (!cookie) return 0;
+
+    try {
+        return toCount(decodeURIComponent(cookie.slice(prefix.length)));
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Delete the pre-profile cookie once its high score has been imported
+ */
+function clearLegacyHighScore() {
+    if (typeof document === 'undefined') return;
+    document.cookie = `${LEGACY_HIGH_SCORE_COOKIE}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/`;
+}
+
+/**
+ * Loads, updates and saves the player's profile
+ */
+class ProfileStore {
+    /**
+     * @param {Storage} storage - Where the profile lives (localStorage in the browser)
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.profile = this.load();
+    }
+
+    /**
+     * Read the stored profile, importing the old high score cookie the first time
+     * @returns {Object}
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = this.storage.getItem(PROFILE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read profile', error);
+        }
+
+        if (stored !== null) {
+            try {
+                return migrateProfile(JSON.parse(stored));
+            } catch (error) {
+                console.warn('Stored profile is unreadable, starting a new one', error);
+            }
+        }
+
+        // First visit with profiles - bring the cookie's high score along, then drop the cookie
+        this.profile = migrateProfile({ highScore: readLegacyHighScore() });
+        this.save();
+        clearLegacyHighScore();
+        return this.profile;
+    }
+
+    /**
+     * Write the profile to storage
+     */
+    save() {
+        try {
+            this.storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(this.profile));
+        } catch (error) {
+            console.warn('Could not save profile', error);
+        }
+    }
+
+    /**
+     * Add a finished run to the lifetime stats and leaderboard
+     * @param {Object} run
+     * @param {number} run.score
+     * @param {string} run.seed
+     * @param {string|null} run.level - Contribution level name, if any
+     * @param {string} run.preset - Difficulty preset id
+     * @param {number} run.distance - Columns travelled
+     * @param {Object} run.stats - Simulation stats (jumps, doubleJumps, chargeJumps)
+     * @param {string} run.cause - 'pushed', 'fell' or 'conflict'
+     * @returns {{isHighScore: boolean, rank: number}} Rank on the preset's leaderboard (1-based, 0 if it didn't place)
+     */
+    recordRun({ score, seed, level, preset, distance, stats, cause }) {
+        const profile = this.profile;
+
+        profile.stats.runs++;
+        profile.stats.totalDistance += distance;
+        profile.stats.jumps.ground += stats.jumps;
+        profile.stats.jumps.double += stats.doubleJumps;
+        profile.stats.jumps.charge += stats.chargeJumps;
+        if (cause in profile.stats.deaths) {
+            profile.stats.deaths[cause]++;
+        }
+
+        const isHighScore = score > this.getHighScore(preset);
+        if (isHighScore) {
+            profile.highScores[preset] = score;
+        }
+
+        const entry = { score, seed, level, preset, distance, date: new Date().toISOString() };
+        profile.leaderboard.push(entry);
+        profile.leaderboard = trimLeaderboard(profile.leaderboard);
+
+        this.save();
+        const presetRuns = profile.leaderboard.filter(run => run.preset === preset);
+        return { isHighScore, rank: presetRuns.indexOf(entry) + 1 };
+    }
+
+    /**
+     * Use up a day's Daily Commit attempt - it counts from the moment it starts, so quitting doesn't buy another
+     * @param {string} date - YYYY-MM-DD
+     */
+    startDailyAttempt(date) {
+        const daily = this.profile.daily;
+        daily[date] = { score: 0, distance: 0, isFinished: false };
+        Object.keys(daily).sort().slice(0, -DAILY_HISTORY_SIZE).forEach(oldDate => delete daily[oldDate]);
+        this.save();
+    }
+
+    /**
+     * Record how a day's Daily Commit attempt went - once, and only for an attempt that was started
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} score
+     * @param {number} distance - Columns travelled
+     * @returns {boolean} Whether it was recorded
+     */
+    finishDailyAttempt(date, score, distance) {
+        const attempt = this.profile.daily[date];
+        if (!attempt || attempt.isFinished) return false;
+        this.profile.daily[date] = { score, distance, isFinished: true };
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{score: number, distance: number, isFinished: boolean}|null} The day's attempt, if it was played
+     */
+    getDailyAttempt(date) {
+        return this.profile.daily[date] || null;
+    }
+
+    /**
+     * @returns {Array<Object>} Daily Commit attempts, newest first: {date, score, distance, isFinished}
+     */
+    getDailyHistory() {
+        return Object.keys(this.profile.daily).sort().reverse()
+            .map(date => Object.assign({ date }, this.profile.daily[date]));
+    }
+
+    /**
+     * @param {string} id - Key in ACHIEVEMENTS
+     * @returns {{progress: number, unlockedAt: string|null}} Counted events so far, and when it unlocked (ISO date)
+     */
+    getAchievement(id) {
+        return this.profile.achievements[id] || { progress: 0, unlockedAt: null };
+    }
+
+    /**
+     * Count one more event toward a locked achievement, unlocking it once it reaches its goal
+     * @param {string} id - Key in ACHIEVEMENTS
+     * @returns {boolean} Whether this unlocked it
+     */
+    addAchievementProgress(id) {
+        const achievement = this.getAchievement(id);
+        if (achievement.unlockedAt) return false;
+
+        const progress = achievement.progress + 1;
+        const isUnlocked = progress >= getAchievementGoal(id);
+        this.profile.achievements[id] = { progress, unlockedAt: isUnlocked ? new Date().toISOString() : null };
+        this.save();
+        return isUnlocked;
+    }
+
+    /**
+     * @param {string} preset - Difficulty preset id
+     * @returns {number} The preset's high score
+     */
+    getHighScore(preset) {
+        return this.profile.highScores[preset] || 0;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {*} Setting value
+     */
+    getSetting(name) {
+        return this.profile.settings[name];
+    }
+
+    /**
+     * @param {string} name
+     * @param {*} value
+     */
+    setSetting(name, value) {
+        this.profile.settings[name] = value;
+        this.save();
+    }
+
+    /**
+     * Serialize the profile for moving it to another browser
+     * @returns {string} JSON
+     */
+    exportJson() {
+        return JSON.stringify(this.profile, null, 2);
+    }
+
+    /**
+     * Replace the profile with an exported one
+     * @param {string} text - Profile JSON (any schema version up to the current one)
+     */
+    importJson(text) {
+        this.profile = migrateProfile(JSON.parse(text));
+        this.save();
+    }
+}
+
+/**
+ * Download the profile as a JSON file
+ * @param {ProfileStore} store
+ */
+function downloadProfile(store) {
+    const blob = new Blob([store.exportJson()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `commit-dash-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROFILE_VERSION, LEADERBOARD_SIZE, createProfile, migrateProfile, ProfileStore };
+}
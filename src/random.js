@@ -0,0 +1,98 @@
+/**
+ * Seeded random number generation for level layout
+ * The same seed always produces the same sequence, so layouts can be shared and replayed
+ */
+
+// Longest seed string we accept from the URL
+const MAX_SEED_LENGTH = 32;
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} 32-bit unsigned hash
+ */
+function hashSeed(seed) {
+    const str = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Roll a new short, shareable seed string
+ * @returns {string} Base-36 seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 0x7fffffff).toString(36);
+}
+
+/**
+ * Read the seed from the page URL (?seed=...)
+ * @returns {string|null} Seed string, or null if none was given
+ */
+function getSeedFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const seed = (params.get('seed') || '').trim().slice(0, MAX_SEED_LENGTH);
+    return seed.length > 0 ? seed : null;
+}
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32)
+ */
+class SeededRandom {
+    /**
+     * @param {string} seed - Seed string
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    /**
+     * Get the next float in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer between min and max (inclusive)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    between(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array
+     * @returns {*}
+     */
+    pick(array) {
+        return array[this.between(0, array.length - 1)];
+    }
+
+    /**
+     * Copy the generator, including its position in the sequence
+     * @returns {SeededRandom}
+     */
+    clone() {
+        const copy = new SeededRandom(this.seed);
+        copy.state = this.state;
+        return copy;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MAX_SEED_LENGTH, hashSeed, generateSeed, SeededRandom };
+}
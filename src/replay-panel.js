@@ -0,0 +1,59 @@
+/**
+ * Replay controls below the canvas: watch or export the last run, or import a replay file
+ */
+
+/**
+ * Hook the replay panel controls up to the running game
+ * @param {Phaser.Game} game
+ */
+function setupReplayPanel(game) {
+    const watchButton = document.getElementById('watch-replay');
+    const exportButton = document.getElementById('export-replay');
+    const importInput = document.getElementById('replay-file');
+    const status = document.getElementById('replay-status');
+    if (!watchButton || !exportButton || !importInput || !status) return;
+
+    const getScene = () => game.scene.getScene('GameScene');
+
+    const getLastReplay = () => {
+        const replay = game.registry.get('lastReplay');
+        if (!replay) {
+            status.textContent = 'Finish a run first';
+        }
+        return replay;
+    };
+
+    watchButton.addEventListener('click', () => {
+        watchButton.blur();
+        const replay = getLastReplay();
+        if (replay) {
+            getScene().startReplay(replay);
+            status.textContent = `Watching seed ${replay.seed} (score ${replay.score})`;
+        }
+    });
+
+    exportButton.addEventListener('click', () => {
+        exportButton.blur();
+        const replay = getLastReplay();
+        if (replay) {
+            downloadReplay(replay);
+        }
+    });
+
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        importInput.blur(); // Give SPACE back to the game
+        if (!file) return;
+
+        file.text()
+            .then(parseReplay)
+            .then(replay => {
+                getScene().startReplay(replay);
+                status.textContent = `Watching seed ${replay.seed} (score ${replay.score})`;
+            })
+            .catch(error => {
+                status.textContent = `Could not load replay: ${error.message}`;
+            });
+    });
+}
@@ -0,0 +1,165 @@
+/**
+ * Run recording and deterministic replay
+ * A run is fully described by its seed, its level, its difficulty preset and the button events per simulation step;
+ * the position trace only exists to draw the ghost racer
+ */
+
+// Replay file format version
+const REPLAY_VERSION = 8;
+
+// Button events a replay can hold: jump presses and releases, slide presses and releases
+const REPLAY_EVENT_TYPES = ['down', 'up', 'slideDown', 'slideUp'];
+
+// Fast-forward speeds cycled through during playback
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Records the button events of a live run
+ */
+class RunRecorder {
+    /**
+     * @param {string} seed - Level seed
+     * @param {ContributionLevel|null} level - Contribution level being played, if any
+     * @param {string} preset - Difficulty preset id
+     */
+    constructor(seed, level, preset) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed,
+            level: level ? { name: level.name, columns: level.columns } : null,
+            preset,
+            timestep: FIXED_TIMESTEP_MS,
+            events: [],
+            trace: [],
+            steps: 0,
+            score: 0,
+            recordedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Record a button event
+     * @param {number} step - Simulation step the event was applied on
+     * @param {string} type - One of REPLAY_EVENT_TYPES
+     */
+    record(step, type) {
+        this.replay.events.push({ step, type });
+    }
+
+    /**
+     * Record the player's position and score for the ghost racer
+     * @param {Phaser.GameObjects.Sprite} player
+     * @param {number} score - Current score
+     */
+    recordTrace(player, score) {
+        this.replay.trace.push([
+            Math.round(player.x * 10) / 10,
+            Math.round(player.y * 10) / 10,
+            Math.round(player.angle),
+            Math.floor(score)
+        ]);
+    }
+
+    /**
+     * Close the recording when the run ends
+     * @param {number} score - Final score
+     * @param {number} steps - Number of simulation steps the run lasted
+     * @returns {Object} The finished replay
+     */
+    finish(score, steps) {
+        this.replay.score = score;
+        this.replay.steps = steps;
+        return this.replay;
+    }
+}
+
+/**
+ * Feeds a recorded run's events back into the simulation
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay from RunRecorder or parseReplay()
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.nextEventIndex = 0;
+    }
+
+    /**
+     * Take the event recorded for a step, if any
+     * @param {number} step - Current simulation step
+     * @returns {string|null} One of REPLAY_EVENT_TYPES, or null
+     */
+    takeEvent(step) {
+        const event = this.replay.events[this.nextEventIndex];
+        if (!event || event.step !== step) return null;
+        this.nextEventIndex++;
+        return event.type;
+    }
+}
+
+/**
+ * Parse and validate a replay file
+ * @param {string} text - Replay JSON
+ * @returns {Object} Replay
+ */
+function parseReplay(text) {
+    const replay = JSON.parse(text);
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version (expected ${REPLAY_VERSION})`);
+    }
+    if (typeof replay.seed !== 'string' || !Array.isArray(replay.events)) {
+        throw new Error('Replay is missing its seed or events');
+    }
+    if (!isPresetId(replay.preset)) {
+        throw new Error('Replay was played on an unknown difficulty preset');
+    }
+    if (replay.timestep !== FIXED_TIMESTEP_MS) {
+        throw new Error('Replay was recorded with a different timestep');
+    }
+
+    let lastStep = -1;
+    replay.events.forEach(event => {
+        if (!Number.isInteger(event.step) || event.step <= lastStep || !REPLAY_EVENT_TYPES.includes(event.type)) {
+            throw new Error('Replay events are malformed');
+        }
+        lastStep = event.step;
+    });
+    if (replay.level && !Array.isArray(replay.level.columns)) {
+        throw new Error('Replay level is malformed');
+    }
+    if (replay.trace === undefined) {
+        replay.trace = [];
+    } else if (!Array.isArray(replay.trace)) {
+        throw new Error('Replay trace is malformed');
+    }
+    return replay;
+}
+
+/**
+ * Fingerprint a replay's run - the same for the same seed, level, preset, button events and result, so a
+ * leaderboard can tell runs apart without storing them
+ * @param {Object} replay
+ * @returns {string} 8 hex digits
+ */
+function hashReplay(replay) {
+    const run = [replay.seed, replay.level, replay.preset, replay.events, replay.steps, replay.score];
+    return hashSeed(JSON.stringify(run)).toString(16).padStart(8, '0');
+}
+
+/**
+ * Download a replay as a JSON file
+ * @param {Object} replay
+ */
+function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `commit-dash-${replay.seed}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_VERSION, REPLAY_EVENT_TYPES, RunRecorder, ReplayPlayer, parseReplay, hashReplay };
+}
@@ -0,0 +1,58 @@
+/**
+ * Achievements scene - every achievement, with what it takes and how far along the player is, reached from the title
+ */
+
+// Spacing between achievement rows, and the view X where names end and descriptions start
+const ACHIEVEMENT_ROW_SPACING = 30;
+const ACHIEVEMENT_COLUMN_X = 230;
+
+class AchievementsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'AchievementsScene' });
+    }
+
+    create() {
+        const { centerX } = VIEW;
+        fitCameraToView(this);
+        const profile = this.registry.get('profile');
+        const ids = Object.keys(ACHIEVEMENTS);
+        const unlockedCount = ids.filter(id => profile.getAchievement(id).unlockedAt).length;
+
+        addMenuBackdrop(this, 0.85);
+        addMenuText(this, centerX, 26, `ACHIEVEMENTS ${unlockedCount}/${ids.length}`, {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            padding: { x: 16, y: 4 }
+        });
+
+        const top = VIEW.centerY - (ids.length - 1) * ACHIEVEMENT_ROW_SPACING / 2;
+        ids.forEach((id, index) => {
+            const y = top + index * ACHIEVEMENT_ROW_SPACING;
+            const achievement = ACHIEVEMENTS[id];
+            const { progress, unlockedAt } = profile.getAchievement(id);
+            const goal = getAchievementGoal(id);
+
+            let status = 'Locked';
+            if (unlockedAt) {
+                status = `Unlocked ${unlockedAt.slice(0, 10)}`;
+            } else if (goal > 1) {
+                status = `${progress}/${goal}`;
+            }
+            addMenuText(this, ACHIEVEMENT_COLUMN_X - 10, y, achievement.name, {
+                fontSize: '14px',
+                fontStyle: unlockedAt ? 'bold' : 'normal',
+                padding: { x: 8, y: 2 }
+            }).setOrigin(1, 0.5).setAlpha(unlockedAt ? 1 : 0.6);
+            addMenuText(this, ACHIEVEMENT_COLUMN_X, y, `${achievement.description} - ${status}`, {
+                fontSize: '12px',
+                padding: { x: 8, y: 2 }
+            }).setOrigin(0, 0.5).setAlpha(unlockedAt ? 1 : 0.6);
+        });
+
+        addMenuButtonRow(this, VIEW.height - 20, [['Back (ESC)', () => this.scene.start('TitleScene')]]);
+        bindMenuKeys(this, {
+            ESC: () => this.scene.start('TitleScene'),
+            BACKSPACE: () => this.scene.start('TitleScene')
+        });
+    }
+}
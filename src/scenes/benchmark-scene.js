@@ -0,0 +1,155 @@
+/**
+ * Benchmark scene - plays back a recorded autopilot run (BENCHMARK_REPLAY) and reports frame times
+ * The recording keeps the autopilot's own planning out of the numbers, and every benchmark plays the same run
+ * Open the page with ?benchmark to run it instead of the title screen
+ */
+
+// How long a benchmark runs (ms), and the warm-up left out of the results
+const BENCHMARK_DURATION = 30000;
+const BENCHMARK_WARMUP = 1000;
+
+// Frame time at 60 fps (ms)
+const FRAME_BUDGET = 1000 / 60;
+
+/**
+ * Check whether the page asked for the benchmark (?benchmark)
+ * @returns {boolean}
+ */
+function isBenchmarkInUrl() {
+    return new URLSearchParams(window.location.search).has('benchmark');
+}
+
+/**
+ * Summarize frame time samples
+ * @param {Array<number>} samples - Milliseconds per frame
+ * @returns {{average: number, p95: number, worst: number, overBudget: number}} Times in ms, overBudget as a fraction
+ */
+function summarizeFrameTimes(samples) {
+    if (samples.length === 0) {
+        return { average: 0, p95: 0, worst: 0, overBudget: 0 };
+    }
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const total = sorted.reduce((sum, sample) => sum + sample, 0);
+    // A little slack so vsync jitter doesn't count as a dropped frame
+    const overBudget = sorted.filter(sample => sample > FRAME_BUDGET + 1).length;
+
+    return {
+        average: total / sorted.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        worst: sorted[sorted.length - 1],
+        overBudget: overBudget / sorted.length
+    };
+}
+
+class BenchmarkScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BenchmarkScene' });
+    }
+
+    create() {
+        const { centerX, height } = VIEW;
+        fitCameraToView(this);
+
+        // Frame intervals (what the player sees) and the time the game spends per frame (update + render)
+        this.frameTimes = [];
+        this.workTimes = [];
+        this.frameStart = 0;
+        this.elapsed = 0;
+        this.isFinished = false;
+
+        // The recording is on the random generator's level
+        this.registry.set('levelSource', null);
+        this.scene.launch('GameScene', { demo: true, replay: BENCHMARK_REPLAY });
+
+        this.reportText = addMenuText(this, centerX, height - 60, 'Benchmarking...', {
+            fontSize: '14px',
+            align: 'center'
+        });
+
+        // Refresh the live numbers twice a second
+        this.refreshTimer = this.time.addEvent({
+            delay: 500,
+            loop: true,
+            callback: () => this.reportText.setText(this.describeResults())
+        });
+
+        this.game.events.on(Phaser.Core.Events.PRE_STEP, this.handlePreStep, this);
+        this.game.events.on(Phaser.Core.Events.POST_RENDER, this.handlePostRender, this);
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+    }
+
+    shutdown() {
+        this.game.events.off(Phaser.Core.Events.PRE_STEP, this.handlePreStep, this);
+        this.game.events.off(Phaser.Core.Events.POST_RENDER, this.handlePostRender, this);
+    }
+
+    handlePreStep() {
+        this.frameStart = performance.now();
+    }
+
+    handlePostRender() {
+        if (this.isFinished || this.elapsed < BENCHMARK_WARMUP) return;
+        this.frameTimes.push(this.game.loop.delta);
+        this.workTimes.push(performance.now() - this.frameStart);
+    }
+
+    /**
+     * @param {number} time - Total elapsed time
+     * @param {number} delta - Time since last frame (ms)
+     */
+    update(time, delta) {
+        if (this.isFinished) return;
+        this.elapsed += delta;
+        if (this.elapsed >= BENCHMARK_DURATION) {
+            this.finish();
+        }
+    }
+
+    /**
+     * @returns {string} Frame time report
+     */
+    describeResults() {
+        const frames = summarizeFrameTimes(this.frameTimes);
+        const work = summarizeFrameTimes(this.workTimes);
+        const fps = frames.average > 0 ? 1000 / frames.average : 0;
+        const format = value => value.toFixed(1);
+
+        return [
+            `Frames: ${this.frameTimes.length}  |  ${format(fps)} fps  |  ` +
+                `${format(frames.overBudget * 100)}% over ${format(FRAME_BUDGET)} ms`,
+            `Frame time  avg ${format(frames.average)}  p95 ${format(frames.p95)}  worst ${format(frames.worst)} ms`,
+            `Game work   avg ${format(work.average)}  p95 ${format(work.p95)}  worst ${format(work.worst)} ms`
+        ].join('\n');
+    }
+
+    /**
+     * Stop the demo and show the final report
+     */
+    finish() {
+        const { centerX, height } = VIEW;
+        this.isFinished = true;
+        this.refreshTimer.remove();
+        this.scene.stop('GameScene');
+
+        const report = this.describeResults();
+        console.log(`Commit Dash benchmark (${navigator.userAgent})\n${report}`);
+
+        addMenuBackdrop(this, 0.85).setDepth(-1);
+        addMenuText(this, centerX, 40, 'BENCHMARK', {
+            fontSize: '32px',
+            fontStyle: 'bold',
+            padding: { x: 20, y: 8 }
+        });
+        this.reportText.setPosition(centerX, height / 2 - 10);
+        this.reportText.setText(report);
+
+        addMenuButtonRow(this, height - 40, [
+            ['Run again (SPACE)', () => this.scene.restart()],
+            ['Menu (ESC)', () => this.scene.start('TitleScene')]
+        ]);
+        bindMenuKeys(this, {
+            SPACE: () => this.scene.restart(),
+            ESC: () => this.scene.start('TitleScene')
+        });
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Boot scene - one-time setup before the title screen
+ * Textures are shared by every scene; state that outlives a run goes in the game registry:
+ *   profile          - ProfileStore with the high score, lifetime stats, leaderboard and settings
+ *   leaderboard      - Shared leaderboard scored runs are submitted to (LocalLeaderboard or HttpLeaderboard)
+ *   audio            - SynthAudio playing the sound effects and music
+ *   levelSource      - Contribution level for new runs (null = random generator only)
+ *   lastReplay       - Replay of the most recent finished run
+ *   autopilotEnabled - Whether live runs start on autopilot
+ *   theme            - Theme the game is drawn in (see resolveTheme), following the settings and the browser
+ *   reducedMotion    - Whether to hold back motion, following the settings and the browser
+ */
+
+// Marks drawn over a patterned solid tile, by tile type, as [x1, y1, x2, y2] lines - every solid tile is outlined too
+const TILE_PATTERNS = {
+    GREEN_OBSTACLE: [],
+    FLAKY_TEST: [[3, 2, 7, 6], [7, 6, 5, 8], [5, 8, 10, 11]], // A crack
+    OVERHANG: [[0, 9, 9, 0], [4, 13, 13, 4]], // Hatching
+    FORCE_PUSH: [[6.5, 3, 6.5, 10], [4, 5, 6.5, 3], [9, 5, 6.5, 3], [4, 8, 6.5, 10], [9, 8, 6.5, 10]], // Up and down
+    MERGE_CONFLICT: [[3, 3, 10, 10], [10, 3, 3, 10]] // A cross
+};
+
+/**
+ * Get the texture a solid tile is drawn with
+ * @param {string} type - Key in TILE_TYPES
+ * @param {boolean} isPatterned - Whether the theme patterns solid tiles
+ * @returns {string} Texture key
+ */
+function getTileTextureKey(type, isPatterned) {
+    return isPatterned ? `tilePattern:${type}` : 'greenTile';
+}
+
+class BootScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'BootScene' });
+    }
+
+    create() {
+        this.createTextures();
+
+        const profile = new ProfileStore(localStorage);
+        this.registry.set('profile', profile);
+        this.registry.set('leaderboard', this.createLeaderboard());
+        this.registry.set('audio', new SynthAudio(this.sound.context || null, profile.profile.settings));
+        this.registry.set('levelSource', null);
+        this.registry.set('lastReplay', null);
+        this.registry.set('autopilotEnabled', isAutopilotInUrl());
+
+        // Volumes, the theme and reduced motion follow the settings screen and imported profiles
+        this.game.events.on(PROFILE_CHANGE_EVENT, () => {
+            this.registry.get('audio').applySettings(this.registry.get('profile').profile.settings);
+            this.applyTheme();
+            this.applyReducedMotion();
+        });
+
+        // ...and their automatic settings follow the browser's preferences changing
+        this.darkScheme = this.watchMediaQuery('(prefers-color-scheme: dark)', () => this.applyTheme());
+        this.reducedMotionQuery = this.watchMediaQuery('(prefers-reduced-motion: reduce)', () => this.applyReducedMotion());
+        this.game.events.emit(PROFILE_CHANGE_EVENT);
+
+        this.scene.start(isBenchmarkInUrl() ? 'BenchmarkScene' : 'TitleScene');
+    }
+
+    /**
+     * Create the leaderboard the page asks for, sending runs queued for a server whenever the browser comes online
+     * (and now, for runs left over from last time)
+     * @returns {LocalLeaderboard|HttpLeaderboard}
+     */
+    createLeaderboard() {
+        const leaderboard = createLeaderboard(localStorage);
+        if (leaderboard instanceof HttpLeaderboard) {
+            const flush = () => leaderboard.flush()
+                .then(() => this.game.events.emit(LEADERBOARD_CHANGE_EVENT))
+                .catch(error => console.warn('Could not send queued leaderboard runs', error));
+            window.addEventListener('online', flush);
+            flush();
+        }
+        return leaderboard;
+    }
+
+    /**
+     * Create the player, tile, commit dot and power-up textures
+     */
+    createTextures() {
+        // PLAYER and GRAY BACKGROUND TILE - canvases, painted in the theme's colors (see paintThemeTextures)
+        this.textures.createCanvas('player', GRID.TILE_SIZE, GRID.TILE_SIZE);
+        this.textures.createCanvas('grayTile', GRID.TILE_SIZE, GRID.TILE_SIZE);
+
+        // GREEN OBSTACLE TILE - a WHITE texture so tinting works properly
+        let graphics = this.add.graphics();
+        graphics.fillStyle(0xffffff, 1);
+        graphics.fillRect(0, 0, GRID.TILE_SIZE, GRID.TILE_SIZE);
+        graphics.generateTexture('greenTile', GRID.TILE_SIZE, GRID.TILE_SIZE);
+        graphics.destroy();
+
+        // PATTERNED SOLID TILES - WHITE too, with a dark outline and a mark for each tile type
+        Object.keys(TILE_PATTERNS).forEach(type => {
+            graphics = this.add.graphics();
+            graphics.fillStyle(0xffffff, 1);
+            graphics.fillRect(0, 0, GRID.TILE_SIZE, GRID.TILE_SIZE);
+            graphics.lineStyle(1, 0x000000, 0.5);
+            graphics.strokeRect(0.5, 0.5, GRID.TILE_SIZE - 1, GRID.TILE_SIZE - 1);
+            TILE_PATTERNS[type].forEach(([x1, y1, x2, y2]) => graphics.lineBetween(x1, y1, x2, y2));
+            graphics.generateTexture(getTileTextureKey(type, true), GRID.TILE_SIZE, GRID.TILE_SIZE);
+            graphics.destroy();
+        });
+
+        // COMMIT DOT - a ringed circle, like a commit on a branch graph
+        const radius = COMMIT_SIZE / 2;
+        graphics = this.add.graphics();
+        graphics.fillStyle(COLORS.COMMIT, 1);
+        graphics.fillCircle(radius, radius, radius);
+        graphics.fillStyle(0xffffff, 1);
+        graphics.fillCircle(radius, radius, radius - 2);
+        graphics.generateTexture('commitDot', COMMIT_SIZE, COMMIT_SIZE);
+        graphics.destroy();
+
+        // POWER-UP - a WHITE outlined box, tinted with each power-up's color
+        graphics = this.add.graphics();
+        graphics.fillStyle(0xffffff, 0.45);
+        graphics.fillRoundedRect(0, 0, POWER_UP_SIZE, POWER_UP_SIZE, 3);
+        graphics.lineStyle(2, 0xffffff, 1);
+        graphics.strokeRoundedRect(1, 1, POWER_UP_SIZE - 2, POWER_UP_SIZE - 2, 3);
+        graphics.generateTexture('powerUp', POWER_UP_SIZE, POWER_UP_SIZE);
+        graphics.destroy();
+    }
+
+    /**
+     * Follow a browser media query
+     * @param {string} query - e.g. '(prefers-color-scheme: dark)'
+     * @param {function(): void} onChange
+     * @returns {MediaQueryList|null} The query, or null where the browser can't answer it
+     */
+    watchMediaQuery(query, onChange) {
+        if (!window.matchMedia) return null;
+        const list = window.matchMedia(query);
+        list.addEventListener('change', onChange);
+        return list;
+    }
+
+    /**
+     * Switch to the theme the settings ask for, if it isn't the one in use
+     * Scenes re-skin themselves when the registry's theme changes
+     */
+    applyTheme() {
+        const prefersDark = this.darkScheme !== null && this.darkScheme.matches;
+        const theme = resolveTheme(this.registry.get('profile').profile.settings, prefersDark);
+        const current = this.registry.get(THEME_REGISTRY_KEY);
+        if (current && current.key === theme.key) return;
+
+        this.paintThemeTextures(theme);
+        this.registry.set(THEME_REGISTRY_KEY, theme);
+    }
+
+    /**
+     * Hold back motion when the settings or the browser ask for it
+     */
+    applyReducedMotion() {
+        const prefersReduced = this.reducedMotionQuery !== null && this.reducedMotionQuery.matches;
+        this.registry.set('reducedMotion', resolveReducedMotion(
+            this.registry.get('profile').getSetting('reducedMotion'),
+            prefersReduced
+        ));
+    }
+
+    /**
+     * Repaint the player and background tile textures - every image using them changes with them
+     * @param {Object} theme - Entry in THEMES
+     */
+    paintThemeTextures(theme) {
+        [['player', theme.player], ['grayTile', theme.emptyTile]].forEach(([key, color]) => {
+            const texture = this.textures.get(key);
+            texture.context.fillStyle = toCssColor(color);
+            texture.context.fillRect(0, 0, texture.width, texture.height);
+            texture.refresh();
+        });
+    }
+}
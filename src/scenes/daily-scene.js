@@ -0,0 +1,100 @@
+/**
+ * Daily scene - today's Daily Commit: the one scored attempt, practice runs, and the last few days' results
+ */
+
+// Past days listed under today's
+const DAILY_PAST_DAYS_SHOWN = 5;
+
+class DailyScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'DailyScene' });
+    }
+
+    create() {
+        const { centerX, centerY } = VIEW;
+        fitCameraToView(this);
+        this.profile = this.registry.get('profile');
+        this.date = getDailyDate();
+        this.attempt = this.profile.getDailyAttempt(this.date);
+
+        addMenuBackdrop(this, 0.85);
+        addMenuText(this, centerX, 30, `DAILY COMMIT ${this.date}`, {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            padding: { x: 16, y: 4 }
+        });
+
+        addMenuText(this, centerX, centerY - 60, this.describeAttempt(this.attempt), { fontSize: '18px' });
+
+        const pastDays = this.profile.getDailyHistory()
+            .filter(entry => entry.date !== this.date)
+            .slice(0, DAILY_PAST_DAYS_SHOWN)
+            .map(entry => `${entry.date}  ${this.describeAttempt(entry)}`);
+        addMenuText(this, centerX, centerY + 10, pastDays.length ? pastDays.join('\n') : 'No earlier days yet', {
+            fontSize: '14px',
+            align: 'center',
+            lineSpacing: 2
+        });
+
+        // Status line for the clipboard
+        this.statusText = addMenuText(this, centerX, centerY + 75, 'Same level for everyone, new one at 00:00 UTC', {
+            fontSize: '12px'
+        });
+
+        const buttons = [];
+        const handlers = {
+            P: () => this.play(false),
+            ESC: () => this.scene.start('TitleScene'),
+            BACKSPACE: () => this.scene.start('TitleScene')
+        };
+        if (!this.attempt) {
+            buttons.push(['Attempt (SPACE)', () => this.play(true)]);
+            handlers.SPACE = () => this.play(true);
+            handlers.ENTER = () => this.play(true);
+        }
+        buttons.push(['Practice (P)', () => this.play(false)]);
+        if (this.attempt && this.attempt.isFinished) {
+            buttons.push(['Copy result (C)', () => this.copyResult()]);
+            handlers.C = () => this.copyResult();
+        }
+        buttons.push(['Back (ESC)', () => this.scene.start('TitleScene')]);
+        addMenuButtonRow(this, VIEW.height - 30, buttons);
+        bindMenuKeys(this, handlers);
+    }
+
+    /**
+     * @param {Object|null} attempt - A day's attempt from the profile, if it was played
+     * @returns {string}
+     */
+    describeAttempt(attempt) {
+        if (!attempt) return 'Not attempted yet';
+        if (!attempt.isFinished) return 'Attempt abandoned';
+        return `${attempt.score} points, ${attempt.distance} columns`;
+    }
+
+    /**
+     * Start today's level - the scored attempt (used up as it starts) or a practice run
+     * @param {boolean} isAttempt
+     */
+    play(isAttempt) {
+        if (isAttempt) {
+            if (this.profile.getDailyAttempt(this.date)) return;
+            this.profile.startDailyAttempt(this.date);
+            this.game.events.emit(PROFILE_CHANGE_EVENT);
+        }
+        this.scene.start('GameScene', {
+            seed: getDailySeed(this.date),
+            preset: DAILY_PRESET,
+            daily: { date: this.date, isAttempt }
+        });
+    }
+
+    /**
+     * Copy today's attempt to the clipboard to share, saying whether it worked
+     */
+    copyResult() {
+        copyDailyShare(this.date, this.attempt).then(isCopied => {
+            this.statusText.setText(isCopied ? 'Result copied - paste it anywhere' : 'Could not reach the clipboard');
+        });
+    }
+}
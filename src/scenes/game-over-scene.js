@@ -0,0 +1,96 @@
+/**
+ * Game over scene - the run's stats, shown over the finished game, with retry and menu options
+ */
+class GameOverScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'GameOverScene' });
+    }
+
+    /**
+     * @param {Object} data - Run summary from the game scene
+     * @param {string} data.seed
+     * @param {string} data.preset - Difficulty preset id
+     * @param {Object} data.retry - GameScene data for playing the level again
+     * @param {Object|null} data.daily - The run's Daily Commit data, if it was one
+     * @param {number} data.score
+     * @param {number} data.best - The preset's high score after this run
+     * @param {number} data.distance - Columns travelled
+     * @param {number} data.jumps
+     * @param {number} data.doubleJumps
+     * @param {number} data.chargeJumps
+     * @param {number} data.commits - Commit dots picked up
+     * @param {number} data.bestStreak - Longest chain of commit dots grabbed in the air
+     * @param {number} data.powerUps - Power-ups picked up
+     * @param {string|null} data.note - New high score, replay verification or autopilot notice
+     */
+    create(data) {
+        const { centerX, centerY } = VIEW;
+        fitCameraToView(this);
+        this.retryData = data.retry;
+        this.daily = data.daily;
+        this.result = { score: data.score, distance: data.distance };
+
+        addMenuBackdrop(this, 0.5);
+        addMenuText(this, centerX, centerY - 100, 'GAME OVER', {
+            fontSize: '40px',
+            fontStyle: 'bold',
+            padding: { x: 20, y: 8 }
+        });
+
+        addMenuText(this, centerX, centerY - 20, [
+            `Score: ${data.score}   Best: ${data.best}   (${getPreset(data.preset).name})`,
+            `Distance: ${data.distance} columns`,
+            `Jumps: ${data.jumps}   Double jumps: ${data.doubleJumps}   Charge jumps: ${data.chargeJumps}`,
+            `Commits: ${data.commits}   Best streak: ${data.bestStreak}   Power-ups: ${data.powerUps}`
+        ].join('\n'), { align: 'center', lineSpacing: 4 });
+
+        // Seed display so tricky layouts can be shared
+        const footer = data.note ? `${data.note}  |  Seed: ${data.seed}` : `Seed: ${data.seed}`;
+        this.footerText = addMenuText(this, centerX, centerY + 40, footer, { fontSize: '14px' });
+
+        const buttons = [
+            ['Retry (R)', () => this.retry()],
+            ['New level (SPACE)', () => this.newLevel()],
+            ['Menu (M)', () => this.showMenu()]
+        ];
+        const handlers = {
+            R: () => this.retry(),
+            SPACE: () => this.newLevel(),
+            ENTER: () => this.newLevel(),
+            M: () => this.showMenu(),
+            ESC: () => this.showMenu()
+        };
+        // A finished Daily Commit attempt can be shared
+        if (this.daily && this.daily.isAttempt) {
+            buttons.splice(2, 0, ['Copy result (C)', () => this.copyResult()]);
+            handlers.C = () => this.copyResult();
+        }
+        addMenuButtonRow(this, centerY + 95, buttons);
+        bindMenuKeys(this, handlers);
+    }
+
+    /**
+     * Play the same seed again, on the same preset (a Daily Commit again as practice)
+     */
+    retry() {
+        this.scene.start('GameScene', this.retryData);
+    }
+
+    /**
+     * Play a freshly rolled seed
+     */
+    newLevel() {
+        this.scene.start('GameScene', {});
+    }
+
+    copyResult() {
+        copyDailyShare(this.daily.date, this.result).then(isCopied => {
+            this.footerText.setText(isCopied ? 'Result copied - paste it anywhere' : 'Could not reach the clipboard');
+        });
+    }
+
+    showMenu() {
+        this.scene.stop('GameScene');
+        this.scene.start('TitleScene');
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Building blocks shared by the menu scenes (title, pause and game over)
+ * Menus take the theme in use when they're built
+ */
+
+// Text style for menu titles, lines and buttons (colors come from the theme)
+const MENU_TEXT_STYLE = {
+    fontSize: '16px',
+    fontFamily: 'monospace',
+    padding: { x: 8, y: 4 }
+};
+
+/**
+ * @param {Phaser.Scene} scene
+ * @returns {Object} The theme in use (entry in THEMES)
+ */
+function getMenuTheme(scene) {
+    return scene.registry.get(THEME_REGISTRY_KEY);
+}
+
+/**
+ * Fade out the game behind a menu
+ * @param {Phaser.Scene} scene
+ * @param {number} alpha - How much of the game to hide (0-1)
+ * @returns {Phaser.GameObjects.Rectangle}
+ */
+function addMenuBackdrop(scene, alpha) {
+    const { width, height } = VIEW;
+    return scene.add.rectangle(0, 0, width, height, getMenuTheme(scene).background, alpha).setOrigin(0);
+}
+
+/**
+ * Add centered menu text
+ * @param {Phaser.Scene} scene
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {string} text
+ * @param {Object} [style] - Overrides for MENU_TEXT_STYLE
+ * @returns {Phaser.GameObjects.Text}
+ */
+function addMenuText(scene, x, y, text, style = {}) {
+    const theme = getMenuTheme(scene);
+    const menuText = scene.add.text(x, y, text, Object.assign({}, MENU_TEXT_STYLE, {
+        fill: theme.text,
+        backgroundColor: theme.panel
+    }, style));
+    menuText.setOrigin(0.5);
+    return menuText;
+}
+
+/**
+ * Add a clickable menu button
+ * @param {Phaser.Scene} scene
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {string} label
+ * @param {function(): void} onSelect - Called when the button is clicked or tapped
+ * @returns {Phaser.GameObjects.Text}
+ */
+function addMenuButton(scene, x, y, label, onSelect) {
+    const button = addMenuText(scene, x, y, label, { padding: { x: 12, y: 6 } });
+    button.setInteractive({ useHandCursor: true });
+    const theme = getMenuTheme(scene);
+    button.on('pointerover', () => button.setBackgroundColor(theme.highlight));
+    button.on('pointerout', () => button.setBackgroundColor(theme.panel));
+    button.on('pointerup', onSelect);
+    return button;
+}
+
+/**
+ * Lay out buttons in a centered row
+ * @param {Phaser.Scene} scene
+ * @param {number} y - Center Y
+ * @param {Array<Array>} buttons - [label, onSelect] pairs
+ * @returns {Array<Phaser.GameObjects.Text>}
+ */
+function addMenuButtonRow(scene, y, buttons) {
+    const spacing = 16;
+    const created = buttons.map(([label, onSelect]) => addMenuButton(scene, 0, y, label, onSelect));
+    const totalWidth = created.reduce((sum, button) => sum + button.width, 0) + spacing * (created.length - 1);
+
+    let x = VIEW.centerX - totalWidth / 2;
+    created.forEach(button => {
+        button.x = x + button.width / 2;
+        x += button.width + spacing;
+    });
+    return created;
+}
+
+/**
+ * Run handlers on key presses, ignoring held-key repeats
+ * (a jump still held when the run ends shouldn't also press a menu button)
+ * @param {Phaser.Scene} scene
+ * @param {Object<string, function(): void>} handlers - Handler per Phaser key name, e.g. SPACE or ESC
+ */
+function bindMenuKeys(scene, handlers) {
+    Object.keys(handlers).forEach(key => {
+        scene.input.keyboard.on(`keydown-${key}`, event => {
+            if (!event.repeat) handlers[key]();
+        });
+    });
+}
@@ -0,0 +1,57 @@
+/**
+ * Pause scene - shown over the paused game (Esc / P, or when the window loses focus)
+ */
+class PauseScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'PauseScene' });
+    }
+
+    /**
+     * @param {Object} data
+     * @param {Object} data.retry - Scene data for restarting the paused run
+     * @param {string} [data.runScene] - Key of the paused scene (GameScene, or VersusScene for a race)
+     */
+    create(data) {
+        const { centerX, centerY } = VIEW;
+        fitCameraToView(this);
+        this.retryData = data.retry;
+        this.runScene = data.runScene || 'GameScene';
+
+        addMenuBackdrop(this, 0.6);
+        addMenuText(this, centerX, centerY - 50, 'PAUSED', {
+            fontSize: '40px',
+            fontStyle: 'bold',
+            padding: { x: 20, y: 10 }
+        });
+
+        addMenuButtonRow(this, centerY + 30, [
+            ['Resume (ESC)', () => this.resume()],
+            ['Restart (R)', () => this.restart()],
+            ['Menu (M)', () => this.showMenu()]
+        ]);
+        bindMenuKeys(this, {
+            ESC: () => this.resume(),
+            P: () => this.resume(),
+            SPACE: () => this.resume(),
+            R: () => this.restart(),
+            M: () => this.showMenu()
+        });
+    }
+
+    resume() {
+        this.scene.resume(this.runScene);
+        this.scene.stop();
+    }
+
+    /**
+     * Start the paused run's level again from the beginning
+     */
+    restart() {
+        this.scene.start(this.runScene, this.retryData);
+    }
+
+    showMenu() {
+        this.scene.stop(this.runScene);
+        this.scene.start('TitleScene');
+    }
+}
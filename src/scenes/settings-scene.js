@@ -0,0 +1,290 @@
+/**
+ * Settings scene - jump key bindings, sound, theme and accessibility, reached from the title screen
+ * Rows are picked with UP / DOWN (or the mouse), changed with LEFT / RIGHT and ENTER
+ */
+
+// Center Y of the first settings row, and the spacing between rows
+const SETTINGS_TOP = 62;
+const SETTINGS_ROW_HEIGHT = 26;
+
+// Rows on screen at once - the list scrolls to keep the selected row in view
+const SETTINGS_VISIBLE_ROWS = 7;
+
+// Shown under the rows when there's nothing else to say
+const SETTINGS_HINT = 'Clicking or tapping the game, and gamepad A, always jump too';
+
+class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SettingsScene' });
+    }
+
+    /**
+     * @param {Object} data
+     * @param {number} [data.cursor] - Row to select (kept when the scene is rebuilt in a new theme)
+     */
+    create(data) {
+        const { centerX, height } = VIEW;
+        fitCameraToView(this);
+        this.profile = this.registry.get('profile');
+        this.waitingSlot = null; // Jump key slot waiting for its new key, if any
+        this.cursor = data.cursor || 0; // Selected row
+        this.scrollTop = 0; // First row on screen
+
+        addMenuBackdrop(this, 0.85);
+        addMenuText(this, centerX, 26, 'SETTINGS', {
+            fontSize: '24px',
+            fontStyle: 'bold',
+            padding: { x: 16, y: 4 }
+        });
+
+        this.rows = [];
+        for (let slot = 0; slot < JUMP_KEY_SLOTS; slot++) {
+            this.addRow(`Jump key ${slot + 1}`, {
+                getValue: () => (slot === this.waitingSlot ? '...' : (this.getJumpKeys()[slot] || '-')),
+                select: () => this.selectSlot(slot)
+            });
+        }
+        this.addVolumeRow('Master volume', 'masterVolume');
+        this.addVolumeRow('Music', 'musicVolume');
+        this.addVolumeRow('Sound effects', 'sfxVolume');
+        this.addRow('Sound (M)', {
+            getValue: () => (this.profile.getSetting('muted') ? 'Muted' : 'On'),
+            select: () => this.toggleMute()
+        });
+        // Menus take the theme they're built in, so a new theme rebuilds this one
+        this.addChoiceRow('Theme', 'theme', THEME_CHOICES, getThemeSettingName, () => {
+            this.scene.restart({ cursor: this.cursor });
+        });
+
+        // Accessibility
+        this.addChoiceRow('Colorblind colors', 'palette', PALETTE_CHOICES, getPaletteSettingName);
+        this.addToggleRow('Tile patterns', 'tilePatterns');
+        this.addChoiceRow('Reduced motion', 'reducedMotion', REDUCED_MOTION_CHOICES,
+            choice => choice[0].toUpperCase() + choice.slice(1));
+        this.addRow('Game speed', {
+            getValue: () => `${this.profile.getSetting('gameSpeed')}%`,
+            adjust: direction => {
+                const speed = this.profile.getSetting('gameSpeed') + direction * GAME_SPEED_STEP;
+                this.saveSetting('gameSpeed', clampGameSpeed(speed));
+            }
+        });
+        this.addToggleRow('Large HUD', 'largeHud');
+
+        // Effects
+        EFFECT_SETTINGS.forEach(({ setting, label }) => this.addToggleRow(label, setting));
+
+        this.statusText = addMenuText(this, centerX, height - 52, SETTINGS_HINT, { fontSize: '14px' });
+        addMenuButtonRow(this, height - 20, [
+            ['Reset keys (D)', () => this.resetKeys()],
+            ['Back (ESC)', () => this.back()]
+        ]);
+
+        // One handler for everything - while a slot waits, the next key is its new binding
+        this.input.keyboard.on('keydown', this.handleKey, this);
+        this.input.on('wheel', (pointer, over, deltaX, deltaY) => this.moveCursor(Math.sign(deltaY)));
+        this.updateRows();
+    }
+
+    /**
+     * Add a settings row: a label and a button showing its value
+     * @param {string} label
+     * @param {Object} row
+     * @param {function(): string} row.getValue - Text for the value button
+     * @param {function(): void} [row.select] - Called on ENTER or a click on the value
+     * @param {function(number): void} [row.adjust] - Called with -1 / +1 on LEFT / RIGHT or the - / + buttons
+     */
+    addRow(label, row) {
+        const { centerX } = VIEW;
+        const index = this.rows.length;
+        const choose = action => () => {
+            this.cursor = index;
+            action();
+            this.updateRows();
+        };
+
+        // Rows are put in place (and scrolled) by updateRows
+        row.label = addMenuText(this, centerX - 40, 0, label, { padding: { x: 8, y: 2 } }).setOrigin(1, 0.5);
+        row.button = addMenuButton(this, centerX + 90, 0, '', choose(row.select || (() => row.adjust(1))));
+        row.objects = [row.label, row.button];
+        if (row.adjust) {
+            row.objects.push(
+                addMenuButton(this, centerX - 10, 0, '-', choose(() => row.adjust(-1))),
+                addMenuButton(this, centerX + 190, 0, '+', choose(() => row.adjust(1)))
+            );
+        }
+        this.rows.push(row);
+    }
+
+    /**
+     * Add a row that steps through a setting's choices
+     * @param {string} label
+     * @param {string} setting - Profile setting name
+     * @param {Array<string>} choices
+     * @param {function(string): string} getName - Text for a choice
+     * @param {function(): void} [onChange] - Called once the setting has changed
+     */
+    addChoiceRow(label, setting, choices, getName, onChange) {
+        this.addRow(label, {
+            getValue: () => getName(this.profile.getSetting(setting)),
+            adjust: direction => {
+                const index = choices.indexOf(this.profile.getSetting(setting));
+                this.saveSetting(setting, choices[(index + direction + choices.length) % choices.length]);
+                if (onChange) onChange();
+            }
+        });
+    }
+
+    /**
+     * Add a row that switches an on / off setting
+     * @param {string} label
+     * @param {string} setting - Profile setting name
+     */
+    addToggleRow(label, setting) {
+        this.addRow(label, {
+            getValue: () => (this.profile.getSetting(setting) ? 'On' : 'Off'),
+            select: () => this.saveSetting(setting, !this.profile.getSetting(setting))
+        });
+    }
+
+    /**
+     * Add a row for a volume setting (percent)
+     * @param {string} label
+     * @param {string} setting - Profile setting name
+     */
+    addVolumeRow(label, setting) {
+        this.addRow(label, {
+            getValue: () => `${this.profile.getSetting(setting)}%`,
+            adjust: direction => {
+                const volume = this.profile.getSetting(setting) + direction * VOLUME_STEP;
+                this.saveSetting(setting, clampVolume(volume, DEFAULT_SETTINGS[setting]));
+            }
+        });
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    handleKey(event) {
+        if (event.repeat) return;
+        const name = getKeyName(event.keyCode);
+        const row = this.rows[this.cursor];
+
+        if (this.waitingSlot !== null) {
+            this.bindKey(name);
+        } else if (name === 'UP' || name === 'DOWN') {
+            this.moveCursor(name === 'UP' ? -1 : 1);
+        } else if ((name === 'LEFT' || name === 'RIGHT') && row.adjust) {
+            row.adjust(name === 'LEFT' ? -1 : 1);
+        } else if ((name === 'ENTER' || name === 'SPACE') && row.select) {
+            row.select();
+        } else if (name === 'M') {
+            this.toggleMute();
+        } else if (name === 'D') {
+            this.resetKeys();
+        } else if (name === 'ESC') {
+            this.back();
+            return;
+        }
+        this.updateRows();
+    }
+
+    /**
+     * Select the row above or below, wrapping around
+     * @param {number} step - -1 for up, 1 for down (0 stays put)
+     */
+    moveCursor(step) {
+        if (this.waitingSlot !== null || step === 0) return;
+        this.cursor = (this.cursor + step + this.rows.length) % this.rows.length;
+        this.updateRows();
+    }
+
+    /**
+     * @returns {Array<string|null>} Jump key per slot
+     */
+    getJumpKeys() {
+        return readJumpKeys(this.profile.getSetting('jumpKeys'));
+    }
+
+    /**
+     * Wait for the new key of a jump key slot
+     * @param {number} slot
+     */
+    selectSlot(slot) {
+        this.waitingSlot = slot;
+        this.statusText.setText(`Press a key for jump key ${slot + 1} (ESC cancels, BACKSPACE clears it)`);
+    }
+
+    /**
+     * Put a key in the waiting slot, moving it there if another slot had it
+     * @param {string|null} name - Phaser key name
+     */
+    bindKey(name) {
+        const slot = this.waitingSlot;
+        const keys = this.getJumpKeys();
+
+        if (name === 'ESC') {
+            this.statusText.setText(SETTINGS_HINT);
+        } else if (name === 'BACKSPACE' || name === 'DELETE') {
+            keys[slot] = null;
+            this.statusText.setText(`Jump key ${slot + 1} cleared`);
+        } else if (!name || RESERVED_KEYS.includes(name)) {
+            this.statusText.setText(`${name || 'That key'} can't jump - ${RESERVED_KEYS.join(', ')} are taken`);
+            return; // Keep waiting for a usable key
+        } else {
+            const previousSlot = keys.indexOf(name);
+            if (previousSlot >= 0) {
+                keys[previousSlot] = null;
+            }
+            keys[slot] = name;
+            this.statusText.setText(`${name} jumps`);
+        }
+
+        this.waitingSlot = null;
+        this.saveSetting('jumpKeys', keys);
+    }
+
+    /**
+     * Go back to SPACE, UP and W
+     */
+    resetKeys() {
+        this.waitingSlot = null;
+        this.statusText.setText('Jump keys reset');
+        this.saveSetting('jumpKeys', DEFAULT_SETTINGS.jumpKeys.slice());
+    }
+
+    toggleMute() {
+        this.saveSetting('muted', !this.profile.getSetting('muted'));
+    }
+
+    /**
+     * Store a setting and let the rest of the game (audio, profile panel) pick it up
+     * @param {string} name
+     * @param {*} value
+     */
+    saveSetting(name, value) {
+        this.profile.setSetting(name, value);
+        this.game.events.emit(PROFILE_CHANGE_EVENT);
+    }
+
+    /**
+     * Show each row's value, scroll the selected row into view and highlight it
+     */
+    updateRows() {
+        const theme = getMenuTheme(this);
+        this.scrollTop = Math.max(Math.min(this.scrollTop, this.cursor), this.cursor - SETTINGS_VISIBLE_ROWS + 1);
+        this.rows.forEach((row, index) => {
+            const place = index - this.scrollTop;
+            const isShown = place >= 0 && place < SETTINGS_VISIBLE_ROWS;
+            row.objects.forEach(object => {
+                object.setVisible(isShown);
+                object.y = SETTINGS_TOP + place * SETTINGS_ROW_HEIGHT;
+            });
+            row.button.setText(row.getValue());
+            row.label.setBackgroundColor(index === this.cursor ? theme.highlight : theme.panel);
+        });
+    }
+
+    back() {
+        this.scene.start('TitleScene');
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Title scene - the menu shown at start-up, over an autopilot demo run
+ */
+class TitleScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'TitleScene' });
+    }
+
+    create() {
+        const { centerX, centerY } = VIEW;
+        fitCameraToView(this);
+
+        // The game plays itself behind the menu
+        this.scene.launch('GameScene', { demo: true });
+
+        addMenuBackdrop(this, 0.35);
+        addMenuText(this, centerX, centerY - 70, 'COMMIT DASH', {
+            fontSize: '48px',
+            fontStyle: 'bold',
+            padding: { x: 20, y: 10 }
+        });
+
+        // A shared ?seed link plays that seed
+        this.profile = this.registry.get('profile');
+        const urlSeed = getSeedFromUrl();
+        const highScore = this.profile.getHighScore(this.profile.getSetting('preset'));
+        const subtitle = urlSeed ? `Seed: ${urlSeed}  |  High Score: ${highScore}` : `High Score: ${highScore}`;
+        addMenuText(this, centerX, centerY, subtitle);
+
+        addMenuButtonRow(this, centerY + 55, [
+            ['Play (SPACE)', () => this.play()],
+            [`${getPreset(this.profile.getSetting('preset')).name} (D)`, () => this.cyclePreset(1)],
+            ['Daily (C)', () => this.scene.start('DailyScene')],
+            ['Versus (V)', () => this.startVersus()]
+        ]);
+        addMenuButtonRow(this, centerY + 95, [
+            ['Achievements (A)', () => this.scene.start('AchievementsScene')],
+            ['Settings (S)', () => this.scene.start('SettingsScene')]
+        ]);
+        bindMenuKeys(this, {
+            SPACE: () => this.play(),
+            ENTER: () => this.play(),
+            D: () => this.cyclePreset(1),
+            RIGHT: () => this.cyclePreset(1),
+            LEFT: () => this.cyclePreset(-1),
+            C: () => this.scene.start('DailyScene'),
+            V: () => this.startVersus(),
+            A: () => this.scene.start('AchievementsScene'),
+            S: () => this.scene.start('SettingsScene')
+        });
+    }
+
+    /**
+     * Pick the next or previous difficulty preset, then rebuild the menu (and demo) around it
+     * @param {number} direction - 1 for the next preset, -1 for the previous
+     */
+    cyclePreset(direction) {
+        const presets = Object.keys(DIFFICULTY_PRESETS);
+        const index = presets.indexOf(this.profile.getSetting('preset'));
+        this.profile.setSetting('preset', presets[(index + direction + presets.length) % presets.length]);
+        this.game.events.emit(PROFILE_CHANGE_EVENT);
+        this.scene.restart();
+    }
+
+    /**
+     * Start a two-player race on the chosen preset, in place of the demo
+     */
+    startVersus() {
+        this.scene.stop('GameScene');
+        this.scene.start('VersusScene', { seed: getSeedFromUrl() || generateSeed() });
+    }
+
+    /**
+     * Start a live run, replacing the demo
+     */
+    play() {
+        this.scene.start('GameScene', { seed: getSeedFromUrl() || generateSeed() });
+    }
+}
@@ -0,0 +1,297 @@
+/**
+ * Versus scene - a local two-player race on one screen, reached from the title screen
+ * Each player runs their own copy of the same seed in a lane of their own, stacked top and bottom;
+ * the last player still running wins
+ */
+
+// Each player's controls: keyboard jump and slide keys, and the gamepad that's theirs (by connection order)
+const VERSUS_PLAYERS = [
+    { name: 'P1', jumpKeys: ['SPACE'], slideKeys: ['S'], gamepad: 0 },
+    { name: 'P2', jumpKeys: ['ENTER'], slideKeys: ['DOWN'], gamepad: 1 }
+];
+
+// Jump charge bar size in each lane (px)
+const VERSUS_CHARGE_BAR_WIDTH = 60;
+const VERSUS_CHARGE_BAR_HEIGHT = 6;
+
+// How long the result shows before its keys work (ms), so a player still mashing jump doesn't skip it
+const VERSUS_RESULT_KEY_DELAY = 1000;
+
+class VersusScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'VersusScene' });
+    }
+
+    /**
+     * @param {Object} data - How to start the race
+     * @param {string} [data.seed] - Level seed (a new one is rolled if missing)
+     * @param {string} [data.preset] - Difficulty preset id (the one picked on the title screen if missing)
+     */
+    create(data) {
+        fitCameraToView(this);
+        this.audio = this.registry.get('audio');
+        this.profile = this.registry.get('profile');
+        this.theme = this.registry.get(THEME_REGISTRY_KEY);
+        this.cameras.main.setBackgroundColor(this.theme.background);
+        this.isGameOver = false;
+
+        this.seed = data.seed || generateSeed();
+        this.preset = data.preset || this.profile.getSetting('preset');
+        this.levelSource = this.registry.get('levelSource');
+        this.stepAccumulator = 0;
+        this.gameSpeed = this.profile.getSetting('gameSpeed') / 100; // Accessibility slow-down
+
+        this.hudTexts = [];
+        this.laneHeight = VIEW.height / VERSUS_PLAYERS.length;
+        this.racers = VERSUS_PLAYERS.map((controls, index) => this.createRacer(controls, index * this.laneHeight));
+
+        // A line between the lanes
+        this.dividers = this.racers.slice(1).map(racer => {
+            const divider = this.add.rectangle(0, racer.lane.top - 1, VIEW.width, 2, this.theme.chargeBar);
+            return divider.setOrigin(0).setDepth(50);
+        });
+
+        // Pause on Esc / P, or when the window loses focus
+        this.input.keyboard.on('keydown-ESC', this.pauseRace, this);
+        this.input.keyboard.on('keydown-P', this.pauseRace, this);
+        this.game.events.on(Phaser.Core.Events.BLUR, this.pauseRace, this);
+        this.events.on(Phaser.Scenes.Events.RESUME, this.handleResume, this);
+
+        this.registry.events.on(`changedata-${THEME_REGISTRY_KEY}`, this.applyTheme, this);
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, this.shutdown, this);
+    }
+
+    /**
+     * Set up one player: their run, lane, controls and HUD
+     * @param {Object} controls - Entry in VERSUS_PLAYERS
+     * @param {number} top - View Y of their lane's top edge
+     * @returns {Object} The player's racer
+     */
+    createRacer(controls, top) {
+        const sim = new Simulation({
+            seed: this.seed,
+            level: this.levelSource,
+            width: VIEW.width,
+            height: this.laneHeight,
+            config: getPreset(this.preset).config
+        });
+        const lane = new Lane(this, sim, { theme: this.theme, top, clip: true });
+        const racer = {
+            controls,
+            sim,
+            lane,
+            effects: new LaneEffects(this, lane),
+            pendingInput: [], // Button events waiting for the player's next simulation step
+            isOut: false
+        };
+
+        // Every player's presses are queued for their own simulation, one per step
+        racer.input = new JumpInput(this, controls.jumpKeys, {
+            pressed: () => racer.pendingInput.push('down'),
+            released: () => racer.pendingInput.push('up'),
+            slidePressed: () => racer.pendingInput.push('slideDown'),
+            slideReleased: () => racer.pendingInput.push('slideUp')
+        }, { slideKeys: controls.slideKeys, gamepad: controls.gamepad, usesPointer: false });
+
+        // Name and controls, score, and jump charge in the lane's top-left corner
+        const keys = `${controls.jumpKeys.join('/')} jump, ${controls.slideKeys.join('/')} slide`;
+        racer.label = `${controls.name} [${keys}, gamepad ${controls.gamepad + 1}]`;
+        racer.scoreText = this.addHudText(8, top + 4, racer.label);
+        racer.chargeBarBg = this.add.graphics().setDepth(100);
+        racer.chargeBar = this.add.graphics().setDepth(101);
+        racer.chargeBarY = top + 26;
+        this.drawChargeBarBackground(racer);
+        return racer;
+    }
+
+    /**
+     * Add a HUD text in the theme's colors
+     * @param {number} x
+     * @param {number} y
+     * @param {string} text
+     * @returns {Phaser.GameObjects.Text}
+     */
+    addHudText(x, y, text) {
+        const hudText = this.add.text(x, y, text, {
+            fontSize: '12px',
+            fill: this.theme.text,
+            fontFamily: 'monospace',
+            backgroundColor: this.theme.panel,
+            padding: { x: 4, y: 2 }
+        });
+        hudText.setDepth(100);
+        this.hudTexts.push(hudText);
+        return hudText;
+    }
+
+    /**
+     * Draw the empty part of a player's jump charge bar
+     * @param {Object} racer
+     */
+    drawChargeBarBackground(racer) {
+        racer.chargeBarBg.clear();
+        racer.chargeBarBg.fillStyle(this.theme.chargeBar, 1);
+        racer.chargeBarBg.fillRect(8, racer.chargeBarY, VERSUS_CHARGE_BAR_WIDTH, VERSUS_CHARGE_BAR_HEIGHT);
+    }
+
+    /**
+     * Draw a player's jump charge
+     * @param {Object} racer
+     */
+    updateChargeBar(racer) {
+        const chargePercent = racer.sim.jump.jumpCharge / racer.sim.config.JUMP_CHARGE_MAX;
+        racer.chargeBar.clear();
+        racer.chargeBar.fillStyle(getChargeBarColor(chargePercent), 1);
+        racer.chargeBar.fillRect(8, racer.chargeBarY, VERSUS_CHARGE_BAR_WIDTH * chargePercent, VERSUS_CHARGE_BAR_HEIGHT);
+    }
+
+    /**
+     * Re-skin the race in a new theme (the browser's color scheme can change mid-race)
+     * @param {Phaser.Data.DataManager} registry
+     * @param {Object} theme - Entry in THEMES
+     */
+    applyTheme(registry, theme) {
+        this.theme = theme;
+        this.cameras.main.setBackgroundColor(theme.background);
+        this.hudTexts.forEach(hudText => hudText.setBackgroundColor(theme.panel).setColor(theme.text));
+        this.dividers.forEach(divider => divider.setFillStyle(theme.chargeBar));
+        this.racers.forEach(racer => {
+            racer.lane.applyTheme(theme);
+            this.drawChargeBarBackground(racer);
+        });
+    }
+
+    /**
+     * Drop everything that outlives the scene's own objects
+     */
+    shutdown() {
+        this.registry.events.off(`changedata-${THEME_REGISTRY_KEY}`, this.applyTheme, this);
+        this.game.events.off(Phaser.Core.Events.BLUR, this.pauseRace, this);
+        this.events.off(Phaser.Scenes.Events.RESUME, this.handleResume, this);
+        this.racers.forEach(racer => racer.input.destroy());
+        this.input.keyboard.removeAllKeys(true);
+        this.audio.stopMusic();
+    }
+
+    /**
+     * Pause the race and show the pause menu
+     */
+    pauseRace() {
+        if (this.isGameOver || !this.scene.isActive()) return;
+
+        this.scene.launch('PauseScene', { runScene: 'VersusScene', retry: { seed: this.seed, preset: this.preset } });
+        this.scene.pause();
+    }
+
+    /**
+     * Pick the race back up after the pause menu
+     */
+    handleResume() {
+        // Releases while paused never reached this scene - let go of held jumps and slides
+        this.racers.forEach(racer => {
+            racer.input.reset();
+            racer.pendingInput = [];
+            if (racer.sim.input.isDown) {
+                racer.pendingInput.push('up');
+            }
+            if (racer.sim.input.isSlideDown) {
+                racer.pendingInput.push('slideUp');
+            }
+        });
+    }
+
+    /**
+     * Main update loop
+     * @param {number} time - Total elapsed time
+     * @param {number} delta - Time since last frame (ms)
+     */
+    update(time, delta) {
+        if (this.isGameOver) return;
+
+        // Both runs advance in the same fixed steps, so neither player's frame rate favors them
+        this.stepAccumulator += Math.min(delta, 250) * this.gameSpeed;
+        while (this.stepAccumulator >= FIXED_TIMESTEP_MS && !this.isGameOver) {
+            this.stepAccumulator -= FIXED_TIMESTEP_MS;
+            this.stepRace();
+        }
+
+        // Music keeps up with whoever is furthest along
+        const distanceScore = Math.max(...this.racers.map(racer => racer.sim.distanceScore));
+        this.audio.updateMusic(getDifficultyLevel(distanceScore));
+
+        const isReducedMotion = this.registry.get('reducedMotion');
+        this.racers.forEach(racer => {
+            racer.lane.render(delta, isReducedMotion);
+            racer.effects.update(delta);
+            this.updateChargeBar(racer);
+            const status = racer.isOut ? 'OUT' : `Score: ${Math.floor(racer.sim.score)}`;
+            racer.scoreText.setText(`${racer.label}  ${status}`);
+        });
+    }
+
+    /**
+     * Advance every player still running by one fixed simulation step, and end the race once one is left
+     */
+    stepRace() {
+        this.racers.forEach(racer => {
+            if (racer.isOut) return;
+            const events = racer.sim.step(racer.pendingInput.shift() || null);
+            events.forEach(event => {
+                this.audio.playEvent(event);
+                racer.lane.handleSimEvent(event);
+                racer.effects.handleSimEvent(event);
+                if (event.type === 'gameOver') {
+                    racer.isOut = true;
+                }
+            });
+        });
+
+        const running = this.racers.filter(racer => !racer.isOut);
+        if (running.length <= 1) {
+            this.finishRace(running[0] || null);
+        }
+    }
+
+    /**
+     * Show who won, with rematch and menu options
+     * @param {Object|null} winner - The racer still running, or null if the last ones went out on the same step
+     */
+    finishRace(winner) {
+        const { centerX, centerY } = VIEW;
+        this.isGameOver = true;
+        this.audio.stopCharge();
+
+        addMenuBackdrop(this, 0.5).setDepth(200);
+        addMenuText(this, centerX, centerY - 60, winner ? `${winner.controls.name} WINS` : 'DRAW', {
+            fontSize: '40px',
+            fontStyle: 'bold',
+            padding: { x: 20, y: 8 }
+        }).setDepth(200);
+        const scores = this.racers.map(racer => {
+            return `${racer.controls.name}: ${Math.floor(racer.sim.score)} points, ${racer.sim.getDistance()} columns`;
+        });
+        addMenuText(this, centerX, centerY + 5, `${scores.join('\n')}\nSeed: ${this.seed}`, {
+            align: 'center',
+            lineSpacing: 4
+        }).setDepth(200);
+
+        addMenuButtonRow(this, centerY + 80, [
+            ['Rematch (R)', () => this.rematch()],
+            ['New race (N)', () => this.scene.restart({ preset: this.preset })],
+            ['Menu (M)', () => this.scene.start('TitleScene')]
+        ]).forEach(button => button.setDepth(200));
+        this.time.delayedCall(VERSUS_RESULT_KEY_DELAY, () => bindMenuKeys(this, {
+            R: () => this.rematch(),
+            N: () => this.scene.restart({ preset: this.preset }),
+            M: () => this.scene.start('TitleScene'),
+            ESC: () => this.scene.start('TitleScene')
+        }));
+    }
+
+    /**
+     * Race the same seed again, on the same preset
+     */
+    rematch() {
+        this.scene.restart({ seed: this.seed, preset: this.preset });
+    }
+}
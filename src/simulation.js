@@ -0,0 +1,682 @@
+/**
+ * Headless game simulation - everything that decides the outcome of a run, with no Phaser or canvas
+ * The Phaser scene renders a Simulation step by step; tools/simulate.js runs one from Node
+ */
+
+// Fixed simulation timestep (ms) - every run is simulated at 60 steps per second
+const FIXED_TIMESTEP_MS = 1000 / 60;
+
+// Points per pixel scrolled - 10 a second at Normal's starting speed, more as the run speeds up
+const SCORE_PER_PIXEL = 10 / 120;
+
+// Points for a commit dot, times the streak multiplier
+const COMMIT_POINTS = 10;
+
+// Diameter of a commit dot (px)
+const COMMIT_SIZE = 9;
+
+// Highest streak multiplier
+const COMMIT_MAX_MULTIPLIER = 5;
+
+// Run stats counted from simulation events (event type -> stat)
+const STAT_EVENTS = {
+    jump: 'jumps',
+    doubleJump: 'doubleJumps',
+    chargeJumpLaunch: 'chargeJumps',
+    land: 'landings',
+    sideHit: 'sideHits',
+    slide: 'slides',
+    commit: 'commits',
+    powerUp: 'powerUps'
+};
+
+/**
+ * Streak multiplier for a streak length
+ * @param {number} streak - Commit dots grabbed since the player last stood on something
+ * @returns {number} 1 to COMMIT_MAX_MULTIPLIER
+ */
+function getStreakMultiplier(streak) {
+    return Math.max(1, Math.min(COMMIT_MAX_MULTIPLIER, streak));
+}
+
+/**
+ * Create the player's physical state
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @returns {Object} Player body
+ */
+function createPlayerBody(x, y) {
+    return {
+        x,
+        y,
+        vx: 0,
+        vy: 0,
+        height: GRID.TILE_SIZE, // Hitbox height (less while sliding)
+        angle: 0,             // Rotation in degrees
+        squash: 1,            // Display height as a fraction of GRID.TILE_SIZE (charge jump squash, slide)
+        isGrounded: false,
+        isRotating: false     // Whether actively rotating to align with the ground
+    };
+}
+
+/**
+ * Handle player rotation during jump and landing
+ * @param {Object} body - Player body
+ * @param {number} deltaSeconds - Step length (seconds)
+ */
+function updateRotation(body, deltaSeconds) {
+    if (!body.isGrounded) {
+        // Rotate clockwise while in the air (360 degrees per second)
+        body.angle += 360 * deltaSeconds;
+    } else if (body.isRotating) {
+        // When landing, rotate to align with nearest 90-degree angle
+        const rotationSpeed = 720; // degrees per second
+
+        // Normalize angle to 0-360 range
+        let currentAngle = body.angle % 360;
+        if (currentAngle < 0) currentAngle += 360;
+
+        // Find nearest 90-degree increment
+        const targetRotation = Math.round(currentAngle / 90) * 90;
+
+        // Calculate shortest rotation direction
+        let angleDiff = targetRotation - currentAngle;
+        if (angleDiff > 180) angleDiff -= 360;
+        if (angleDiff < -180) angleDiff += 360;
+
+        // Rotate towards target
+        if (Math.abs(angleDiff) < 5) {
+            // Close enough, snap to target and stop rotating
+            body.angle = targetRotation;
+            body.isRotating = false;
+        } else {
+            // Continue rotating
+            body.angle += Math.sign(angleDiff) * rotationSpeed * deltaSeconds;
+        }
+    }
+}
+
+class Simulation {
+    /**
+     * @param {Object} options
+     * @param {string} options.seed - Level seed
+     * @param {ContributionLevel|null} [options.level] - Contribution level to play, if any
+     * @param {number} [options.width] - Visible world width (px)
+     * @param {number} [options.height] - Visible world height (px)
+     * @param {Object} [options.generator] - Column source to use instead of the seeded generator
+     *     ({next(score, speed), nextCommit(tiles), nextPowerUp(tiles), clone()})
+     * @param {Object} [options.config] - Game config (GAME_CONFIG or a difficulty preset's)
+     */
+    constructor({ seed, level = null, width = 800, height = 300, generator = null, config = GAME_CONFIG }) {
+        this.seed = seed;
+        this.level = level;
+        this.width = width;
+        this.height = height;
+        this.config = config;
+
+        this.generator = generator ||
+            new ColumnGenerator(new SeededRandom(seed), level, SolvabilityGuard.forConfig(config), config);
+
+        // Game state
+        this.isGameOver = false;
+        this.deathCause = null; // 'fell', 'pushed' or 'conflict' once the run is over
+        this.score = 0;
+        this.distanceScore = 0; // The part of the score from distance alone, which sets the difficulty
+        this.simStep = 0;
+        this.simTime = 0; // Simulation clock (ms)
+
+        // World state - columns scroll left, the world position tracks how far
+        this.columns = []; // Left to right, GRID.TILE_FULL_SIZE apart
+        this.nearbyTiles = []; // Solid tiles under the player this step (reused to avoid garbage)
+        this.nearbyHazards = []; // Lethal tiles under the player this step
+        this.crumblingTiles = []; // Flaky tiles landed on: {columnId, row, time} (when they go, sim time ms)
+        this.worldX = 0;
+        this.scrollSpeed = config.SCROLL_SPEED; // Ramps up to config.SCROLL_SPEED_MAX
+        this.lastColumnX = 0;
+        this.nextColumnId = 0;
+
+        // Jump and slide button state for the current step
+        this.input = { isDown: false, justDown: false, justUp: false, isSlideDown: false };
+
+        // The player, dropped in halfway up the view (or just above the grid, if the view is too short for that)
+        const startY = Math.min(height / 2, height - GRID.ROWS * GRID.TILE_FULL_SIZE - GRID.TILE_SIZE / 2);
+        this.player = createPlayerBody(config.PLAYER_START_X, startY);
+        this.jump = new JumpController(config);
+
+        // Events produced by the current step, and totals for the run
+        this.events = [];
+        this.stats = {
+            jumps: 0,
+            doubleJumps: 0,
+            chargeJumps: 0,
+            landings: 0,
+            sideHits: 0,
+            slides: 0,
+            commits: 0,
+            bestStreak: 0,
+            powerUps: 0
+        };
+
+        // Commit dots grabbed since the player last stood on something
+        this.streak = 0;
+
+        // Power-ups running right now: {id, timeLeft} (seconds), in pickup order
+        this.activePowerUps = [];
+
+        this.generateInitialColumns();
+    }
+
+    /**
+     * Advance the game by one fixed step
+     * @param {string|null} inputEvent - Button event applied this step: 'down' or 'up' (jump),
+     *     'slideDown' or 'slideUp', or null
+     * @returns {Array<Object>} Events that happened this step
+     *     (columns added/removed, tiles crumbled, jumps, slides, landing, commits, power-ups, game over)
+     */
+    step(inputEvent = null) {
+        this.events = [];
+        if (this.isGameOver) return this.events;
+
+        this.advance(inputEvent);
+
+        this.events.forEach(event => {
+            const stat = STAT_EVENTS[event.type];
+            if (stat) this.stats[stat]++;
+        });
+        return this.events;
+    }
+
+    /**
+     * Run the game rules for one step
+     * @param {string|null} inputEvent - Button event applied this step
+     */
+    advance(inputEvent) {
+        const deltaSeconds = FIXED_TIMESTEP_MS / 1000;
+        this.simStep++;
+        this.simTime += FIXED_TIMESTEP_MS;
+
+        // Apply this step's button event
+        this.input.justDown = inputEvent === 'down';
+        this.input.justUp = inputEvent === 'up';
+        if (inputEvent === 'down' || inputEvent === 'up') {
+            this.input.isDown = inputEvent === 'down';
+        } else if (inputEvent) {
+            this.input.isSlideDown = inputEvent === 'slideDown';
+        }
+
+        // Flaky tiles whose time is up fall away before anything stands on them this step
+        this.crumbleTiles();
+
+        // Move the player by its velocity and gravity
+        const body = this.player;
+        body.vy += this.config.GRAVITY * deltaSeconds;
+        body.x += body.vx * deltaSeconds;
+        body.y += body.vy * deltaSeconds;
+
+        // Check if player is on the ground FIRST (before handling jumps)
+        this.checkGrounded();
+        if (this.isGameOver) return;
+
+        // Slide or fast-fall, then jump (which a slide rules out)
+        const slideEvent = this.jump.updateSlide(this.input, body, !this.jump.isSliding || this.hasHeadroom(body));
+        if (slideEvent) {
+            this.events.push(slideEvent);
+        }
+
+        // Handle player jump
+        const jumpEvent = this.jump.update(this.input, body, this.simTime, deltaSeconds);
+        if (jumpEvent) {
+            this.events.push(jumpEvent);
+        }
+
+        // Run the active power-ups, then grab what the player touches -
+        // chaining commit dots in the air builds the streak, standing on anything ends it
+        this.updatePowerUps(deltaSeconds);
+        if (body.isGrounded) {
+            this.streak = 0;
+        }
+        this.collectCommits(body);
+        this.collectPowerUps(body);
+
+        // Handle player rotation
+        updateRotation(body, deltaSeconds);
+
+        // Recharge jump
+        this.jump.recharge(deltaSeconds, body);
+
+        // Scroll the world to the left
+        const scrollAmount = this.scrollWorld(deltaSeconds);
+
+        // Update score based on distance survived, so faster scrolling scores faster
+        this.distanceScore += scrollAmount * SCORE_PER_PIXEL;
+        this.score += scrollAmount * SCORE_PER_PIXEL;
+    }
+
+    /**
+     * How far the run has gone, in columns
+     * @returns {number}
+     */
+    getDistance() {
+        return Math.floor(this.worldX / GRID.TILE_FULL_SIZE);
+    }
+
+    /**
+     * Copy the whole run, so a future can be tried out without touching this one
+     * @returns {Simulation}
+     */
+    clone() {
+        const copy = Object.assign(Object.create(Simulation.prototype), this);
+        copy.generator = this.generator.clone();
+
+        // Tiles are mutable (their position is filled in for collision), so each copy gets its own
+        copy.columns = this.columns.map(column => ({
+            id: column.id,
+            x: column.x,
+            moves: column.moves,
+            tiles: column.tiles.map(tile => tile && Object.assign({}, tile)),
+            commit: column.commit && Object.assign({}, column.commit),
+            powerUp: column.powerUp && Object.assign({}, column.powerUp)
+        }));
+        copy.activePowerUps = this.activePowerUps.map(active => Object.assign({}, active));
+        copy.nearbyTiles = [];
+        copy.nearbyHazards = [];
+        copy.crumblingTiles = this.crumblingTiles.map(crumbling => Object.assign({}, crumbling));
+
+        copy.input = Object.assign({}, this.input);
+        copy.player = Object.assign({}, this.player);
+        copy.jump = Object.assign(Object.create(JumpController.prototype), this.jump);
+        copy.events = [];
+        copy.stats = Object.assign({}, this.stats);
+        return copy;
+    }
+
+    /**
+     * Resolve collisions and update the grounded state
+     * Tiles are where they are this step - force-push columns have moved and crumbled tiles are gone - so a
+     * standing player is snapped down onto a sinking surface, lifted by a rising one, and falls when it vanishes
+     */
+    checkGrounded() {
+        const body = this.player;
+        const wasGrounded = body.isGrounded;
+        const contact = resolveCollisions(body, this.getTilesNear(body), this.height);
+
+        if (contact.sideHit) {
+            this.events.push({ type: 'sideHit' });
+        }
+
+        // Apply grounded state
+        if (contact.standing) {
+            if (!wasGrounded) {
+                body.isRotating = true;
+                this.events.push({ type: 'land' });
+            }
+            body.isGrounded = true;
+            this.jump.touchGround(this.simTime); // Track grounded time
+            this.startCrumbling(contact.ground);
+        } else {
+            body.isGrounded = false;
+        }
+
+        // Game over if player touches a merge conflict, is pushed off the left edge or falls below screen
+        if (this.nearbyHazards.some(tile => overlapsTile(body, tile))) {
+            this.endRun('conflict');
+        } else if (body.x < this.config.GAME_OVER_BOUNDARY) {
+            if (!this.absorbPush()) {
+                this.endRun('pushed');
+            }
+        } else if (body.y > this.height + 50) {
+            this.endRun('fell');
+        }
+    }
+
+    /**
+     * Whether a sliding player has room to stand up where they are
+     * @param {Object} body - Player body
+     * @returns {boolean}
+     */
+    hasHeadroom(body) {
+        const standing = { x: body.x, y: body.y + body.height / 2 - GRID.TILE_SIZE / 2, height: GRID.TILE_SIZE };
+        return !this.getTilesNear(body).some(tile => overlapsTile(standing, tile));
+    }
+
+    /**
+     * Start a flaky tile's countdown when it's first stood on
+     * @param {Object} tile - Tile the player is standing on
+     */
+    startCrumbling(tile) {
+        if (!TILE_TYPES[tile.type].crumbles || tile.isCrumbling) return;
+        tile.isCrumbling = true;
+        this.crumblingTiles.push({ columnId: tile.columnId, row: tile.row, time: this.simTime + FLAKY_CRUMBLE_MS });
+    }
+
+    /**
+     * Remove the flaky tiles whose countdown has run out
+     */
+    crumbleTiles() {
+        if (this.crumblingTiles.length === 0) return;
+        this.crumblingTiles = this.crumblingTiles.filter(crumbling => {
+            if (crumbling.time > this.simTime) return true;
+
+            // The column may have scrolled off already
+            const column = this.columns.find(candidate => candidate.id === crumbling.columnId);
+            if (column) {
+                column.tiles[crumbling.row] = null;
+                this.events.push({ type: 'tileCrumbled', column, row: crumbling.row });
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Pick up the commit dots the player is touching
+     * @param {Object} body - Player body
+     */
+    collectCommits(body) {
+        const reach = (GRID.TILE_SIZE + COMMIT_SIZE) / 2;
+        this.forEachColumnNear(body, reach, column => {
+            if (this.isTouchingCommit(column)) {
+                this.collectCommit(column);
+            }
+        });
+    }
+
+    /**
+     * Where a column's commit dot is now (its center), including any pull toward the player
+     * @param {Object} column
+     * @returns {{x: number, y: number}}
+     */
+    getCommitPosition(column) {
+        const commit = column.commit;
+        return {
+            x: column.x + GRID.TILE_SIZE / 2 + commit.pullX,
+            y: this.getRowCenterY(commit.row) + commit.pullY
+        };
+    }
+
+    /**
+     * @param {Object} column
+     * @returns {boolean} Whether the player is touching the column's commit dot (if it still has one)
+     */
+    isTouchingCommit(column) {
+        if (!column.commit || column.commit.isCollected) return false;
+        const reach = (GRID.TILE_SIZE + COMMIT_SIZE) / 2;
+        const position = this.getCommitPosition(column);
+        return Math.abs(this.player.x - position.x) < reach && Math.abs(this.player.y - position.y) < reach;
+    }
+
+    /**
+     * Pick up a column's commit dot, scoring it at the streak multiplier
+     * Only dots grabbed in the air count toward the streak
+     * @param {Object} column
+     */
+    collectCommit(column) {
+        column.commit.isCollected = true;
+        if (!this.player.isGrounded) {
+            this.streak++;
+            this.stats.bestStreak = Math.max(this.stats.bestStreak, this.streak);
+        }
+        const multiplier = getStreakMultiplier(this.streak);
+        const points = COMMIT_POINTS * multiplier;
+        this.score += points;
+        this.events.push({ type: 'commit', column, multiplier, points });
+    }
+
+    /**
+     * Pick up the power-ups the player is touching
+     * @param {Object} body - Player body
+     */
+    collectPowerUps(body) {
+        const reach = (GRID.TILE_SIZE + POWER_UP_SIZE) / 2;
+        this.forEachColumnNear(body, reach, column => {
+            const powerUp = column.powerUp;
+            if (!powerUp || powerUp.isCollected) return;
+
+            const x = column.x + GRID.TILE_SIZE / 2;
+            const y = this.getRowCenterY(powerUp.row);
+            if (Math.abs(body.x - x) >= reach || Math.abs(body.y - y) >= reach) return;
+
+            powerUp.isCollected = true;
+            this.startPowerUp(powerUp.id);
+            this.events.push({ type: 'powerUp', id: powerUp.id, column });
+        });
+    }
+
+    /**
+     * Start a power-up, or restart its timer if it's already running
+     * @param {string} id - Registered power-up id
+     */
+    startPowerUp(id) {
+        const powerUp = POWER_UPS[id];
+        const active = this.activePowerUps.find(running => running.id === id);
+        if (active) {
+            active.timeLeft = powerUp.duration;
+        } else {
+            this.activePowerUps.push({ id, timeLeft: powerUp.duration });
+        }
+        if (powerUp.start) {
+            powerUp.start(this);
+        }
+    }
+
+    /**
+     * Run the active power-ups for one step and end the ones whose time is up
+     * @param {number} deltaSeconds - Step length (seconds)
+     */
+    updatePowerUps(deltaSeconds) {
+        this.activePowerUps = this.activePowerUps.filter(active => {
+            const powerUp = POWER_UPS[active.id];
+            if (powerUp.update) {
+                powerUp.update(this, deltaSeconds);
+            }
+            active.timeLeft -= deltaSeconds;
+            if (active.timeLeft > 0) return true;
+            this.events.push({ type: 'powerUpEnd', id: active.id, wasUsed: false });
+            return false;
+        });
+    }
+
+    /**
+     * Give the active power-ups a chance to save the player from being pushed off screen
+     * @returns {boolean} Whether one did (it's used up)
+     */
+    absorbPush() {
+        const index = this.activePowerUps.findIndex(active => {
+            const powerUp = POWER_UPS[active.id];
+            return powerUp.absorbPush && powerUp.absorbPush(this);
+        });
+        if (index < 0) return false;
+
+        const [active] = this.activePowerUps.splice(index, 1);
+        this.events.push({ type: 'powerUpEnd', id: active.id, wasUsed: true });
+        return true;
+    }
+
+    /**
+     * @returns {number} Scroll speed multiplier from the active power-ups
+     */
+    getScrollScale() {
+        return this.activePowerUps.reduce((scale, active) => {
+            const powerUp = POWER_UPS[active.id];
+            return scale * (powerUp.scrollScale || 1);
+        }, 1);
+    }
+
+    /**
+     * Visit the columns within some distance of the player's center, left to right
+     * @param {Object} body - Player body
+     * @param {number} reach - Distance (px)
+     * @param {function(Object): void} callback - Called with each column
+     */
+    forEachColumnNear(body, reach, callback) {
+        if (this.columns.length === 0) return;
+        const firstX = this.columns[0].x;
+        const first = Math.max(0, Math.floor((body.x - reach - firstX) / GRID.TILE_FULL_SIZE));
+        const last = Math.min(this.columns.length - 1, Math.floor((body.x + reach - firstX) / GRID.TILE_FULL_SIZE));
+        for (let i = first; i <= last; i++) {
+            callback(this.columns[i]);
+        }
+    }
+
+    /**
+     * @param {number} row - Grid row (0 = bottom)
+     * @returns {number} Top Y of a resting tile in that row
+     */
+    getRowTopY(row) {
+        return this.height - GRID.TILE_SIZE - row * GRID.TILE_FULL_SIZE;
+    }
+
+    /**
+     * @param {number} row - Grid row (0 = bottom; may be above the top row)
+     * @returns {number} Center Y of that row
+     */
+    getRowCenterY(row) {
+        return this.getRowTopY(row) + GRID.TILE_SIZE / 2;
+    }
+
+    /**
+     * Collect the solid tiles the player can touch this step, from the few columns under it
+     * Tiles come in column order like a scan of every column would give, so collisions resolve identically
+     * Lethal tiles aren't solid - they go in nearbyHazards instead
+     * @param {Object} body - Player body
+     * @returns {Array<Object>} Solid tiles, with x (and y for moving columns) set to their current position
+     */
+    getTilesNear(body) {
+        const tiles = this.nearbyTiles;
+        const hazards = this.nearbyHazards;
+        tiles.length = 0;
+        hazards.length = 0;
+        if (this.columns.length === 0) return tiles;
+
+        // From the column left of the player to the one past its right edge (a push to the right reaches it)
+        const half = GRID.TILE_SIZE / 2;
+        const firstX = this.columns[0].x;
+        const first = Math.max(0, Math.floor((body.x - half - GRID.TILE_SIZE - firstX) / GRID.TILE_FULL_SIZE));
+        const last = Math.min(this.columns.length - 1, Math.floor((body.x + half - firstX) / GRID.TILE_FULL_SIZE) + 1);
+
+        for (let i = first; i <= last; i++) {
+            const column = this.columns[i];
+            const drop = this.getColumnDrop(column);
+            column.tiles.forEach(tile => {
+                if (!tile) return;
+                tile.x = column.x;
+                if (column.moves) {
+                    tile.y = this.getRowTopY(tile.row) + drop;
+                }
+                (TILE_TYPES[tile.type].isLethal ? hazards : tiles).push(tile);
+            });
+        }
+        return tiles;
+    }
+
+    /**
+     * @param {Object} column
+     * @returns {number} How far the column has sunk right now (px; 0 unless it's a force-push column)
+     */
+    getColumnDrop(column) {
+        return column.moves ? getForcePushDrop(this.simTime, column.id) : 0;
+    }
+
+    /**
+     * End the run
+     * @param {string} cause - 'fell', 'pushed' or 'conflict'
+     */
+    endRun(cause) {
+        this.isGameOver = true;
+        this.deathCause = cause;
+        this.player.vx = 0;
+        this.player.vy = 0;
+        this.events.push({ type: 'gameOver', cause, score: Math.floor(this.score) });
+    }
+
+    /**
+     * Generate initial columns to fill the screen
+     */
+    generateInitialColumns() {
+        const numColumns = Math.ceil(this.width / GRID.TILE_FULL_SIZE) + 5;
+
+        for (let i = 0; i < numColumns; i++) {
+            const x = i * GRID.TILE_FULL_SIZE;
+            this.addColumn(x);
+            this.lastColumnX = x;
+        }
+    }
+
+    /**
+     * Generate a column at a screen X position
+     * Only the column's x scrolls; its tiles get their x when they're near the player (see getTilesNear)
+     * @param {number} x - X position for the column
+     */
+    addColumn(x) {
+        const id = this.nextColumnId++;
+        const tiles = this.generator.next(this.distanceScore, this.scrollSpeed);
+
+        tiles.forEach((tile, row) => {
+            if (!tile) return;
+            tile.x = x;
+            tile.y = this.getRowTopY(row) - (TILE_TYPES[tile.type].hangs ? OVERHANG_RAISE : 0);
+            tile.row = row;
+            tile.columnId = id;
+        });
+
+        // A commit dot or a power-up floating above the column, if the generator placed one
+        const commitRow = this.generator.nextCommit(tiles);
+        const commit = commitRow === null ? null : { row: commitRow, pullX: 0, pullY: 0, isCollected: false };
+        const powerUpPlacement = commit ? null : this.generator.nextPowerUp(tiles);
+        const powerUp = powerUpPlacement ? Object.assign({ isCollected: false }, powerUpPlacement) : null;
+
+        const moves = tiles.some(tile => tile && TILE_TYPES[tile.type].moves);
+        const column = { id, x, moves, tiles, commit, powerUp };
+        this.columns.push(column);
+        this.events.push({ type: 'columnAdded', column });
+    }
+
+    /**
+     * Scroll the world to the left, dropping columns off the left edge and adding new ones on the right
+     * The scroll speed ramps up steadily until it reaches its cap (power-ups may scale it for a while)
+     * @param {number} deltaSeconds - Step length (seconds)
+     * @returns {number} Pixels scrolled
+     */
+    scrollWorld(deltaSeconds) {
+        this.scrollSpeed = Math.min(
+            this.config.SCROLL_SPEED_MAX,
+            this.scrollSpeed + this.config.SCROLL_ACCELERATION * deltaSeconds
+        );
+        const scrollAmount = this.scrollSpeed * this.getScrollScale() * deltaSeconds;
+
+        this.columns.forEach(column => {
+            column.x -= scrollAmount;
+        });
+
+        // Remove columns that are off the left side of the screen
+        while (this.columns.length > 0 && this.columns[0].x < -GRID.TILE_FULL_SIZE * 2) {
+            const column = this.columns.shift();
+            this.events.push({ type: 'columnRemoved', column });
+        }
+
+        // Update world position tracking
+        this.worldX += scrollAmount;
+
+        // Generate new columns on the right side
+        const actualLastColumnX = this.lastColumnX - this.worldX;
+        if (actualLastColumnX < this.width + GRID.TILE_FULL_SIZE) {
+            const newColumnX = this.lastColumnX + GRID.TILE_FULL_SIZE;
+            this.addColumn(newColumnX - this.worldX);
+            this.lastColumnX = newColumnX;
+        }
+        return scrollAmount;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FIXED_TIMESTEP_MS,
+        SCORE_PER_PIXEL,
+        COMMIT_POINTS,
+        COMMIT_SIZE,
+        COMMIT_MAX_MULTIPLIER,
+        getStreakMultiplier,
+        createPlayerBody,
+        updateRotation,
+        Simulation
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * Color themes - the contribution greens, empty tiles, player and HUD colors the game is drawn in
+ * Hazards, commit dots and power-ups keep their own colors in every theme
+ * A colorblind palette can stand in for a theme's greens, and solid tiles can carry patterns so they never differ
+ * by hue alone
+ */
+
+// Themes by id
+// isDark: drawn on a dark background (contribution levels get brighter, not darker)
+// background: behind the grid and menus
+// emptyTile: background tiles (the generated grayTile texture)
+// greens: contribution levels 1-4, weakest to strongest (the color wave runs through them too)
+// player: the player texture
+// text / panel: HUD and menu text, and the box behind it
+// highlight: selected menu row and hovered button
+// chargeBar: empty part of the jump charge bar
+// ahead / behind: ghost racer delta
+const THEMES = {
+    light: {
+        name: 'Light',
+        isDark: false,
+        background: 0xffffff,
+        emptyTile: 0xebedf0,
+        greens: [0x9be9a8, 0x40c463, 0x30a14e, 0x216e39],
+        player: 0x161b22,
+        text: '#000000',
+        panel: 'rgba(255, 255, 255, 0.8)',
+        highlight: '#9be9a8',
+        chargeBar: 0x666666,
+        ahead: '#216e39',
+        behind: '#cf222e'
+    },
+    dark: {
+        name: 'Dark',
+        isDark: true,
+        background: 0x161b22,
+        emptyTile: 0x2d333b,
+        greens: [0x0e4429, 0x006d32, 0x26a641, 0x39d353],
+        player: 0xe6edf3,
+        text: '#e6edf3',
+        panel: 'rgba(13, 17, 23, 0.8)',
+        highlight: '#006d32',
+        chargeBar: 0x30363d,
+        ahead: '#3fb950',
+        behind: '#f85149'
+    },
+    halloween: {
+        name: 'Halloween',
+        isDark: true,
+        background: 0x161b22,
+        emptyTile: 0x2d333b,
+        greens: [0x631c03, 0xbd561d, 0xfa7a18, 0xfddf68],
+        player: 0x8250df,
+        text: '#fddf68',
+        panel: 'rgba(3, 0, 28, 0.8)',
+        highlight: '#bd561d',
+        chargeBar: 0x30363d,
+        ahead: '#fa7a18',
+        behind: '#f85149'
+    },
+    highContrast: {
+        name: 'High contrast',
+        isDark: true,
+        background: 0x000000,
+        emptyTile: 0x3d444d,
+        greens: [0x2ea043, 0x56d364, 0x9be9a8, 0xd2ffd9],
+        player: 0xffd33d,
+        text: '#ffffff',
+        panel: 'rgba(0, 0, 0, 0.95)',
+        highlight: '#1f6feb',
+        chargeBar: 0x6e7681,
+        ahead: '#56d364',
+        behind: '#ff7b72'
+    }
+};
+
+// Theme setting that follows the browser's light / dark preference
+const AUTO_THEME = 'auto';
+
+// Theme setting choices, in the order Settings cycles through them
+const THEME_CHOICES = [AUTO_THEME].concat(Object.keys(THEMES));
+
+// Palettes that replace a theme's greens for color vision deficiencies, for light and dark themes
+// (lightest level first on light themes, darkest first on dark ones, like the greens)
+// name: what Settings calls it - the color vision deficiency it's safe for
+const COLOR_PALETTES = {
+    redGreen: {
+        name: 'Red-green',
+        light: [0xb6e3ff, 0x54aeff, 0x0969da, 0x0a3069],
+        dark: [0x0c2d6b, 0x1158c7, 0x388bfd, 0xa5d6ff]
+    },
+    blueYellow: {
+        name: 'Blue-yellow',
+        light: [0xffd3eb, 0xff80c8, 0xbf3989, 0x6d1d4f],
+        dark: [0x5e103e, 0x9e1c6a, 0xdb61a2, 0xffbedd]
+    }
+};
+
+// Palette setting that keeps the theme's own greens
+const THEME_PALETTE = 'theme';
+
+// Palette setting choices, in the order Settings cycles through them
+const PALETTE_CHOICES = [THEME_PALETTE].concat(Object.keys(COLOR_PALETTES));
+
+// Game registry key holding the theme in use (scenes listen for its changedata event to re-skin)
+const THEME_REGISTRY_KEY = 'theme';
+
+/**
+ * Pick the theme for a theme setting
+ * @param {string} setting - AUTO_THEME or a key in THEMES
+ * @param {boolean} prefersDark - Whether the browser asks for a dark color scheme
+ * @returns {string} Key in THEMES
+ */
+function resolveThemeId(setting, prefersDark) {
+    if (setting in THEMES) return setting;
+    return prefersDark ? 'dark' : 'light';
+}
+
+/**
+ * Build the theme the game is drawn in from the theme and accessibility settings
+ * @param {Object} settings - Profile settings (theme, palette and tilePatterns)
+ * @param {boolean} prefersDark - Whether the browser asks for a dark color scheme
+ * @returns {Object} Copy of the theme's entry in THEMES with the palette's greens, plus
+ *     tilePatterns (whether solid tiles are patterned) and key (the same for the same look)
+ */
+function resolveTheme(settings, prefersDark) {
+    const id = resolveThemeId(settings.theme, prefersDark);
+    const theme = THEMES[id];
+    const palette = COLOR_PALETTES[settings.palette];
+    return Object.assign({}, theme, {
+        greens: palette ? palette[theme.isDark ? 'dark' : 'light'] : theme.greens,
+        tilePatterns: Boolean(settings.tilePatterns),
+        key: `${id}/${palette ? settings.palette : THEME_PALETTE}/${settings.tilePatterns ? 'patterns' : 'plain'}`
+    });
+}
+
+/**
+ * Get the name of a theme setting, for menus
+ * @param {string} setting - AUTO_THEME or a key in THEMES
+ * @returns {string}
+ */
+function getThemeSettingName(setting) {
+    return setting in THEMES ? THEMES[setting].name : 'Auto';
+}
+
+/**
+ * Get the name of a palette setting, for menus
+ * @param {string} setting - THEME_PALETTE or a key in COLOR_PALETTES
+ * @returns {string}
+ */
+function getPaletteSettingName(setting) {
+    return setting in COLOR_PALETTES ? COLOR_PALETTES[setting].name : 'Off';
+}
+
+/**
+ * Write a color as CSS hex (for text styles)
+ * @param {number} color
+ * @returns {string}
+ */
+function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEMES,
+        AUTO_THEME,
+        THEME_CHOICES,
+        COLOR_PALETTES,
+        THEME_PALETTE,
+        PALETTE_CHOICES,
+        THEME_REGISTRY_KEY,
+        resolveThemeId,
+        resolveTheme,
+        getThemeSettingName,
+        getPaletteSettingName,
+        toCssColor
+    };
+}
@@ -0,0 +1,70 @@
+/**
+ * Tile types - what each kind of solid tile does, and when the generator starts using it
+ * Random columns start plain green; harder ones mix in hazards as the difficulty level climbs
+ */
+
+// Tile rules by type
+// difficulty: first difficulty level the generator uses the type at (contribution data is always plain green)
+// crumbles: falls away shortly after the player lands on it
+// moves: sinks up to a row and rises back, over and over
+// isLethal: touching it ends the run (the player falls through it rather than standing on it)
+// hangs: part of an overhang - raised off its row, and solid all the way up past the top of the screen
+const TILE_TYPES = {
+    GREEN_OBSTACLE: { difficulty: 0, color: null },
+    FLAKY_TEST: { difficulty: 1, color: COLORS.FLAKY_TEST, crumbles: true },
+    OVERHANG: { difficulty: 1, color: COLORS.OVERHANG, hangs: true },
+    FORCE_PUSH: { difficulty: 2, color: COLORS.FORCE_PUSH, moves: true },
+    MERGE_CONFLICT: { difficulty: 3, color: COLORS.MERGE_CONFLICT, isLethal: true }
+};
+
+// Room under an overhang (px) - a sliding player fits, a standing one doesn't
+const OVERHANG_CLEARANCE = 9;
+
+// How far overhang tiles sit above their rows (px) to leave that room over the surface below
+const OVERHANG_RAISE = OVERHANG_CLEARANCE - GRID.GAP;
+
+// How long a flaky tile holds after it's landed on (ms) - long enough to run across a flat stretch of them
+// at any preset's speed, not long enough to stand still on one
+const FLAKY_CRUMBLE_MS = 200;
+
+// How far a force-push column sinks (px) and how long a full sink and rise takes (ms)
+// Kept slow enough that a standing player is snapped down with it rather than left in the air
+const FORCE_PUSH_DROP = GRID.TILE_FULL_SIZE;
+const FORCE_PUSH_PERIOD_MS = 2000;
+
+// Neighboring force-push columns are this many columns apart in the cycle, so a stretch of them moves in a wave
+const FORCE_PUSH_WAVE = 8;
+
+/**
+ * Create a solid tile
+ * @param {string} type - Key in TILE_TYPES
+ * @param {number} [level] - Contribution level (0 for generated tiles)
+ * @returns {{type: string, level: number}} Tile (its x and y are filled in by the Simulation)
+ */
+function createTile(type, level = 0) {
+    return { type, level };
+}
+
+/**
+ * How far a force-push column has sunk at a moment in the run
+ * @param {number} simTime - Simulation clock (ms)
+ * @param {number} columnId - Simulation column id (sets its place in the wave)
+ * @returns {number} 0 (resting) to FORCE_PUSH_DROP (px)
+ */
+function getForcePushDrop(simTime, columnId) {
+    const cycle = simTime / FORCE_PUSH_PERIOD_MS + columnId / FORCE_PUSH_WAVE;
+    return FORCE_PUSH_DROP * (1 - Math.cos(2 * Math.PI * cycle)) / 2;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TILE_TYPES,
+        OVERHANG_CLEARANCE,
+        OVERHANG_RAISE,
+        FLAKY_CRUMBLE_MS,
+        FORCE_PUSH_DROP,
+        FORCE_PUSH_PERIOD_MS,
+        createTile,
+        getForcePushDrop
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Viewport - fits the game to any screen, sharp at the screen's pixel density
+ * Every screen shows the same VIEW_WIDTH x VIEW_HEIGHT of the world (the same tiles ahead of the player), scaled up
+ * or down; scenes lay things out in view pixels and their cameras zoom them onto the canvas
+ */
+
+// Size of the game view (view pixels)
+const VIEW_WIDTH = 800;
+const VIEW_HEIGHT = 300;
+
+// The view's size and center, named like a camera's
+const VIEW = { width: VIEW_WIDTH, height: VIEW_HEIGHT, centerX: VIEW_WIDTH / 2, centerY: VIEW_HEIGHT / 2 };
+
+// Most the view is scaled up on big monitors (CSS pixels per view pixel)
+const MAX_VIEW_SCALE = 3;
+
+/**
+ * Work out where the view goes on a canvas - as large as fits, centered
+ * @param {number} width - Canvas width (pixels)
+ * @param {number} height - Canvas height (pixels)
+ * @returns {{zoom: number, x: number, y: number}} Canvas pixels per view pixel, and the view's top-left corner
+ */
+function fitView(width, height) {
+    const zoom = Math.min(width / VIEW_WIDTH, height / VIEW_HEIGHT);
+    return {
+        zoom,
+        x: Math.floor((width - VIEW_WIDTH * zoom) / 2),
+        y: Math.floor((height - VIEW_HEIGHT * zoom) / 2)
+    };
+}
+
+/**
+ * Size the canvas to the largest box of the view's shape that fits the window, with a canvas pixel for every
+ * device pixel (the canvas is drawn at 1 / devicePixelRatio zoom to come out at that CSS size)
+ * @param {Phaser.Game} game
+ */
+function fitCanvasToWindow(game) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const scale = Math.min(window.innerWidth / VIEW_WIDTH, window.innerHeight / VIEW_HEIGHT, MAX_VIEW_SCALE);
+    game.scale.setZoom(1 / pixelRatio);
+    game.scale.resize(
+        Math.round(Math.floor(VIEW_WIDTH * scale) * pixelRatio),
+        Math.round(Math.floor(VIEW_HEIGHT * scale) * pixelRatio)
+    );
+}
+
+/**
+ * Point a scene's camera at the view, and keep it there whenever the canvas is resized
+ * Text is rendered at the camera's zoom too, so it's as sharp as the shapes around it rather than scaled up
+ * @param {Phaser.Scene} scene
+ */
+function fitCameraToView(scene) {
+    const camera = scene.cameras.main;
+    const sharpen = gameObject => {
+        if (gameObject instanceof Phaser.GameObjects.Text && gameObject.style.resolution !== camera.zoom) {
+            gameObject.setResolution(camera.zoom);
+        }
+    };
+    const fit = () => {
+        const { zoom, x, y } = fitView(scene.scale.width, scene.scale.height);
+        camera.setViewport(x, y, Math.ceil(VIEW_WIDTH * zoom), Math.ceil(VIEW_HEIGHT * zoom));
+        camera.setZoom(zoom);
+        camera.centerOn(VIEW.centerX, VIEW.centerY);
+        scene.children.list.forEach(sharpen);
+    };
+    fit();
+    scene.scale.on(Phaser.Scale.Events.RESIZE, fit);
+    scene.events.on(Phaser.Scenes.Events.ADDED_TO_SCENE, sharpen);
+    scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+        scene.scale.off(Phaser.Scale.Events.RESIZE, fit);
+        scene.events.off(Phaser.Scenes.Events.ADDED_TO_SCENE, sharpen);
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VIEW_WIDTH, VIEW_HEIGHT, VIEW, MAX_VIEW_SCALE, fitView, fitCanvasToWindow, fitCameraToView };
+}
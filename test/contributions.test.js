@@ -0,0 +1,175 @@
+/**
+ * Contribution level tests - reading calendar JSON, CSV and git log exports, and turning the days into columns
+ * Run with: node --test
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'contributions'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A run of consecutive days
+ * @param {string} first - Date of the first day (YYYY-MM-DD)
+ * @param {Array<number>} counts - Contributions per day
+ * @returns {Array<{date: string, count: number}>}
+ */
+function createDays(first, counts) {
+    const start = Date.parse(`${first}T00:00:00Z`);
+    return counts.map((count, index) => ({ date: new Date(start + index * DAY_MS).toISOString().slice(0, 10), count }));
+}
+
+/**
+ * @param {Array<number>} column
+ * @returns {boolean} Whether a column has no tiles
+ */
+function isEmptyColumn(column) {
+    return column.every(level => level === 0);
+}
+
+test('calendar JSON is read from any of the shapes GitHub returns it in', () => {
+    const weeks = [
+        { contributionDays: [{ date: '2024-01-07', contributionCount: 3 }, { date: '2024-01-08', contributionCount: 0 }] },
+        { contributionDays: [{ date: '2024-01-14', contributionCount: 1 }] }
+    ];
+    const expected = [{ date: '2024-01-07', count: 3 }, { date: '2024-01-08', count: 0 }, { date: '2024-01-14', count: 1 }];
+
+    const calendar = { weeks };
+    [
+        calendar,
+        { contributionCalendar: calendar },
+        { contributionsCollection: { contributionCalendar: calendar } },
+        { user: { contributionsCollection: { contributionCalendar: calendar } } },
+        { data: { user: { contributionsCollection: { contributionCalendar: calendar } } } }
+    ].forEach(json => assert.deepStrictEqual(parseContributionCalendar(json), expected));
+});
+
+test('calendar JSON counts that are missing, negative or not numbers count as none', () => {
+    const days = parseContributionCalendar({ weeks: [
+        { contributionDays: [
+            { date: '2024-01-07', contributionCount: -4 },
+            { date: '2024-01-08', contributionCount: 'lots' },
+            { date: '2024-01-09' },
+            { date: '2024-01-10', contributionCount: '7' }
+        ] },
+        {}
+    ] });
+    assert.deepStrictEqual(days.map(day => day.count), [0, 0, 0, 7]);
+});
+
+test('JSON without a contribution calendar is turned down', () => {
+    [null, {}, { weeks: 'none' }, { data: { user: null } }, []].forEach(json => {
+        assert.throws(() => parseContributionCalendar(json), /No contribution calendar found/);
+    });
+});
+
+test('CSV rows are read in file order, skipping the header, blank lines and rows without a date', () => {
+    const text = [
+        'date,count',
+        '2024-01-08, 2',
+        '',
+        '2024-01-07,5\r',
+        'yesterday,9',
+        '2024-1-9,9',
+        '2024-01-10',
+        '2024-01-11,-3',
+        '2024-01-12,abc'
+    ].join('\n');
+    assert.deepStrictEqual(parseContributionCsv(text), [
+        { date: '2024-01-08', count: 2 },
+        { date: '2024-01-07', count: 5 },
+        { date: '2024-01-10', count: 0 },
+        { date: '2024-01-11', count: 0 },
+        { date: '2024-01-12', count: 0 }
+    ]);
+});
+
+test('CSV without a single dated row is turned down', () => {
+    ['', 'date,count', 'date,count\nsoon,4\n\n'].forEach(text => {
+        assert.throws(() => parseContributionCsv(text), /No "date,count" rows found/);
+    });
+});
+
+test('each week is a column, Sunday on the top row and Saturday on the bottom', () => {
+    // Sunday to Saturday with 1 to 7 contributions, then 8 on the next Sunday: levels split at 3, 5 and 7
+    const columns = buildContributionColumns(createDays('2024-01-07', [1, 2, 3, 4, 5, 6, 7, 8]));
+    assert.deepStrictEqual(columns, [
+        [3, 3, 2, 2, 1, 1, 1],
+        [0, 0, 0, 0, 0, 0, 4]
+    ]);
+    columns.forEach(column => assert.strictEqual(column.length, GRID.ROWS));
+});
+
+test('days are sorted, and a week starting midweek still starts on its Sunday', () => {
+    const days = createDays('2024-01-10', [4, 4]).reverse();
+    assert.deepStrictEqual(buildContributionColumns(days), [[0, 0, 1, 1, 0, 0, 0]]);
+});
+
+test('days missing from the data are empty, and invalid dates are dropped', () => {
+    const days = [
+        { date: '2024-01-07', count: 2 },
+        { date: 'not a date', count: 50 },
+        { date: '2024-01-22', count: 2 }
+    ];
+    assert.deepStrictEqual(buildContributionColumns(days), [
+        [0, 0, 0, 0, 0, 0, 1],
+        [0, 0, 0, 0, 0, 0, 0],
+        [0, 0, 0, 0, 0, 1, 0]
+    ]);
+    assert.throws(() => buildContributionColumns([{ date: 'never', count: 1 }]), /No dated contributions found/);
+    assert.throws(() => buildContributionColumns([]), /No dated contributions found/);
+});
+
+test('every third empty week in a row becomes a stepping stone on the bottom row', () => {
+    // A busy Sunday, seven empty weeks, then another busy Sunday
+    const columns = buildContributionColumns([{ date: '2024-01-07', count: 5 }, { date: '2024-03-03', count: 5 }]);
+    assert.strictEqual(columns.length, 9);
+    const stones = columns.map((column, index) => (column[0] === 1 && isEmptyColumn(column.slice(1)) ? index : -1))
+        .filter(index => index >= 0);
+    assert.deepStrictEqual(stones, [3, 6]);
+    [1, 2, 4, 5, 7].forEach(index => assert.ok(isEmptyColumn(columns[index]), `week ${index}`));
+});
+
+test('a git log export counts the commits on each day, ignoring lines without a date', () => {
+    const text = [
+        '2024-01-09',
+        '  2024-01-07 ',
+        'Merge branch main',
+        '',
+        '2024-01-09 12:30:00 +0100',
+        '20240110',
+        '2024-01-09\r'
+    ].join('\n');
+    assert.deepStrictEqual(parseGitLog(text), [{ date: '2024-01-09', count: 3 }, { date: '2024-01-07', count: 1 }]);
+});
+
+test('a git log export without a commit date is turned down', () => {
+    ['', '\n\n', 'commit 1a2b3c\nAuthor: someone'].forEach(text => {
+        assert.throws(() => parseGitLog(text), /No commit dates found/);
+    });
+});
+
+test('git log days between commits are empty weeks like any other gap', () => {
+    // Two commits on a Sunday, then one four Sundays later
+    const dates = ['2024-01-07', '2024-01-07', '2024-02-04'];
+    const columns = buildContributionColumns(parseGitLog(dates.join('\n')));
+    assert.strictEqual(columns.length, 5);
+    assert.strictEqual(columns[0][GRID.ROWS - 1], 2);
+    assert.deepStrictEqual(columns[3], [1, 0, 0, 0, 0, 0, 0]);
+    assert.strictEqual(columns[4][GRID.ROWS - 1], 1);
+});
+
+test('contribution text is read as JSON, a git log export or CSV from its content', () => {
+    const json = JSON.stringify({ weeks: [{ contributionDays: [{ date: '2024-01-07', contributionCount: 1 }] }] });
+    assert.deepStrictEqual(parseContributionText(`  ${json}\n`), [[0, 0, 0, 0, 0, 0, 1]]);
+    assert.deepStrictEqual(parseContributionText('date,count\n2024-01-13,1\n'), [[1, 0, 0, 0, 0, 0, 0]]);
+    // Bare dates are a git log export, one commit each - as CSV they'd be days without a count
+    assert.deepStrictEqual(parseContributionText('2024-01-13\n\n2024-01-13\n'), [[1, 0, 0, 0, 0, 0, 0]]);
+    assert.throws(() => parseContributionText('{ not json'), SyntaxError);
+});
@@ -0,0 +1,81 @@
+/**
+ * Daily Commit tests - the day's seed, the share text and the one scored attempt a day
+ * Run with: node --test
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'themes', 'accessibility', 'simulation', 'replay', 'audio', 'daily', 'achievements', 'leaderboard',
+    'profile'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+/**
+ * A profile store on an in-memory storage
+ * @returns {ProfileStore}
+ */
+function createStore() {
+    const items = new Map();
+    return new ProfileStore({
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    });
+}
+
+test('the daily seed follows the UTC date', () => {
+    const date = getDailyDate(new Date('2026-03-04T23:59:59Z'));
+    assert.strictEqual(date, '2026-03-04');
+    assert.strictEqual(getDailySeed(date), 'daily-2026-03-04');
+    assert.strictEqual(getDailyDate(new Date('2026-03-05T00:00:00Z')), '2026-03-05');
+});
+
+test('the share grid fills a day per DAILY_SHARE_CELL_COLUMNS travelled, down each week first', () => {
+    const empty = formatDailyGrid(DAILY_SHARE_CELL_COLUMNS - 1).split('\n');
+    assert.strictEqual(empty.length, GRID.ROWS);
+    empty.forEach(line => assert.strictEqual(line, '⬜'.repeat(DAILY_SHARE_WEEKS)));
+
+    // A full first week, and the first day of the second
+    const lines = formatDailyGrid((GRID.ROWS + 1) * DAILY_SHARE_CELL_COLUMNS).split('\n');
+    assert.strictEqual(lines[0], '🟩🟩' + '⬜'.repeat(DAILY_SHARE_WEEKS - 2));
+    lines.slice(1).forEach(line => assert.strictEqual(line, '🟩' + '⬜'.repeat(DAILY_SHARE_WEEKS - 1)));
+
+    // Past the end of the grid everything is filled
+    formatDailyGrid(1e6).split('\n').forEach(line => assert.strictEqual(line, '🟩'.repeat(DAILY_SHARE_WEEKS)));
+});
+
+test('the share text names the day, the score and the distance', () => {
+    const lines = formatDailyShare('2026-03-04', { score: 321, distance: 45 }).split('\n');
+    assert.strictEqual(lines[0], 'Commit Dash - Daily Commit 2026-03-04');
+    assert.strictEqual(lines[1], '321 points, 45 columns');
+    assert.strictEqual(lines.length, 2 + GRID.ROWS);
+});
+
+test('a day has one scored attempt, counted from when it starts', () => {
+    const store = createStore();
+    assert.strictEqual(store.finishDailyAttempt('2026-03-04', 50, 10), false, 'finished without starting');
+    assert.strictEqual(store.getDailyAttempt('2026-03-04'), null);
+
+    store.startDailyAttempt('2026-03-04');
+    assert.deepStrictEqual(store.getDailyAttempt('2026-03-04'), { score: 0, distance: 0, isFinished: false });
+    assert.strictEqual(store.finishDailyAttempt('2026-03-04', 50, 10), true);
+    assert.strictEqual(store.finishDailyAttempt('2026-03-04', 900, 200), false, 'finished twice');
+    assert.deepStrictEqual(store.getDailyAttempt('2026-03-04'), { score: 50, distance: 10, isFinished: true });
+});
+
+test('the daily history keeps the last DAILY_HISTORY_SIZE days, newest first', () => {
+    const store = createStore();
+    for (let day = 0; day < DAILY_HISTORY_SIZE + 5; day++) {
+        const date = getDailyDate(new Date(Date.UTC(2026, 0, 1 + day)));
+        store.startDailyAttempt(date);
+        store.finishDailyAttempt(date, day, day);
+    }
+
+    const history = store.getDailyHistory();
+    assert.strictEqual(history.length, DAILY_HISTORY_SIZE);
+    assert.strictEqual(history[0].date, getDailyDate(new Date(Date.UTC(2026, 0, DAILY_HISTORY_SIZE + 5))));
+    assert.strictEqual(history[history.length - 1].date, '2026-01-06');
+    assert.ok(history.every((entry, i) => i === 0 || entry.date < history[i - 1].date));
+});
@@ -0,0 +1,151 @@
+/**
+ * Leaderboard tests - which entries a server takes, and HttpLeaderboard's queue of runs waiting to reach it
+ * Run with: node --test
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'viewport', 'random', 'simulation', 'replay', 'leaderboard'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+/**
+ * A well-formed entry for a one-minute run on the default preset
+ * @param {Object} [fields] - Fields to change
+ * @returns {Object}
+ */
+function createEntry(fields = {}) {
+    return Object.assign({
+        name: 'Tester',
+        score: 1000,
+        seed: 'test-seed',
+        level: null,
+        preset: DEFAULT_PRESET,
+        steps: 3600,
+        replayHash: '0123abcd',
+        date: '2026-03-04T12:00:00.000Z'
+    }, fields);
+}
+
+/**
+ * A fetch stand-in answering from a list of responses, and recording what was posted
+ * @param {Array<Object|null>} answers - {status, body} per call (body a string to send something that isn't JSON),
+ *     or null for a server that can't be reached
+ * @returns {function(string, Object): Promise<Object>} With a `posted` list of the entries sent
+ */
+function createFetch(answers) {
+    const fetchFn = (url, init) => {
+        fetchFn.posted.push(JSON.parse(init.body));
+        const answer = answers.shift();
+        if (!answer) return Promise.reject(new TypeError('Failed to fetch'));
+        return Promise.resolve({
+            status: answer.status,
+            ok: answer.status >= 200 && answer.status < 300,
+            json: () => (typeof answer.body === 'string'
+                ? Promise.reject(new SyntaxError('Unexpected token'))
+                : Promise.resolve(answer.body))
+        });
+    };
+    fetchFn.posted = [];
+    return fetchFn;
+}
+
+test('a well-formed entry is taken, with its name tidied', () => {
+    const entry = validateLeaderboardEntry(createEntry({ name: '  Tester\u0007 with a very long name  ', extra: 1 }));
+    assert.strictEqual(entry.name, 'Tester with a ve');
+    assert.strictEqual(entry.score, 1000);
+    assert.strictEqual(entry.extra, undefined);
+});
+
+test('entries that are impossible or missing their proof are turned down', () => {
+    const steps = 3600;
+    const max = getMaxPlausibleScore(DEFAULT_PRESET, steps);
+    assert.ok(validateLeaderboardEntry(createEntry({ score: max, steps })));
+    assert.throws(() => validateLeaderboardEntry(createEntry({ score: max + 1, steps })), /impossible/);
+    assert.throws(() => validateLeaderboardEntry(createEntry({ replayHash: undefined })), /replay hash/);
+    assert.throws(() => validateLeaderboardEntry(createEntry({ replayHash: 'not-a-hash' })), /replay hash/);
+    assert.throws(() => validateLeaderboardEntry(createEntry({ preset: 'toString' })), /preset/);
+    assert.throws(() => validateLeaderboardEntry(createEntry({ score: 10.5 })), /malformed/);
+    assert.throws(() => validateLeaderboardEntry(null), /not an object/);
+});
+
+test('a blank or unprintable name is stored as DEFAULT_PLAYER_NAME', () => {
+    assert.strictEqual(validateLeaderboardEntry(createEntry({ name: '   ' })).name, DEFAULT_PLAYER_NAME);
+    assert.strictEqual(validateLeaderboardEntry(createEntry({ name: '\u0000\u001f' })).name, DEFAULT_PLAYER_NAME);
+    assert.strictEqual(validateLeaderboardEntry(createEntry({ name: undefined })).name, DEFAULT_PLAYER_NAME);
+});
+
+test('the most plausible score grows with the run and the preset\'s top speed', () => {
+    const minute = getMaxPlausibleScore(DEFAULT_PRESET, 3600);
+    assert.ok(getMaxPlausibleScore(DEFAULT_PRESET, 7200) > minute);
+    assert.ok(getMaxPlausibleScore('crunch', 3600) > getMaxPlausibleScore('chill', 3600));
+    // Even a one-step run may have pulled in a screen of dots
+    assert.ok(getMaxPlausibleScore(DEFAULT_PRESET, 1) > 0);
+});
+
+test('runs sent while the server is unreachable are queued and sent in order once it is back', async () => {
+    const fetchFn = createFetch([null]);
+    const leaderboard = new HttpLeaderboard('http://localhost:8787/', null, fetchFn);
+    const first = createEntry({ replayHash: '00000001' });
+    const second = createEntry({ replayHash: '00000002' });
+
+    assert.deepStrictEqual(await leaderboard.submit(first), { status: 'queued' });
+    assert.strictEqual(leaderboard.getQueuedCount(), 1);
+
+    fetchFn.posted.length = 0;
+    assert.deepStrictEqual(await leaderboard.submit(second), { status: 'queued' });
+    assert.strictEqual(leaderboard.getQueuedCount(), 2);
+    assert.deepStrictEqual(fetchFn.posted.map(entry => entry.replayHash), ['00000001']);
+
+    const online = createFetch([{ status: 201, body: { rank: 2 } }, { status: 201, body: { rank: 1 } }]);
+    leaderboard.fetch = online;
+    const results = await leaderboard.flush();
+    assert.deepStrictEqual(online.posted.map(entry => entry.replayHash), ['00000001', '00000002']);
+    assert.deepStrictEqual(results.get(first), { status: 'accepted', rank: 2 });
+    assert.deepStrictEqual(results.get(second), { status: 'accepted', rank: 1 });
+    assert.strictEqual(leaderboard.getQueuedCount(), 0);
+});
+
+test('a server error keeps the run queued, and one the server turns down is dropped', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const fetchFn = createFetch([{ status: 503, body: {} }, { status: 400, body: { error: 'Nope' } }]);
+    const leaderboard = new HttpLeaderboard('http://localhost:8787', null, fetchFn);
+    const entry = createEntry();
+
+    assert.deepStrictEqual(await leaderboard.submit(entry), { status: 'queued' });
+    assert.strictEqual(leaderboard.getQueuedCount(), 1);
+    const results = await leaderboard.flush();
+    assert.deepStrictEqual(results.get(entry), { status: 'rejected', error: 'Nope' });
+    assert.strictEqual(leaderboard.getQueuedCount(), 0);
+});
+
+test('an answer that is not JSON still settles the run', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const fetchFn = createFetch([{ status: 413, body: 'Too large' }, { status: 200, body: 'OK' }]);
+    const leaderboard = new HttpLeaderboard('http://localhost:8787', null, fetchFn);
+
+    assert.deepStrictEqual(await leaderboard.submit(createEntry({ replayHash: '00000001' })),
+        { status: 'rejected', error: undefined });
+    assert.deepStrictEqual(await leaderboard.submit(createEntry({ replayHash: '00000002' })),
+        { status: 'accepted', rank: undefined });
+    assert.strictEqual(leaderboard.getQueuedCount(), 0);
+});
+
+test('the queue is kept in storage between page loads', async () => {
+    const items = new Map();
+    const storage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+    await new HttpLeaderboard('http://localhost:8787', storage, createFetch([null])).submit(createEntry());
+
+    const fetchFn = createFetch([{ status: 201, body: { rank: 1 } }]);
+    const reloaded = new HttpLeaderboard('http://localhost:8787', storage, fetchFn);
+    assert.strictEqual(reloaded.getQueuedCount(), 1);
+    await reloaded.flush();
+    assert.strictEqual(fetchFn.posted.length, 1);
+    assert.strictEqual(reloaded.getQueuedCount(), 0);
+});
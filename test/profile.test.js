@@ -0,0 +1,102 @@
+/**
+ * Profile tests - imported and stored profiles are cleaned up before the game uses them
+ * Run with: node --test
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { test } = require('node:test');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'themes', 'accessibility', 'simulation', 'replay', 'audio', 'daily', 'achievements', 'leaderboard',
+    'profile'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+/**
+ * Import settings into an otherwise empty current-version profile
+ * @param {Object} settings
+ * @returns {Object} The cleaned settings
+ */
+function importSettings(settings) {
+    return migrateProfile({ version: PROFILE_VERSION, settings }).settings;
+}
+
+test('only known settings are imported', () => {
+    const settings = importSettings(JSON.parse('{"sfxVolume": 30, "debugMode": true, "__proto__": {"muted": true}}'));
+    assert.strictEqual(settings.sfxVolume, 30);
+    assert.strictEqual(settings.muted, false);
+    assert.ok(!Object.prototype.hasOwnProperty.call(settings, 'debugMode'));
+    assert.ok(!Object.prototype.hasOwnProperty.call(settings, '__proto__'));
+    assert.deepStrictEqual(Object.keys(settings).sort(), Object.keys(createProfile().settings).sort());
+});
+
+test('imported settings of the wrong type fall back to their defaults', () => {
+    const defaults = createProfile().settings;
+    const settings = importSettings({
+        showGhost: 'yes',
+        muted: 1,
+        largeHud: true,
+        jumpKeys: ['W', { key: 'SPACE' }],
+        playerName: ['octocat']
+    });
+    assert.strictEqual(settings.showGhost, defaults.showGhost);
+    assert.strictEqual(settings.muted, defaults.muted);
+    assert.strictEqual(settings.largeHud, true);
+    assert.deepStrictEqual(settings.jumpKeys, defaults.jumpKeys);
+    assert.strictEqual(settings.playerName, defaults.playerName);
+
+    assert.deepStrictEqual(importSettings({ jumpKeys: ['W', null, 'ENTER'] }).jumpKeys, ['W', null, 'ENTER']);
+});
+
+test('imported volumes are kept from 0 to 100', () => {
+    const defaults = createProfile().settings;
+    const settings = importSettings(JSON.parse('{"masterVolume": 250, "musicVolume": -5, "sfxVolume": 1e999}'));
+    assert.strictEqual(settings.masterVolume, 100);
+    assert.strictEqual(settings.musicVolume, 0);
+    assert.strictEqual(settings.sfxVolume, defaults.sfxVolume);
+});
+
+test('a volume that is not a number silences its channel instead of throwing', () => {
+    // Audio params, like Web Audio's, refuse values that aren't finite numbers
+    const createGain = () => {
+        let value = 1;
+        return {
+            connect: () => {},
+            gain: {
+                get value() { return value; },
+                set value(next) {
+                    if (!Number.isFinite(next)) throw new TypeError('The provided float value is non-finite');
+                    value = next;
+                }
+            }
+        };
+    };
+    const context = { destination: {}, sampleRate: 8000, createGain, createBuffer: () => ({ getChannelData: () => [] }) };
+    const audio = new SynthAudio(context, { masterVolume: NaN, musicVolume: undefined, sfxVolume: 150, muted: false });
+    assert.strictEqual(audio.master.gain.value, 0);
+    assert.strictEqual(audio.music.gain.value, 0);
+    assert.strictEqual(audio.sfx.gain.value, 1);
+});
+
+test('names every object has are not difficulty presets', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(id => {
+        assert.strictEqual(isPresetId(id), false, id);
+        assert.strictEqual(getPreset(id), DIFFICULTY_PRESETS[DEFAULT_PRESET], id);
+        assert.throws(() => parseReplay(JSON.stringify({
+            version: REPLAY_VERSION, seed: 'abc', preset: id, timestep: FIXED_TIMESTEP_MS, events: []
+        })), /unknown difficulty preset/, id);
+        assert.throws(() => validateLeaderboardEntry({
+            name: 'octocat', preset: id, seed: 'abc', replayHash: '0123abcd', score: 10, steps: 600
+        }), /unknown difficulty preset/, id);
+
+        const profile = migrateProfile({
+            version: PROFILE_VERSION,
+            leaderboard: [{ score: 10, seed: 'abc', preset: id, distance: 5, date: '2026-01-01' }],
+            settings: { preset: id }
+        });
+        assert.strictEqual(profile.leaderboard.length, 0, id);
+        assert.strictEqual(profile.settings.preset, DEFAULT_PRESET, id);
+    });
+    Object.keys(DIFFICULTY_PRESETS).forEach(id => assert.ok(isPresetId(id), id));
+});
@@ -0,0 +1,317 @@
+/**
+ * Game rule tests - the jump state machine, the column generator's gap rule and deterministic replays
+ * Run with: node --test
+ */
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'random', 'contributions', 'tiles', 'column-generator', 'collision', 'jump-controller',
+    'power-ups/power-ups', 'power-ups/rebase-shield', 'power-ups/freeze-ci', 'power-ups/magnet', 'power-ups/caffeine',
+    'simulation', 'guard-tables', 'planner', 'replay', 'benchmark-run'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+const STEP_SECONDS = FIXED_TIMESTEP_MS / 1000;
+
+/**
+ * A player body in the air, last on the ground long ago
+ * @param {number} vy - Vertical velocity (negative is up)
+ * @returns {Object}
+ */
+function createAirborneBody(vy) {
+    const body = createPlayerBody(GAME_CONFIG.PLAYER_START_X, 100);
+    body.isGrounded = false;
+    body.vy = vy;
+    return body;
+}
+
+/**
+ * Jump key state for one step
+ * @param {string|null} event - 'down', 'up' or null
+ * @param {boolean} isDown - Whether the key is held
+ * @returns {Object}
+ */
+function createInput(event, isDown) {
+    return { isDown, justDown: event === 'down', justUp: event === 'up', isSlideDown: false };
+}
+
+/**
+ * Hold jump on the ground with full charge, then let go
+ * @param {number} holdSteps - Steps the key is held for after the charge jump starts
+ * @returns {{event: Object, body: Object}} The launch event and the body after it
+ */
+function chargeJump(holdSteps) {
+    const jump = new JumpController();
+    const body = createPlayerBody(GAME_CONFIG.PLAYER_START_X, 100);
+    body.isGrounded = true;
+    let time = 0;
+    const tick = (event, isDown) => {
+        time += FIXED_TIMESTEP_MS;
+        jump.touchGround(time);
+        return jump.update(createInput(event, isDown), body, time, STEP_SECONDS);
+    };
+
+    tick('down', true);
+    let event = null;
+    while (!event) {
+        event = tick(null, true);
+    }
+    assert.strictEqual(event.type, 'chargeStart');
+    for (let i = 0; i < holdSteps; i++) {
+        tick(null, true);
+    }
+    return { event: tick('up', false), body };
+}
+
+/**
+ * Steps a run takes to first land, pressing nothing
+ * @param {string} seed
+ * @returns {number}
+ */
+function findLandingStep(seed) {
+    const sim = new Simulation({ seed });
+    while (!sim.step(null).some(event => event.type === 'land')) {
+        assert.ok(!sim.isGameOver && sim.simStep < 600, 'the player never landed');
+    }
+    return sim.simStep;
+}
+
+/**
+ * Length of the longest stretch of empty columns
+ * @param {Array<number>} heights - Column surface heights
+ * @returns {number}
+ */
+function getLongestGap(heights) {
+    let longest = 0;
+    let gap = 0;
+    heights.forEach(height => {
+        gap = height === 0 ? gap + 1 : 0;
+        longest = Math.max(longest, gap);
+    });
+    return longest;
+}
+
+test('a press inside the jump buffer window before landing still jumps', () => {
+    const jump = new JumpController();
+    jump.jumpCharge = GAME_CONFIG.JUMP_CHARGE_COST; // Below full, so ground jumps go off on the press
+    const body = createAirborneBody(100);
+
+    assert.strictEqual(jump.update(createInput('down', true), body, 1000, STEP_SECONDS), null);
+    body.isGrounded = true;
+    jump.touchGround(1000 + JUMP_BUFFER_WINDOW - 10);
+    const event = jump.update(createInput(null, true), body, 1000 + JUMP_BUFFER_WINDOW - 10, STEP_SECONDS);
+    assert.deepStrictEqual(event, { type: 'jump' });
+    assert.strictEqual(body.vy, GAME_CONFIG.JUMP_VELOCITY);
+});
+
+test('a press older than the jump buffer window is forgotten', () => {
+    const jump = new JumpController();
+    jump.jumpCharge = GAME_CONFIG.JUMP_CHARGE_COST;
+    const body = createAirborneBody(100);
+
+    jump.update(createInput('down', true), body, 1000, STEP_SECONDS);
+    body.isGrounded = true;
+    jump.touchGround(1000 + JUMP_BUFFER_WINDOW + 10);
+    assert.strictEqual(jump.update(createInput(null, true), body, 1000 + JUMP_BUFFER_WINDOW + 10, STEP_SECONDS), null);
+});
+
+test('a buffered press jumps on the landing step of a run', () => {
+    const seed = 'buffer';
+    const landingStep = findLandingStep(seed);
+    const sim = new Simulation({ seed });
+    sim.jump.jumpCharge = GAME_CONFIG.JUMP_CHARGE_COST;
+
+    const pressStep = landingStep - Math.floor(JUMP_BUFFER_WINDOW / FIXED_TIMESTEP_MS) + 1;
+    let jumpStep = null;
+    while (sim.simStep < landingStep) {
+        const next = sim.simStep + 1;
+        const input = next === pressStep ? 'down' : (next === pressStep + 1 ? 'up' : null);
+        if (sim.step(input).some(event => event.type === 'jump')) {
+            jumpStep = sim.simStep;
+        }
+    }
+    assert.strictEqual(jumpStep, landingStep);
+    assert.strictEqual(sim.stats.jumps, 1);
+});
+
+test('a jump inside coyote time after leaving a ledge counts as a ground jump', () => {
+    const jump = new JumpController();
+    jump.jumpCharge = GAME_CONFIG.JUMP_CHARGE_COST;
+    jump.touchGround(1000);
+    const body = createAirborneBody(100);
+
+    const event = jump.update(createInput('down', true), body, 1000 + COYOTE_TIME - 10, STEP_SECONDS);
+    assert.deepStrictEqual(event, { type: 'jump' });
+    assert.strictEqual(jump.jumpCharge, GAME_CONFIG.JUMP_CHARGE_COST); // Ground jumps are free
+});
+
+test('a press after coyote time while falling does nothing', () => {
+    const jump = new JumpController();
+    jump.touchGround(1000);
+    const body = createAirborneBody(100);
+
+    assert.strictEqual(jump.update(createInput('down', true), body, 1000 + COYOTE_TIME + 10, STEP_SECONDS), null);
+    assert.strictEqual(jump.jumpCharge, GAME_CONFIG.JUMP_CHARGE_MAX);
+});
+
+test('a double jump costs JUMP_CHARGE_COST and only works while rising', () => {
+    const jump = new JumpController();
+    const rising = createAirborneBody(-200);
+
+    assert.deepStrictEqual(jump.update(createInput('down', true), rising, 1000, STEP_SECONDS), { type: 'doubleJump' });
+    assert.strictEqual(jump.jumpCharge, GAME_CONFIG.JUMP_CHARGE_MAX - GAME_CONFIG.JUMP_CHARGE_COST);
+    assert.strictEqual(rising.vy, GAME_CONFIG.JUMP_VELOCITY);
+
+    const falling = createAirborneBody(200);
+    assert.strictEqual(jump.update(createInput('down', true), falling, 1100, STEP_SECONDS), null);
+    assert.strictEqual(jump.jumpCharge, GAME_CONFIG.JUMP_CHARGE_MAX - GAME_CONFIG.JUMP_CHARGE_COST);
+});
+
+test('a double jump needs JUMP_CHARGE_COST of charge', () => {
+    const jump = new JumpController();
+    jump.jumpCharge = GAME_CONFIG.JUMP_CHARGE_COST - 1;
+    assert.strictEqual(jump.update(createInput('down', true), createAirborneBody(-200), 1000, STEP_SECONDS), null);
+});
+
+test("the charge jump's launch velocity scales with hold time", () => {
+    const short = chargeJump(10);
+    const long = chargeJump(60);
+    const full = chargeJump(Math.ceil(GAME_CONFIG.CHARGE_JUMP_MAX_TIME / STEP_SECONDS) + 10);
+
+    [short, long, full].forEach(({ event, body }) => {
+        assert.strictEqual(event.type, 'chargeJumpLaunch');
+        const expected = GAME_CONFIG.CHARGE_JUMP_MIN_VELOCITY +
+            (GAME_CONFIG.CHARGE_JUMP_MAX_VELOCITY - GAME_CONFIG.CHARGE_JUMP_MIN_VELOCITY) * event.chargeRatio;
+        assert.ok(Math.abs(body.vy - expected) < 1e-9);
+    });
+    assert.ok(short.event.chargeRatio < long.event.chargeRatio);
+    assert.ok(long.body.vy < short.body.vy); // Negative is up
+    assert.strictEqual(full.event.chargeRatio, 1);
+    assert.strictEqual(full.body.vy, GAME_CONFIG.CHARGE_JUMP_MAX_VELOCITY);
+});
+
+test('ColumnGenerator.next never makes more than MAX_EMPTY_COLUMNS empty columns in a row', () => {
+    Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+        const config = DIFFICULTY_PRESETS[preset].config;
+        for (let seed = 0; seed < 10; seed++) {
+            [null, SolvabilityGuard.forConfig(config)].forEach(guard => {
+                const generator = new ColumnGenerator(new SeededRandom(`gaps${seed}`), null, guard, config);
+                const heights = [];
+                for (let i = 0; i < 500; i++) {
+                    heights.push(getColumnHeight(generator.next(i * 10)));
+                }
+                assert.ok(getLongestGap(heights) <= MAX_EMPTY_COLUMNS, `seed gaps${seed} on ${preset}`);
+            });
+        }
+    });
+});
+
+test('buildContributionColumns never makes more than 2 empty columns in a row', () => {
+    // A busy week, then two quiet months, then another busy week
+    const days = [];
+    const start = Date.parse('2024-01-07T00:00:00Z');
+    for (let day = 0; day < 77; day++) {
+        const quiet = day >= 7 && day < 70;
+        days.push({ date: new Date(start + day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10), count: quiet ? 0 : 5 });
+    }
+
+    const columns = buildContributionColumns(days);
+    assert.strictEqual(columns.length, 11);
+    assert.ok(getLongestGap(columns.map(column => (column.every(level => level === 0) ? 0 : 1))) <= 2);
+});
+
+test('a recorded autopilot run replays to the same score in a fresh process', () => {
+    const preset = 'crunch';
+    const seed = 'replay-test';
+    const sim = new Simulation({ seed, config: DIFFICULTY_PRESETS[preset].config });
+    const recorder = new RunRecorder(seed, null, preset);
+    const autopilot = new Autopilot();
+
+    // The autopilot plays for a while, then lets go and the run soon ends
+    while (!sim.isGameOver) {
+        let input = null;
+        if (sim.simStep < 600) {
+            input = autopilot.nextInput(sim);
+        } else if (sim.input.isDown) {
+            input = 'up';
+        } else if (sim.input.isSlideDown) {
+            input = 'slideUp';
+        }
+        if (input) recorder.record(sim.simStep + 1, input);
+        sim.step(input);
+        assert.ok(sim.simStep < 60 * 60, 'the run never ended');
+    }
+    const replay = recorder.finish(Math.floor(sim.score), sim.simStep);
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'commit-dash-')), 'replay.json');
+    fs.writeFileSync(file, JSON.stringify(replay));
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'tools', 'simulate.js'), '--replay', file]);
+    const result = JSON.parse(output);
+    assert.strictEqual(result.score, replay.score);
+    assert.strictEqual(result.steps, replay.steps);
+    assert.strictEqual(result.verified, true);
+});
+
+test('the autopilot presses the same buttons when its replans are spread over the steps before them', () => {
+    const inputs = [];
+    [false, true].forEach(spreads => {
+        const sim = new Simulation({ seed: 'spread', config: DIFFICULTY_PRESETS.crunch.config });
+        const autopilot = new Autopilot();
+        if (!spreads) {
+            // Never anything prepared ahead - every replan is worked out on its step
+            autopilot.startReplan = run => autopilot.createReplan(run, run.clone());
+        }
+        const pressed = [];
+        while (!sim.isGameOver && sim.simStep < 900) {
+            const input = autopilot.nextInput(sim);
+            if (input) pressed.push(`${sim.simStep + 1} ${input}`);
+            sim.step(input);
+        }
+        inputs.push(pressed);
+    });
+    assert.ok(inputs[0].length > 0);
+    assert.deepStrictEqual(inputs[1], inputs[0]);
+});
+
+test("the guard tables match the guard's own search", () => {
+    const random = new SeededRandom('guard-tables');
+    Object.keys(DIFFICULTY_PRESETS).forEach(preset => {
+        const config = DIFFICULTY_PRESETS[preset].config;
+        const tabled = SolvabilityGuard.forConfig(config);
+        const searching = new SolvabilityGuard(config);
+        const speeds = Object.keys(GUARD_TABLES[preset]).map(Number);
+        assert.ok(tabled.table, `no table for ${preset}`);
+
+        // A sample of moves - every one is too slow to search here (see tools/build-guard-table.js)
+        for (let i = 0; i < 40; i++) {
+            const move = [
+                random.between(1, GRID.ROWS),
+                random.between(-1, GUARD_MAX_RUN_UP),
+                random.between(0, GUARD_TABLE_MAX_GAP),
+                random.between(1, GRID.ROWS),
+                random.pick([0, config.JUMP_CHARGE_COST, config.JUMP_CHARGE_MAX]),
+                random.pick(speeds)
+            ];
+            assert.deepStrictEqual(tabled.lookUp(...move), searching.check(...move), `${preset} ${move}`);
+        }
+    });
+});
+
+test('the benchmark recording plays its level to the end', () => {
+    // A REPLAY_VERSION bump means the level changed - rebuild it with tools/build-benchmark-run.js
+    assert.strictEqual(BENCHMARK_REPLAY.version, REPLAY_VERSION);
+
+    const sim = new Simulation({ seed: BENCHMARK_REPLAY.seed, config: getPreset(BENCHMARK_REPLAY.preset).config });
+    const player = new ReplayPlayer(BENCHMARK_REPLAY);
+    while (!sim.isGameOver && sim.simStep < BENCHMARK_REPLAY.steps) {
+        sim.step(player.takeEvent(sim.simStep + 1));
+    }
+    assert.strictEqual(sim.simStep, BENCHMARK_REPLAY.steps);
+    assert.strictEqual(Math.floor(sim.score), BENCHMARK_REPLAY.score);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Benchmark run builder - records the autopilot playing the benchmark seed, and writes the replay to
+ * src/benchmark-run.js for the benchmark to play back (so it measures the game, not the autopilot)
+ *
+ * Usage:
+ *   node tools/build-benchmark-run.js
+ *
+ * Run it again whenever REPLAY_VERSION changes - the old recording no longer plays the same level.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'random', 'contributions', 'tiles', 'column-generator', 'collision', 'jump-controller',
+    'power-ups/power-ups', 'power-ups/rebase-shield', 'power-ups/freeze-ci', 'power-ups/magnet', 'power-ups/caffeine',
+    'simulation', 'guard-tables', 'planner', 'replay'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'benchmark-run.js');
+
+// Seed the benchmark plays (on the default preset, without a contribution level)
+const BENCHMARK_SEED = 'benchmark';
+
+// Length of the recording: 45 seconds of game time, well past a benchmark's 30
+const BENCHMARK_RUN_STEPS = 60 * 45;
+
+// Replay events per line of the output file
+const EVENTS_PER_LINE = 3;
+
+function main() {
+    const sim = new Simulation({ seed: BENCHMARK_SEED, config: getPreset(DEFAULT_PRESET).config });
+    const recorder = new RunRecorder(BENCHMARK_SEED, null, DEFAULT_PRESET);
+    const autopilot = new Autopilot();
+
+    while (!sim.isGameOver && sim.simStep < BENCHMARK_RUN_STEPS) {
+        const input = autopilot.nextInput(sim);
+        if (input) recorder.record(sim.simStep + 1, input);
+        sim.step(input);
+    }
+    if (sim.isGameOver) {
+        throw new Error(`The autopilot lost the benchmark seed after ${sim.simStep} steps - pick another seed`);
+    }
+    const replay = recorder.finish(Math.floor(sim.score), sim.simStep);
+
+    const events = [];
+    for (let i = 0; i < replay.events.length; i += EVENTS_PER_LINE) {
+        events.push('        ' + replay.events.slice(i, i + EVENTS_PER_LINE)
+            .map(({ step, type }) => `{ step: ${step}, type: '${type}' }`).join(', '));
+    }
+
+    const lines = [
+        '/**',
+        ' * Benchmark run - the autopilot playing the benchmark seed, recorded for the benchmark to play back',
+        ' * Generated by tools/build-benchmark-run.js - don\'t edit by hand',
+        ' */',
+        '',
+        'const BENCHMARK_REPLAY = {',
+        `    version: ${replay.version},`,
+        `    seed: '${replay.seed}',`,
+        '    level: null,',
+        `    preset: '${replay.preset}',`,
+        '    timestep: FIXED_TIMESTEP_MS,',
+        '    events: [',
+        events.join(',\n'),
+        '    ],',
+        '    trace: [],',
+        `    steps: ${replay.steps},`,
+        `    score: ${replay.score}`,
+        '};',
+        '',
+        'if (typeof module !== \'undefined\' && module.exports) {',
+        '    module.exports = {',
+        '        BENCHMARK_REPLAY',
+        '    };',
+        '}',
+        ''
+    ];
+    fs.writeFileSync(OUTPUT_FILE, lines.join('\n'));
+    const file = path.relative(process.cwd(), OUTPUT_FILE);
+    console.log(`Wrote ${file} (${replay.events.length} events, score ${replay.score})`);
+}
+
+main();
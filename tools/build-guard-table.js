@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Guard table builder - works out the solvability guard's answer to every move the difficulty presets can throw
+ * at it, and writes them to src/guard-tables.js so runs don't have to search for them
+ *
+ * Usage:
+ *   node tools/build-guard-table.js
+ *
+ * Takes a few minutes. Run it again after changing the player's physics, a preset's config or the guard's plans.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here (see tools/simulate.js)
+[
+    'config', 'random', 'contributions', 'tiles', 'column-generator', 'collision', 'jump-controller',
+    'power-ups/power-ups', 'power-ups/rebase-shield', 'power-ups/freeze-ci', 'power-ups/magnet', 'power-ups/caffeine',
+    'simulation', 'planner'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'guard-tables.js');
+
+// Table characters per line of the output file
+const LINE_LENGTH = 100;
+
+/**
+ * Code of a guard result in GUARD_RESULTS
+ * @param {Object} result
+ * @returns {number}
+ */
+function getResultCode(result) {
+    const code = GUARD_RESULTS.findIndex(known => known.survivable === result.survivable &&
+        known.doubleJumps === result.doubleJumps && known.chargeJump === result.chargeJump);
+    if (code < 0) {
+        throw new Error(`A guard result the tables can't hold: ${JSON.stringify(result)}`);
+    }
+    return code;
+}
+
+/**
+ * Work out one table row: every move at one scroll speed step
+ * @param {SolvabilityGuard} guard - A guard without a table
+ * @param {number} speed
+ * @returns {string}
+ */
+function buildRow(guard, speed) {
+    const config = guard.config;
+    const charges = [0, config.JUMP_CHARGE_COST, config.JUMP_CHARGE_MAX];
+    const row = [];
+    for (let from = 1; from <= GRID.ROWS; from++) {
+        for (let runUp = -1; runUp <= GUARD_MAX_RUN_UP; runUp++) {
+            for (let gap = 0; gap <= GUARD_TABLE_MAX_GAP; gap++) {
+                for (let to = 1; to <= GRID.ROWS; to++) {
+                    const codes = charges.reduce((sum, charge, index) => sum +
+                        getResultCode(guard.check(from, runUp, gap, to, charge, speed)) *
+                        Math.pow(GUARD_RESULTS.length, index), 0);
+                    row[getGuardTableIndex(from, runUp, gap, to)] = GUARD_TABLE_DIGITS[codes];
+                }
+            }
+        }
+    }
+    return row.join('');
+}
+
+function main() {
+    const lines = [
+        '/**',
+        ' * Solvability guard tables - the guard\'s answers for each difficulty preset, by scroll speed step',
+        ' * (see SolvabilityGuard.lookUp)',
+        ' * Generated by tools/build-guard-table.js - don\'t edit by hand',
+        ' */',
+        '',
+        'const GUARD_TABLES = {'
+    ];
+
+    const presets = Object.keys(DIFFICULTY_PRESETS);
+    presets.forEach((preset, presetIndex) => {
+        const config = DIFFICULTY_PRESETS[preset].config;
+        const guard = new SolvabilityGuard(config);
+        const first = Math.floor(config.SCROLL_SPEED / GUARD_SPEED_STEP) * GUARD_SPEED_STEP;
+        const last = Math.floor(config.SCROLL_SPEED_MAX / GUARD_SPEED_STEP) * GUARD_SPEED_STEP;
+
+        lines.push(`    ${preset}: {`);
+        for (let speed = first; speed <= last; speed += GUARD_SPEED_STEP) {
+            const row = buildRow(guard, speed);
+            const chunks = [];
+            for (let i = 0; i < row.length; i += LINE_LENGTH) {
+                chunks.push(`            '${row.slice(i, i + LINE_LENGTH)}'`);
+            }
+            lines.push(`        ${speed}: [`, chunks.join(',\n'), `        ].join('')${speed < last ? ',' : ''}`);
+            console.log(`${preset} at ${speed}px/s done`);
+        }
+        lines.push(`    }${presetIndex < presets.length - 1 ? ',' : ''}`);
+    });
+
+    lines.push(
+        '};',
+        '',
+        'if (typeof module !== \'undefined\' && module.exports) {',
+        '    module.exports = {',
+        '        GUARD_TABLES',
+        '    };',
+        '}',
+        ''
+    );
+    fs.writeFileSync(OUTPUT_FILE, lines.join('\n'));
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
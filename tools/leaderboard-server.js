@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Reference leaderboard server - the other end of HttpLeaderboard, keeping scores in a JSON file
+ *
+ * Usage:
+ *   node tools/leaderboard-server.js [--port <port>] [--file <scores.json>]
+ *
+ * Then play with index.html?leaderboard=http://localhost:8787
+ *
+ *   POST /scores                                       - submit an entry (400 if it's malformed or impossible,
+ *                                                        413 if it's over MAX_BODY_SIZE)
+ *   GET  /scores?preset=<id>[&seed=<seed>][&count=<n>] - the best entries, best first
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here
+[
+    'config', 'viewport', 'random', 'simulation', 'replay', 'leaderboard'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FILE = path.join(__dirname, 'leaderboard.json');
+
+// Largest request body accepted (bytes)
+const MAX_BODY_SIZE = 4096;
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[argv[i].slice(2)] = argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Read the stored entries
+ * @param {string} file
+ * @returns {Array<Object>} Best first
+ */
+function loadEntries(file) {
+    if (!fs.existsSync(file)) return [];
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+        throw new Error(`${file} is not a list of leaderboard entries`);
+    }
+    return entries;
+}
+
+/**
+ * Write the entries, replacing the file in one go so a crash never leaves half of it
+ * @param {string} file
+ * @param {Array<Object>} entries
+ */
+function saveEntries(file, entries) {
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(entries, null, 2));
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Answer with JSON, open to pages on any origin (the game is often served from a file or another port)
+ * @param {http.ServerResponse} response
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a request's JSON body
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<*>} Rejects with an error whose status is 413 if the body is over MAX_BODY_SIZE
+ * (the rest of it is then thrown away unread), or 400 if it isn't JSON
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                request.removeAllListeners('data').removeAllListeners('end');
+                request.resume();
+                reject(createHttpError(413, 'Request is too large'));
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(createHttpError(400, 'Request is not JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * @param {number} status - HTTP status to answer with
+ * @param {string} message
+ * @returns {Error}
+ */
+function createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Create the server
+ * @param {string} file - Where entries are kept
+ * @returns {http.Server}
+ */
+function createServer(file) {
+    const entries = loadEntries(file);
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== '/scores') {
+            sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (request.method === 'OPTIONS') {
+            sendJson(response, 204);
+        } else if (request.method === 'GET') {
+            const preset = url.searchParams.get('preset') || DEFAULT_PRESET;
+            if (!isPresetId(preset)) {
+                sendJson(response, 400, { error: `Unknown preset: ${preset}` });
+                return;
+            }
+            const scores = selectTopEntries(entries, {
+                preset,
+                seed: url.searchParams.get('seed'),
+                count: parseInt(url.searchParams.get('count'), 10) || 10
+            });
+            sendJson(response, 200, { scores });
+        } else if (request.method === 'POST') {
+            readJsonBody(request)
+                .then(validateLeaderboardEntry)
+                .then(entry => {
+                    const rank = addLeaderboardEntry(entries, entry);
+                    saveEntries(file, entries);
+                    sendJson(response, 201, { rank });
+                }, error => {
+                    if (error.status === 413) {
+                        // Don't wait around for the rest of an oversized body
+                        response.setHeader('Connection', 'close');
+                    }
+                    sendJson(response, error.status || 400, { error: error.message });
+                })
+                .catch(error => {
+                    console.error('Could not save scores', error);
+                    sendJson(response, 500, { error: 'Could not save the score' });
+                });
+        } else {
+            sendJson(response, 405, { error: 'Method not allowed' });
+        }
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port, 10) || DEFAULT_PORT;
+    const file = args.file ? path.resolve(args.file) : DEFAULT_FILE;
+
+    createServer(file).listen(port, () => {
+        console.log(`Leaderboard server on http://localhost:${port}, keeping scores in ${file}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createServer };
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Headless simulator - steps Commit Dash's game rules from Node, without a browser or canvas
+ *
+ * Usage:
+ *   node tools/simulate.js [--seed <seed>] [--preset <chill|normal|crunch>] [--level <contributions file>]
+ *                          [--jump-every <steps> | --autopilot] [--max-steps <n>]
+ *   node tools/simulate.js --replay <replay.json>
+ *
+ * Without a replay the runner taps jump every --jump-every steps (never, by default), or lets the autopilot play.
+ * With a replay the run is re-simulated on its seed, level and preset, and its score checked against the recording.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The game's modules are browser scripts sharing globals - expose them the same way here
+// (in index.html order: power-up modules register themselves with the registry loaded before them)
+[
+    'config', 'random', 'contributions', 'tiles', 'column-generator', 'collision', 'jump-controller',
+    'power-ups/power-ups', 'power-ups/rebase-shield', 'power-ups/freeze-ci', 'power-ups/magnet', 'power-ups/caffeine',
+    'simulation', 'guard-tables', 'planner', 'replay'
+].forEach(name => Object.assign(global, require(path.join(__dirname, '..', 'src', name))));
+
+// Stop runaway runs (one hour of game time)
+const DEFAULT_MAX_STEPS = 60 * 60 * 60;
+
+// Options that take no value
+const FLAGS = ['autopilot'];
+
+/**
+ * Parse --name value pairs (and bare --flags) from the command line
+ * @param {Array<string>} argv
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].slice(2);
+        if (argv[i].startsWith('--') && FLAGS.includes(name)) {
+            args[name] = true;
+            continue;
+        }
+        if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[name] = argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Run one game to the end
+ * @param {Object} options
+ * @param {string} options.seed
+ * @param {ContributionLevel|null} options.level
+ * @param {string} options.preset - Difficulty preset id
+ * @param {function(number, Simulation): (string|null)} options.getInput - Jump key event for a step
+ * @param {number} options.maxSteps
+ * @returns {Object} Run summary
+ */
+function runGame({ seed, level, preset, getInput, maxSteps }) {
+    const sim = new Simulation({ seed, level, config: DIFFICULTY_PRESETS[preset].config });
+
+    while (!sim.isGameOver && sim.simStep < maxSteps) {
+        sim.step(getInput(sim.simStep + 1, sim));
+    }
+
+    return Object.assign({
+        seed,
+        preset,
+        score: Math.floor(sim.score),
+        steps: sim.simStep,
+        seconds: Math.round(sim.simTime) / 1000,
+        distance: sim.getDistance(),
+        cause: sim.deathCause || 'timeout'
+    }, sim.stats);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const maxSteps = parseInt(args['max-steps'], 10) || DEFAULT_MAX_STEPS;
+
+    if (args.replay) {
+        const replay = parseReplay(fs.readFileSync(args.replay, 'utf8'));
+        const player = new ReplayPlayer(replay);
+        const result = runGame({
+            seed: replay.seed,
+            level: replay.level ? new ContributionLevel(replay.level.columns, replay.level.name) : null,
+            preset: replay.preset,
+            getInput: step => player.takeEvent(step),
+            maxSteps
+        });
+        result.recordedScore = replay.score;
+        result.verified = result.score === replay.score;
+        console.log(JSON.stringify(result, null, 2));
+        process.exitCode = result.verified ? 0 : 1;
+        return;
+    }
+
+    const preset = args.preset || DEFAULT_PRESET;
+    if (!isPresetId(preset)) {
+        throw new Error(`Unknown preset: ${preset} (expected ${Object.keys(DIFFICULTY_PRESETS).join(', ')})`);
+    }
+
+    const level = args.level
+        ? new ContributionLevel(parseContributionText(fs.readFileSync(args.level, 'utf8')), path.basename(args.level))
+        : null;
+
+    // Tap jump (press, release on the next step) every N steps
+    const jumpEvery = parseInt(args['jump-every'], 10) || 0;
+    let getInput = step => {
+        if (jumpEvery <= 0) return null;
+        if (step % jumpEvery === 0) return 'down';
+        if (step % jumpEvery === 1) return 'up';
+        return null;
+    };
+
+    if (args.autopilot) {
+        const autopilot = new Autopilot();
+        getInput = (step, sim) => autopilot.nextInput(sim);
+    }
+
+    const result = runGame({ seed: args.seed || generateSeed(), level, preset, getInput, maxSteps });
+    console.log(JSON.stringify(result, null, 2));
+}
+
+main();